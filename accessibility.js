@@ -0,0 +1,260 @@
+// Keyboard and screen reader access: playback shortcuts with an on-screen cheat sheet, stroke changes
+// announced through a live region, and a text description of the engine that follows the canvas.
+
+// Engine speed change per keypress, in rpm
+const KEYBOARD_RPM_STEP = 500;
+
+// Shortest gap between description updates from the frame loop, so screen readers are not flooded
+const DESCRIPTION_INTERVAL_MS = 1000;
+
+// `keys` are KeyboardEvent.key values (letters in lower case); `label` is what the cheat sheet shows
+const KEYBOARD_SHORTCUTS = [
+    { keys: [' ', 'k'], label: 'Space / K', description: 'Play or pause', run: (controls) => controls.togglePlay() },
+    { keys: ['ArrowLeft'], label: '←', description: 'Step back by the increment (Shift: 1°)', run: (controls, e) => controls.step(-1, e.shiftKey) },
+    { keys: ['ArrowRight'], label: '→', description: 'Step forward by the increment (Shift: 1°)', run: (controls, e) => controls.step(1, e.shiftKey) },
+    { keys: ['['], label: '[', description: 'Go to the start of the previous stroke', run: (controls) => controls.jumpStroke(-1) },
+    { keys: [']'], label: ']', description: 'Go to the start of the next stroke', run: (controls) => controls.jumpStroke(1) },
+    { keys: ['Home'], label: 'Home', description: 'Go to top dead centre, 0°', run: (controls) => controls.seek(0) },
+    { keys: ['+', '='], label: '+', description: `Faster: engine speed up ${KEYBOARD_RPM_STEP} rpm`, run: (controls) => controls.changeRpm(1) },
+    { keys: ['-', '_'], label: '−', description: `Slower: engine speed down ${KEYBOARD_RPM_STEP} rpm`, run: (controls) => controls.changeRpm(-1) },
+    { keys: ['r'], label: 'R', description: 'Reset to the start of the cycle', run: (controls) => controls.reset() },
+    { keys: ['a'], label: 'A', description: 'Turn auto-pause on or off', run: (controls) => controls.toggleAutoPause() },
+    { keys: ['?'], label: '?', description: 'Show or hide these shortcuts', run: (controls) => controls.toggleCheatSheet() },
+    { keys: ['Escape'], label: 'Esc', description: 'Close the shortcuts', run: (controls) => controls.toggleCheatSheet(false) }
+];
+
+// What the description calls each two-stroke opening
+const TWO_STROKE_OPENING_NAMES = {
+    intake: 'reed valve',
+    transfer: 'transfer port',
+    exhaust: 'exhaust port'
+};
+
+function percentOpen(fraction) {
+    return fraction > 0.005 ? `${Math.max(Math.round(fraction * 100), 1)}% open` : 'closed';
+}
+
+// Plain-language summary of a frame: cycle, crank angle and stroke, each valve or port, the spark or
+// injection, and the other cylinders' strokes
+function describeEngineState(animation, frame = animation.computeFrameState()) {
+    const angle = animation.getCrankAngle();
+    const span = animation.cycle.degrees;
+    const sentences = [
+        `${animation.cycle.label} cycle, crank at ${angle.toFixed(0)}° of ${span}° (${describeCrankAngle(angle)}).`,
+        `${frame.cylinders.length > 1 ? 'Cylinder 1 is on the' : 'The piston is on the'} ${frame.stroke.name.toLowerCase()} stroke.`
+    ];
+    const openings = animation.getTimingEvents()
+        .filter((event) => event.key !== 'injection')
+        .map((event) => {
+            const part = animation.cycleMode === 'two-stroke' ? TWO_STROKE_OPENING_NAMES[event.key] : `${event.label.toLowerCase()} valve`;
+            return `${part} ${percentOpen(frame.openings[event.key] || 0)}`;
+        })
+        .join(', ');
+    sentences.push(`${openings.charAt(0).toUpperCase()}${openings.slice(1)}.`);
+    if (frame.sparkActive) {
+        sentences.push('The spark plug is firing.');
+    } else if (frame.misfire) {
+        sentences.push('The spark plug misfires.');
+    }
+    if (frame.openings.injection > 0.005) {
+        sentences.push('The injector is spraying fuel.');
+    }
+    if (frame.cylinders.length > 1) {
+        const others = frame.cylinders.slice(1)
+            .map((state) => `cylinder ${state.cylinder.number} ${state.stroke.name.toLowerCase()}`);
+        sentences.push(`Other cylinders: ${others.join(', ')}.`);
+    }
+    sentences.push(animation.isPlaying
+        ? `Running at ${Math.round(animation.engineRpm)} rpm, shown at ${animation.animationSpeed.toFixed(1)}x.`
+        : 'Paused.');
+    return sentences.join(' ');
+}
+
+// Document-wide shortcuts for the animation, announcements in a live region and the canvas description.
+// Keys typed into form fields are left alone.
+class KeyboardControls {
+    constructor(animation, options = {}) {
+        this.animation = animation;
+        this.timeline = options.timeline || null;
+        this.ui = { ...options.ui };
+        this.keyTarget = options.keyTarget || document;
+        this.listeners = [];
+        this.lastDescribed = -Infinity;
+
+        this.listen(this.keyTarget, 'keydown', (e) => this.handleKey(e));
+        const { cheatSheetBtn, cheatSheetCloseBtn } = this.ui;
+        if (cheatSheetBtn) {
+            this.listen(cheatSheetBtn, 'click', () => this.toggleCheatSheet());
+        }
+        if (cheatSheetCloseBtn) {
+            this.listen(cheatSheetCloseBtn, 'click', () => this.toggleCheatSheet(false));
+        }
+        this.unsubscribe = [
+            animation.on('strokechange', ({ stroke }) => this.announce(`${stroke.name} stroke. ${stroke.description}`)),
+            animation.on('frame', () => this.describe())
+        ];
+        this.renderCheatSheet();
+        this.describe(true);
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    handleKey(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || this.isTyping(e.target, e.key)) {
+            return;
+        }
+        const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        const shortcut = KEYBOARD_SHORTCUTS.find((entry) => entry.keys.includes(key));
+        if (!shortcut) {
+            return;
+        }
+        e.preventDefault();
+        shortcut.run(this, e);
+    }
+
+    // Form fields keep their own keys; a focused button keeps Space and Enter
+    isTyping(target, key) {
+        if (!target || !target.tagName) {
+            return false;
+        }
+        const tag = target.tagName.toLowerCase();
+        if (tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable) {
+            return true;
+        }
+        return tag === 'button' && (key === ' ' || key === 'Enter');
+    }
+
+    // Say something to screen readers without moving focus
+    announce(message) {
+        const { liveRegion } = this.ui;
+        if (liveRegion) {
+            liveRegion.textContent = message;
+        }
+    }
+
+    // Refresh the canvas description: straight away when asked, otherwise at most once per interval
+    describe(force = false) {
+        const { description } = this.ui;
+        if (!description) {
+            return;
+        }
+        const now = performance.now();
+        if (!force && now - this.lastDescribed < DESCRIPTION_INTERVAL_MS) {
+            return;
+        }
+        const text = describeEngineState(this.animation);
+        if (description.textContent !== text) {
+            description.textContent = text;
+        }
+        this.lastDescribed = now;
+    }
+
+    angleText() {
+        const angle = this.animation.getCrankAngle();
+        return `${angle.toFixed(0)}° (${describeCrankAngle(angle)}), ${this.animation.getCurrentStroke().name.toLowerCase()} stroke`;
+    }
+
+    togglePlay() {
+        if (this.animation.isPlaying) {
+            this.animation.pause();
+            this.announce(`Paused at ${this.angleText()}.`);
+        } else {
+            this.animation.play();
+            this.announce('Playing.');
+        }
+        this.describe(true);
+    }
+
+    // Step by the timeline's increment, or by one degree when `fine`
+    step(direction, fine = false) {
+        if (this.timeline && !fine) {
+            this.timeline.step(direction);
+        } else {
+            this.animation.stepBy(direction * (fine ? 1 : 5));
+        }
+        this.announce(`${this.angleText()}.`);
+        this.describe(true);
+    }
+
+    seek(degrees) {
+        this.animation.pause();
+        this.animation.seek(degrees);
+        this.announce(`${this.angleText()}.`);
+        this.describe(true);
+    }
+
+    // Start of the next or previous stroke; backwards from inside a stroke goes to that stroke's start
+    jumpStroke(direction) {
+        const span = this.animation.cycle.degrees;
+        const strokeDegrees = span / this.animation.strokes.length;
+        const angle = this.animation.getCrankAngle();
+        const current = Math.floor((angle + 1e-6) / strokeDegrees);
+        const atStart = angle - current * strokeDegrees < 0.5;
+        const target = direction > 0 ? current + 1 : current - (atStart ? 1 : 0);
+        this.seek((((target * strokeDegrees) % span) + span) % span);
+    }
+
+    // Engine speed up or down a step, kept within the page slider's range when there is one
+    changeRpm(direction) {
+        const slider = this.ui.engineRpmSlider;
+        const min = slider ? Number(slider.min) : ENGINE_RPM_LIMITS.min;
+        const max = slider ? Number(slider.max) : ENGINE_RPM_LIMITS.max;
+        const rpm = clamp(this.animation.engineRpm + direction * KEYBOARD_RPM_STEP, min, max);
+        this.animation.setEngineRpm(rpm);
+        this.announce(`Engine speed ${Math.round(rpm)} rpm.`);
+    }
+
+    reset() {
+        this.animation.reset();
+        this.announce('Reset to the start of the cycle.');
+        this.describe(true);
+    }
+
+    toggleAutoPause() {
+        const enabled = !this.animation.autoPauseEnabled;
+        this.animation.setAutoPause(enabled);
+        this.announce(enabled ? 'Auto-pause on: stops at every stroke.' : 'Auto-pause off: continuous play.');
+    }
+
+    toggleCheatSheet(open) {
+        const { cheatSheet, cheatSheetBtn } = this.ui;
+        if (!cheatSheet) {
+            return;
+        }
+        const show = open !== undefined ? open : cheatSheet.hidden;
+        cheatSheet.hidden = !show;
+        if (cheatSheetBtn) {
+            cheatSheetBtn.setAttribute('aria-expanded', String(show));
+        }
+    }
+
+    // Fill the cheat sheet from KEYBOARD_SHORTCUTS so it never drifts from the real bindings
+    renderCheatSheet() {
+        const { cheatSheetList } = this.ui;
+        if (!cheatSheetList) {
+            return;
+        }
+        const rows = KEYBOARD_SHORTCUTS.flatMap((shortcut) => {
+            const term = document.createElement('dt');
+            const key = document.createElement('kbd');
+            key.textContent = shortcut.label;
+            term.append(key);
+            const detail = document.createElement('dd');
+            detail.textContent = shortcut.description;
+            return [term, detail];
+        });
+        cheatSheetList.replaceChildren(...rows);
+    }
+
+    destroy() {
+        this.unsubscribe.forEach((off) => off());
+        this.unsubscribe = [];
+        for (const { target, type, handler } of this.listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.listeners = [];
+    }
+}
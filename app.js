@@ -0,0 +1,214 @@
+// Page bootstrap: mounts the demo when the default markup is present
+(function mountPageDemo() {
+    const pageCanvas = document.getElementById('engineCanvas');
+    if (!pageCanvas) {
+        return;
+    }
+
+    const params = new URLSearchParams(window.location.search);
+
+    const animation = new EngineAnimation(pageCanvas, {
+        seed: params.get('seed'),
+        responsive: true,
+        ui: {
+            currentStroke: document.getElementById('currentStroke'),
+            strokeInfo: document.getElementById('strokeInfo'),
+            cylinderList: document.getElementById('cylinderList'),
+            autoPauseToggle: document.getElementById('autoPauseToggle'),
+            reducedMotionToggle: document.getElementById('reducedMotionToggle'),
+            resumeBtn: document.getElementById('resumeBtn'),
+            resetBtn: document.getElementById('resetBtn'),
+            engineRpmSlider: document.getElementById('engineRpmSlider'),
+            engineRpmValue: document.getElementById('engineRpmValue'),
+            cycleModeSelect: document.getElementById('cycleModeSelect'),
+            cycleModeError: document.getElementById('cycleModeError'),
+            cycleTitle: document.getElementById('cycleTitle')
+        }
+    });
+    window.engineAnimation = animation;
+
+    const timelineCanvas = document.getElementById('timelineCanvas');
+    if (timelineCanvas) {
+        window.crankTimeline = new CrankTimeline(animation, timelineCanvas, {
+            ui: {
+                stepBackBtn: document.getElementById('stepBackBtn'),
+                stepForwardBtn: document.getElementById('stepForwardBtn'),
+                stepSizeSelect: document.getElementById('stepSize'),
+                angleValue: document.getElementById('crankAngleValue')
+            }
+        });
+    }
+
+    const valveTimingForm = document.getElementById('valveTimingForm');
+    if (valveTimingForm) {
+        window.valveTimingPanel = new ValveTimingPanel(animation, {
+            ui: {
+                form: valveTimingForm,
+                resetBtn: document.getElementById('valveTimingResetBtn'),
+                errorEl: document.getElementById('valveTimingError'),
+                noteEl: document.getElementById('valveTimingNote'),
+                liftCanvas: document.getElementById('valveLiftCanvas')
+            }
+        });
+    }
+
+    const ignitionForm = document.getElementById('ignitionForm');
+    if (ignitionForm) {
+        window.ignitionPanel = new IgnitionPanel(animation, {
+            ui: {
+                form: ignitionForm,
+                resetBtn: document.getElementById('ignitionResetBtn'),
+                errorEl: document.getElementById('ignitionError'),
+                summaryEl: document.getElementById('ignitionSummary')
+            }
+        });
+    }
+
+    const injectionForm = document.getElementById('injectionForm');
+    if (injectionForm) {
+        window.injectionPanel = new InjectionPanel(animation, {
+            ui: {
+                form: injectionForm,
+                resetBtn: document.getElementById('injectionResetBtn'),
+                errorEl: document.getElementById('injectionError'),
+                summaryEl: document.getElementById('injectionSummary')
+            }
+        });
+    }
+
+    const geometryForm = document.getElementById('geometryForm');
+    if (geometryForm) {
+        window.geometryPanel = new GeometryPanel(animation, {
+            ui: {
+                form: geometryForm,
+                resetBtn: document.getElementById('geometryResetBtn'),
+                errorEl: document.getElementById('geometryError'),
+                summaryEl: document.getElementById('geometrySummary')
+            }
+        });
+    }
+
+    const cylinderLayoutForm = document.getElementById('cylinderLayoutForm');
+    if (cylinderLayoutForm) {
+        window.cylinderLayoutPanel = new CylinderLayoutPanel(animation, {
+            ui: {
+                form: cylinderLayoutForm,
+                resetBtn: document.getElementById('cylinderLayoutResetBtn'),
+                errorEl: document.getElementById('cylinderLayoutError')
+            }
+        });
+    }
+
+    const pvCanvas = document.getElementById('pvCanvas');
+    if (pvCanvas) {
+        window.pvDiagram = new PVDiagram(animation, pvCanvas, {
+            ui: { summaryEl: document.getElementById('pvSummary') }
+        });
+    }
+
+    const kinematicsForm = document.getElementById('kinematicsForm');
+    if (kinematicsForm) {
+        window.kinematicsPanel = new KinematicsPanel(animation, {
+            ui: {
+                form: kinematicsForm,
+                resetBtn: document.getElementById('kinematicsResetBtn'),
+                errorEl: document.getElementById('kinematicsError'),
+                chartCanvas: document.getElementById('kinematicsCanvas'),
+                displacementValue: document.getElementById('pistonDisplacementValue'),
+                velocityValue: document.getElementById('pistonVelocityValue'),
+                accelerationValue: document.getElementById('pistonAccelerationValue'),
+                summaryEl: document.getElementById('kinematicsSummary')
+            }
+        });
+    }
+
+    const dynoCanvas = document.getElementById('dynoCanvas');
+    if (dynoCanvas) {
+        window.dynoPanel = new DynoPanel(animation, dynoCanvas, {
+            ui: {
+                torqueValue: document.getElementById('dynoTorqueValue'),
+                meanTorqueValue: document.getElementById('dynoMeanTorqueValue'),
+                powerValue: document.getElementById('dynoPowerValue'),
+                summaryEl: document.getElementById('dynoSummary')
+            }
+        });
+    }
+
+    const exportForm = document.getElementById('exportForm');
+    if (exportForm) {
+        window.exportPanel = new ExportPanel(animation, {
+            ui: {
+                form: exportForm,
+                resetBtn: document.getElementById('exportResetBtn'),
+                errorEl: document.getElementById('exportError'),
+                exportBtn: document.getElementById('exportBtn'),
+                cancelBtn: document.getElementById('exportCancelBtn'),
+                statusEl: document.getElementById('exportStatus')
+            }
+        });
+    }
+
+    const diagramForm = document.getElementById('diagramForm');
+    if (diagramForm) {
+        window.diagramPanel = new DiagramPanel(animation, {
+            ui: {
+                form: diagramForm,
+                resetBtn: document.getElementById('diagramResetBtn'),
+                errorEl: document.getElementById('diagramError'),
+                previewCanvas: document.getElementById('diagramCanvas'),
+                currentAngleBtn: document.getElementById('diagramCurrentAngleBtn'),
+                downloadBtn: document.getElementById('diagramDownloadBtn')
+            }
+        });
+    }
+
+    window.partInspector = new PartInspector(animation, {
+        ui: {
+            tooltip: document.getElementById('partTooltip'),
+            infoEl: document.getElementById('partInfo'),
+            nameEl: document.getElementById('partName'),
+            purposeEl: document.getElementById('partPurpose'),
+            isolateToggle: document.getElementById('partIsolateToggle'),
+            unpinBtn: document.getElementById('partUnpinBtn')
+        }
+    });
+
+    window.tourPanel = new TourPanel(animation, {
+        ui: {
+            startBtn: document.getElementById('tourStartBtn'),
+            fileInput: document.getElementById('tourFileInput'),
+            errorEl: document.getElementById('tourError'),
+            stepEl: document.getElementById('tourStep'),
+            progressEl: document.getElementById('tourProgress'),
+            titleEl: document.getElementById('tourStepTitle'),
+            textEl: document.getElementById('tourStepText'),
+            prevBtn: document.getElementById('tourPrevBtn'),
+            nextBtn: document.getElementById('tourNextBtn'),
+            exitBtn: document.getElementById('tourExitBtn')
+        }
+    });
+
+    window.keyboardControls = new KeyboardControls(animation, {
+        timeline: window.crankTimeline,
+        ui: {
+            liveRegion: document.getElementById('engineAnnouncer'),
+            description: document.getElementById('engineDescription'),
+            engineRpmSlider: document.getElementById('engineRpmSlider'),
+            cheatSheet: document.getElementById('shortcutSheet'),
+            cheatSheetList: document.getElementById('shortcutList'),
+            cheatSheetBtn: document.getElementById('shortcutsBtn'),
+            cheatSheetCloseBtn: document.getElementById('shortcutsCloseBtn')
+        }
+    });
+
+    // Last, so every panel is listening when a shared state is restored
+    window.sharePanel = new SharePanel(animation, {
+        ui: {
+            copyLinkBtn: document.getElementById('shareLinkBtn'),
+            downloadBtn: document.getElementById('shareDownloadBtn'),
+            fileInput: document.getElementById('shareFileInput'),
+            statusEl: document.getElementById('shareStatus'),
+            errorEl: document.getElementById('shareError')
+        }
+    });
+})();
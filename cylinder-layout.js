@@ -0,0 +1,68 @@
+// Cylinder layout editor: arrangement (single, inline-2, inline-4, V-twin) and firing order.
+
+const CYLINDER_LAYOUT_FIELDS = ['arrangement', 'firingOrder'];
+
+class CylinderLayoutPanel extends ParameterPanel {
+    constructor(animation, options = {}) {
+        super(animation, CYLINDER_LAYOUT_FIELDS, options);
+        this.unsubscribe.push(
+            animation.on('layoutchange', () => this.syncInputs()),
+            animation.on('cyclemodechange', () => this.updateHints())
+        );
+        this.init();
+    }
+
+    values() {
+        return { arrangement: this.animation.arrangement, firingOrder: this.animation.firingOrder };
+    }
+
+    defaults() {
+        return { arrangement: 'single', firingOrder: CYLINDER_ARRANGEMENTS.single.firingOrder };
+    }
+
+    parse(name, text) {
+        return name === 'firingOrder' ? parseFiringOrder(text) : text;
+    }
+
+    format(name, value) {
+        return name === 'firingOrder' ? value.join('-') : String(value);
+    }
+
+    validate(values) {
+        return validateCylinderLayout(values.arrangement, values.firingOrder);
+    }
+
+    apply(values) {
+        this.animation.setArrangement(values.arrangement, values.firingOrder);
+    }
+
+    // Picking a new arrangement starts from its usual firing order
+    applyInputs() {
+        const arrangementField = this.input('arrangement');
+        const orderField = this.input('firingOrder');
+        const layout = arrangementField ? CYLINDER_ARRANGEMENTS[arrangementField.value] : null;
+        if (layout && orderField && arrangementField.value !== this.animation.arrangement) {
+            orderField.value = this.format('firingOrder', layout.firingOrder);
+        }
+        super.applyInputs();
+    }
+
+    hint(name, values) {
+        if (name !== 'firingOrder') {
+            return null;
+        }
+        const layout = CYLINDER_ARRANGEMENTS[values.arrangement];
+        const cycleDegrees = this.animation.cycle.degrees;
+        if (!layout || layout.cylinders === 1) {
+            return `fires every ${cycleDegrees}°`;
+        }
+        // Gaps between successive firings, in firing order
+        const phases = buildCylinderLayout(this.animation.engine, values.arrangement, values.firingOrder, cycleDegrees)
+            .map((cylinder) => cylinder.phase)
+            .sort((a, b) => a - b);
+        const gaps = phases.map((phase, i) => (i + 1 < phases.length ? phases[i + 1] : cycleDegrees) - phase);
+        return gaps.every((gap) => gap === gaps[0])
+            ? `fires every ${gaps[0]}°`
+            : `fires at ${gaps.join('° / ')}° gaps`;
+    }
+}
@@ -0,0 +1,437 @@
+// Diagram: a still of the mechanism at a chosen crank angle with optional dimension lines, part callouts
+// and a caption. Everything is drawn through the 2D context API, so one routine feeds both the preview
+// canvas and the SVG download (see SvgContext).
+
+const DEFAULT_DIAGRAM_OPTIONS = {
+    degrees: 60,
+    dimensions: true,
+    callouts: true,
+    caption: true
+};
+
+const DIAGRAM_COLORS = {
+    dimension: '#1565c0',
+    callout: '#2e3a4f'
+};
+
+// Vertical room between callout labels in one column
+const CALLOUT_SPACING = 18;
+
+function validateDiagramOptions(options, cycleDegrees = 720) {
+    const errors = [];
+    if (!Number.isFinite(options.degrees) || options.degrees < 0 || options.degrees >= cycleDegrees) {
+        errors.push({ field: 'degrees', message: `Crank angle must be between 0° and ${cycleDegrees - 1}°.` });
+    }
+    for (const [field, name] of [['dimensions', 'Dimensions'], ['callouts', 'Callouts'], ['caption', 'Caption']]) {
+        if (typeof options[field] !== 'boolean') {
+            errors.push({ field, message: `${name} must be true or false.` });
+        }
+    }
+    return errors;
+}
+
+// Arrowhead at `tip` pointing along the unit vector (dx, dy)
+function drawArrowhead(ctx, tip, dx, dy) {
+    ctx.beginPath();
+    ctx.moveTo(tip.x, tip.y);
+    ctx.lineTo(tip.x - dx * 8 - dy * 3, tip.y - dy * 8 + dx * 3);
+    ctx.lineTo(tip.x - dx * 8 + dy * 3, tip.y - dy * 8 - dx * 3);
+    ctx.closePath();
+    ctx.fill();
+}
+
+// Aligned dimension between two points, set off `offset` units to the left of the direction from
+// `from` to `to` (negative for the right), with extension lines and the label beside its middle
+function drawDimension(ctx, from, to, offset, label) {
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    if (length < 1e-6) {
+        return;
+    }
+    const dx = (to.x - from.x) / length;
+    const dy = (to.y - from.y) / length;
+    // Left of travel on a y-down canvas
+    const nx = dy;
+    const ny = -dx;
+    const side = offset < 0 ? -1 : 1;
+    const a = { x: from.x + nx * offset, y: from.y + ny * offset };
+    const b = { x: to.x + nx * offset, y: to.y + ny * offset };
+
+    ctx.save();
+    ctx.strokeStyle = DIAGRAM_COLORS.dimension;
+    ctx.fillStyle = DIAGRAM_COLORS.dimension;
+    ctx.lineWidth = 1.25;
+    ctx.lineCap = 'butt';
+    ctx.beginPath();
+    if (Math.abs(offset) > 4) {
+        for (const [point, end] of [[from, a], [to, b]]) {
+            ctx.moveTo(point.x + nx * side * 3, point.y + ny * side * 3);
+            ctx.lineTo(end.x + nx * side * 5, end.y + ny * side * 5);
+        }
+    }
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+    drawArrowhead(ctx, a, -dx, -dy);
+    drawArrowhead(ctx, b, dx, dy);
+
+    // Label along the line on its outer side, turned so it never reads upside down
+    let angle = Math.atan2(dy, dx);
+    if (angle > Math.PI / 2 + 1e-6 || angle <= -Math.PI / 2 + 1e-6) {
+        angle += Math.PI;
+    }
+    const outward = (nx * Math.sin(angle) - ny * Math.cos(angle)) * side;
+    ctx.translate((a.x + b.x) / 2 + nx * side * 4, (a.y + b.y) / 2 + ny * side * 4);
+    ctx.rotate(angle);
+    ctx.font = '600 12px "Segoe UI", sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = outward > 0 ? 'bottom' : 'top';
+    ctx.fillText(label, 0, 0);
+    ctx.restore();
+}
+
+// Bore, clearance and stroke, rod length, crank throw and the crank angle for one cylinder, in its frame
+function drawDimensions(ctx, animation, state, degrees) {
+    const { engine, geometry } = animation;
+    const twoStroke = animation.cycleMode === 'two-stroke';
+    const { pos, crankAngle } = state;
+    const halfBore = engine.pistonWidth / 2;
+    const leftWall = engine.cylinderX - engine.cylinderWidth / 2;
+    const headY = engine.cylinderY - engine.valveRecess;
+    const bdcCrownY = engine.crownTdcY + geometry.stroke * engine.scale;
+    const dimensionX = leftWall - (twoStroke ? 90 : 36);
+    const format = (mm) => `${Number(mm.toFixed(1))} mm`;
+
+    // Over the head, clear of the valve gear (or the plug on a two-stroke)
+    drawDimension(ctx,
+        { x: engine.cylinderX - halfBore, y: headY },
+        { x: engine.cylinderX + halfBore, y: headY },
+        twoStroke ? 60 : 119,
+        `Bore ${format(geometry.bore)}`);
+
+    // Down the outside of the left wall: head to crown at TDC, then TDC to BDC
+    const clearance = geometry.stroke / (geometry.compressionRatio - 1);
+    drawDimension(ctx,
+        { x: leftWall, y: engine.cylinderY },
+        { x: leftWall, y: engine.crownTdcY },
+        dimensionX - leftWall,
+        `Clearance ${format(clearance)}`);
+    drawDimension(ctx,
+        { x: leftWall, y: engine.crownTdcY },
+        { x: leftWall, y: bdcCrownY },
+        dimensionX - leftWall,
+        `Stroke ${format(geometry.stroke)}`);
+
+    // Rod and throw set off on opposite sides so neither covers the other
+    const pinY = pos.pistonY + engine.pistonHeight / 2;
+    const rodSide = pos.crankX >= engine.cylinderX ? 1 : -1;
+    drawDimension(ctx,
+        { x: engine.cylinderX, y: pinY },
+        { x: pos.crankX, y: pos.crankY },
+        30 * rodSide,
+        `Rod ${format(geometry.rodLength)}`);
+    drawDimension(ctx,
+        { x: engine.crankX, y: engine.crankY },
+        { x: pos.crankX, y: pos.crankY },
+        -34 * rodSide,
+        `Throw ${format(geometry.stroke / 2)}`);
+
+    // Crank angle from TDC, turning the way the crank does
+    const turned = ((degrees % 360) + 360) % 360;
+    if (turned > 0.5) {
+        const radius = engine.crankRadius * 0.5;
+        ctx.save();
+        ctx.strokeStyle = DIAGRAM_COLORS.dimension;
+        ctx.fillStyle = DIAGRAM_COLORS.dimension;
+        ctx.lineWidth = 1.25;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(engine.crankX, engine.crankY);
+        ctx.lineTo(engine.crankX, engine.crankY - engine.crankRadius - 12);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.arc(engine.crankX, engine.crankY, radius, -Math.PI / 2, crankAngle);
+        ctx.stroke();
+        drawArrowhead(ctx,
+            { x: engine.crankX + Math.cos(crankAngle) * radius, y: engine.crankY + Math.sin(crankAngle) * radius },
+            -Math.sin(crankAngle), Math.cos(crankAngle));
+        // Under the crank, where neither the rod nor the throw label can reach
+        ctx.font = '600 12px "Segoe UI", sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${Number(turned.toFixed(1))}° from TDC`,
+            engine.crankX, engine.crankY + Math.max(engine.crankRadius * 0.55 + 26, 25) + 4);
+        ctx.restore();
+    }
+}
+
+// Parts worth naming in one cylinder's frame, each with the point its leader line touches
+function calloutParts(animation, state) {
+    const { engine } = animation;
+    const { pos, crankAngle } = state;
+    const twoStroke = animation.cycleMode === 'two-stroke';
+    const halfPiston = engine.pistonWidth / 2;
+    const headY = engine.cylinderY - engine.valveRecess;
+    const pinY = pos.pistonY + engine.pistonHeight / 2;
+    const parts = [
+        { label: 'Cylinder wall', x: engine.cylinderX - engine.cylinderWidth / 2 + 2, y: engine.cylinderY + engine.cylinderHeight - 24 },
+        { label: 'Combustion chamber', x: engine.cylinderX - halfPiston / 2, y: (engine.cylinderY + pos.pistonY) / 2 },
+        { label: 'Piston', x: engine.cylinderX + halfPiston - 12, y: pos.pistonY + 8 },
+        { label: 'Piston rings', x: engine.cylinderX - halfPiston + 10, y: pos.pistonY + 15 },
+        { label: 'Piston pin', x: engine.cylinderX + 8, y: pinY + 6 },
+        { label: 'Connecting rod', x: (engine.cylinderX + pos.crankX) / 2, y: (pinY + pos.crankY) / 2 },
+        { label: 'Crank pin', x: pos.crankX, y: pos.crankY },
+        { label: 'Main journal', x: engine.crankX, y: engine.crankY + 18 },
+        {
+            label: 'Counterweight',
+            x: engine.crankX - Math.cos(crankAngle) * engine.crankRadius * 0.55,
+            y: engine.crankY - Math.sin(crankAngle) * engine.crankRadius * 0.55
+        }
+    ];
+    if (animation.cycleMode === 'diesel') {
+        parts.push({ label: 'Injector', x: engine.cylinderX + 9, y: headY - 22 });
+    } else {
+        parts.push({ label: 'Spark plug', x: engine.cylinderX + 8, y: headY - 28 });
+    }
+    if (twoStroke) {
+        const ports = animation.getPortLayout();
+        parts.push(
+            { label: 'Exhaust port', x: ports.rightWall + 24, y: (ports.exhaustTop + ports.portBottom) / 2 },
+            { label: 'Transfer port', x: ports.ductX, y: ports.transferTop + 24 },
+            { label: 'Reed valve', x: ports.caseLeft - 20, y: ports.reedY },
+            { label: 'Crankcase', x: ports.caseRight - 14, y: ports.caseBottom - 22 }
+        );
+    } else {
+        const guideTop = headY - 85;
+        const headOffset = (lift) => engine.valveTravel * clamp(lift, 0, 1);
+        parts.push(
+            { label: 'Intake valve', x: engine.cylinderX - engine.valveOffset - engine.valveHeadRadius, y: headY + headOffset(state.intakeLift) },
+            { label: 'Exhaust valve', x: engine.cylinderX + engine.valveOffset + engine.valveHeadRadius, y: headY + headOffset(state.exhaustLift) },
+            { label: 'Valve spring', x: engine.cylinderX - engine.valveOffset - 9, y: guideTop + 32 }
+        );
+    }
+    return parts;
+}
+
+// A point in a cylinder's own frame, moved into the block's frame the way inCylinderFrame draws it
+function fromCylinderFrame(engine, cylinder, point) {
+    const cos = Math.cos(cylinder.tilt);
+    const sin = Math.sin(cylinder.tilt);
+    const dx = point.x - engine.crankX;
+    const dy = point.y - engine.crankY;
+    return {
+        x: engine.crankX + cylinder.offsetX + dx * cos - dy * sin,
+        y: engine.crankY + dx * sin + dy * cos
+    };
+}
+
+// Labels in a column on either side, each joined to its part by a leader with a dot on the part. Drawn in
+// the block's frame so the text stays level on a V bank; with more than one cylinder every label goes on
+// the left, away from the neighbours, and no label drops below `bottom`.
+function drawCallouts(ctx, animation, state, { dimensions, oneSide, bottom }) {
+    const { engine } = animation;
+    const { cylinder } = state;
+    const twoStroke = animation.cycleMode === 'two-stroke';
+    const leftWall = engine.cylinderX - engine.cylinderWidth / 2;
+    const rightWall = engine.cylinderX + engine.cylinderWidth / 2;
+    const top = engine.cylinderY - engine.valveRecess - 85;
+    const ports = twoStroke ? animation.getPortLayout() : null;
+    const leftReach = twoStroke
+        ? Math.min(leftWall - 150, ports.caseLeft - 90)
+        : leftWall - (dimensions ? 96 : 50);
+    const rightReach = rightWall + (twoStroke ? 130 : 60);
+    const reach = (x) => [top, engine.crankY].map((y) => fromCylinderFrame(engine, cylinder, { x, y }).x);
+    const columns = {
+        left: Math.min(...reach(leftReach)),
+        right: Math.max(...reach(rightReach))
+    };
+    const sides = { left: [], right: [] };
+    for (const part of calloutParts(animation, state)) {
+        sides[oneSide || part.x < engine.cylinderX ? 'left' : 'right']
+            .push({ label: part.label, ...fromCylinderFrame(engine, cylinder, part) });
+    }
+
+    ctx.save();
+    ctx.font = '600 12px "Segoe UI", sans-serif';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 1;
+    for (const [side, parts] of Object.entries(sides)) {
+        // Spread the labels down the column from their parts, then lift any that run past the bottom
+        parts.sort((a, b) => a.y - b.y);
+        parts.forEach((part, i) => {
+            part.labelY = i === 0 ? part.y : Math.max(part.y, parts[i - 1].labelY + CALLOUT_SPACING);
+        });
+        for (let i = parts.length - 1; i >= 0; i--) {
+            const limit = i === parts.length - 1 ? bottom : parts[i + 1].labelY - CALLOUT_SPACING;
+            parts[i].labelY = Math.min(parts[i].labelY, limit);
+        }
+
+        const direction = side === 'left' ? -1 : 1;
+        const columnX = columns[side];
+        for (const part of parts) {
+            const elbowX = columnX - direction * 14;
+            ctx.strokeStyle = DIAGRAM_COLORS.callout;
+            ctx.beginPath();
+            ctx.moveTo(part.x, part.y);
+            ctx.lineTo(elbowX, part.labelY);
+            ctx.lineTo(columnX, part.labelY);
+            ctx.stroke();
+            ctx.fillStyle = '#fff';
+            ctx.beginPath();
+            ctx.arc(part.x, part.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = DIAGRAM_COLORS.callout;
+            ctx.textAlign = side === 'left' ? 'right' : 'left';
+            ctx.fillText(part.label, columnX + direction * 4, part.labelY);
+        }
+    }
+    ctx.restore();
+}
+
+// Draw the diagram into any 2D context whose transform maps the animation's drawing units onto it
+function drawDiagram(animation, ctx, options) {
+    const degrees = options.degrees;
+    const frame = animation.computeFrameState(cycleDegreesToTime(degrees, animation.cycle.degrees));
+    const [first] = frame.cylinders;
+    const { view, engine } = animation;
+    const bottom = animation.cycleMode === 'two-stroke'
+        ? animation.getPortLayout().caseBottom
+        : engine.crankY + Math.max(engine.crankRadius * 0.55 + 26, 25);
+    const captionY = bottom + 28;
+
+    animation.withContext(ctx, () => {
+        animation.drawEngine(frame, { live: false });
+        ctx.save();
+        ctx.translate(view.x, view.y);
+        ctx.scale(view.zoom, view.zoom);
+        if (options.dimensions) {
+            animation.inCylinderFrame(first.cylinder, () => drawDimensions(ctx, animation, first, degrees));
+        }
+        if (options.callouts) {
+            drawCallouts(ctx, animation, first, {
+                dimensions: options.dimensions,
+                oneSide: frame.cylinders.length > 1 ? 'left' : null,
+                bottom: options.caption ? captionY - CALLOUT_SPACING : Infinity
+            });
+        }
+        if (options.caption) {
+            const stroke = frame.cylinders.length > 1 ? '' : ` · ${first.stroke.name}`;
+            ctx.fillStyle = DIAGRAM_COLORS.callout;
+            ctx.font = '600 14px "Segoe UI", sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(`${animation.cycle.label}${stroke} · ${Number(degrees.toFixed(1))}° (${describeCrankAngle(degrees)})`,
+                engine.crankX, captionY);
+        }
+        ctx.restore();
+    });
+}
+
+// The diagram as a standalone SVG document; throws RangeError for invalid options
+function renderDiagramSvg(animation, options = {}) {
+    const settings = { ...DEFAULT_DIAGRAM_OPTIONS, ...options };
+    const errors = validateDiagramOptions(settings, animation.cycle.degrees);
+    if (errors.length > 0) {
+        throw new RangeError(errors.map((error) => error.message).join(' '));
+    }
+    const { width, height } = animation.viewSize();
+    const svg = new SvgContext(width, height);
+    drawDiagram(animation, svg, settings);
+    return svg.toSvg({
+        padding: 16,
+        background: '#fff',
+        title: `${animation.cycle.label} engine at ${settings.degrees}°`
+    });
+}
+
+// Diagram card: crank angle and the three overlays, a fitted preview and an SVG download
+const DIAGRAM_FIELDS = ['degrees', 'dimensions', 'callouts', 'caption'];
+
+class DiagramPanel extends ParameterPanel {
+    constructor(animation, options = {}) {
+        super(animation, DIAGRAM_FIELDS, options);
+        this.settings = { ...DEFAULT_DIAGRAM_OPTIONS };
+        const { previewCanvas, downloadBtn, currentAngleBtn } = this.ui;
+        this.previewCtx = previewCanvas ? previewCanvas.getContext('2d') : null;
+        if (downloadBtn) {
+            this.listen(downloadBtn, 'click', () => this.download());
+        }
+        if (currentAngleBtn) {
+            this.listen(currentAngleBtn, 'click', () => {
+                this.apply({ degrees: Math.round(animation.getCrankAngle() * 10) / 10 });
+                this.showErrors([]);
+            });
+        }
+        const refresh = () => this.syncInputs();
+        this.unsubscribe.push(
+            animation.on('geometrychange', refresh),
+            animation.on('timingchange', refresh),
+            animation.on('layoutchange', refresh),
+            animation.on('ignitionchange', refresh),
+            animation.on('injectionchange', refresh),
+            animation.on('cyclemodechange', () => {
+                if (this.settings.degrees >= animation.cycle.degrees) {
+                    this.settings = { ...this.settings, degrees: this.settings.degrees % animation.cycle.degrees };
+                }
+                refresh();
+            })
+        );
+        this.init();
+    }
+
+    values() {
+        return this.settings;
+    }
+
+    defaults() {
+        return DEFAULT_DIAGRAM_OPTIONS;
+    }
+
+    validate(values) {
+        return validateDiagramOptions(values, this.animation.cycle.degrees);
+    }
+
+    apply(values) {
+        this.settings = { ...this.settings, ...values };
+        this.syncInputs();
+    }
+
+    hint(name, values) {
+        if (name !== 'degrees') {
+            return null;
+        }
+        return validateDiagramOptions(values, this.animation.cycle.degrees).length > 0
+            ? ''
+            : describeCrankAngle(values.degrees);
+    }
+
+    syncInputs() {
+        super.syncInputs();
+        this.renderPreview();
+    }
+
+    // Fit the drawing to the preview canvas, using a throwaway SvgContext to measure it
+    renderPreview() {
+        const ctx = this.previewCtx;
+        if (!ctx) {
+            return;
+        }
+        const { width, height } = ctx.canvas;
+        const measure = new SvgContext(width, height);
+        drawDiagram(this.animation, measure, this.settings);
+        const { minX, minY, maxX, maxY } = measure.bounds;
+        const scale = Math.min((width - 16) / (maxX - minX), (height - 16) / (maxY - minY));
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.setTransform(scale, 0, 0, scale, width / 2 - (scale * (minX + maxX)) / 2, height / 2 - (scale * (minY + maxY)) / 2);
+        drawDiagram(this.animation, ctx, this.settings);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    download() {
+        const svg = renderDiagramSvg(this.animation, this.settings);
+        const degrees = String(this.settings.degrees).replace('.', '_');
+        downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `engine-${this.animation.cycleMode}-${degrees}deg.svg`);
+    }
+}
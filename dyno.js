@@ -0,0 +1,282 @@
+// Dyno: torque on the crank from each cylinder's gas force times the slider-crank lever arm, live through
+// the cycle and averaged over it, plus brake torque and power swept across engine speeds with the
+// current geometry, timing and cycle.
+
+const DYNO_PLOT_MARGIN = { left: 44, right: 44, top: 14, bottom: 24, gap: 28 };
+
+// Engine speeds the sweep covers, widened to take in the engine speed when it lies outside
+const DYNO_SWEEP = { from: 1000, to: 9000, step: 250 };
+
+class DynoPanel {
+    constructor(animation, canvas, options = {}) {
+        this.animation = animation;
+        this.canvas = canvas || null;
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.ui = { ...options.ui };
+        this.cycleTorque = null;
+        this.sweep = null;
+
+        const invalidate = () => {
+            this.cycleTorque = null;
+            this.sweep = null;
+            this.render();
+        };
+        this.unsubscribe = [
+            animation.on('frame', () => this.render()),
+            animation.on('rpmchange', () => {
+                this.cycleTorque = null;
+                this.render();
+            }),
+            animation.on('geometrychange', invalidate),
+            animation.on('timingchange', invalidate),
+            animation.on('ignitionchange', invalidate),
+            animation.on('injectionchange', invalidate),
+            animation.on('layoutchange', invalidate),
+            animation.on('cyclemodechange', invalidate)
+        ];
+        this.render();
+    }
+
+    // Crank torque every 2° across one cycle, kept until the engine changes
+    getCycleTorque() {
+        if (!this.cycleTorque) {
+            const points = [];
+            for (let degrees = 0; degrees <= this.animation.cycle.degrees; degrees += 2) {
+                points.push(this.animation.crankTorqueAt(degrees));
+            }
+            this.cycleTorque = points;
+        }
+        return this.cycleTorque;
+    }
+
+    // Brake torque and power at every sweep speed
+    getSweep() {
+        const rpm = this.animation.engineRpm;
+        const from = Math.min(DYNO_SWEEP.from, Math.floor(rpm / DYNO_SWEEP.step) * DYNO_SWEEP.step);
+        const to = Math.max(DYNO_SWEEP.to, Math.ceil(rpm / DYNO_SWEEP.step) * DYNO_SWEEP.step);
+        if (!this.sweep || this.sweep.from !== from || this.sweep.to !== to) {
+            const points = [];
+            for (let speed = from; speed <= to; speed += DYNO_SWEEP.step) {
+                points.push(this.animation.getEngineOutput(speed));
+            }
+            this.sweep = { from, to, points };
+        }
+        return this.sweep;
+    }
+
+    render() {
+        const animation = this.animation;
+        const angle = animation.getCrankAngle();
+        const output = animation.getEngineOutput();
+        const sweep = this.getSweep();
+        const { torqueValue, meanTorqueValue, powerValue, summaryEl } = this.ui;
+
+        if (torqueValue) {
+            torqueValue.textContent = `${animation.crankTorqueAt(angle).toFixed(1)} N·m`;
+        }
+        if (meanTorqueValue) {
+            meanTorqueValue.textContent = `${output.indicatedTorque.toFixed(1)} N·m`;
+        }
+        if (powerValue) {
+            powerValue.textContent = `${output.power.toFixed(1)} kW at ${Math.round(output.rpm)} rpm`;
+        }
+        if (summaryEl) {
+            const peakTorque = sweep.points.reduce((best, point) => (point.torque > best.torque ? point : best));
+            const peakPower = sweep.points.reduce((best, point) => (point.power > best.power ? point : best));
+            summaryEl.textContent = `Brake ${output.torque.toFixed(1)} N·m after ${output.frictionTorque.toFixed(1)} N·m of friction · `
+                + `peak torque ${peakTorque.torque.toFixed(1)} N·m at ${peakTorque.rpm} rpm · `
+                + `peak power ${peakPower.power.toFixed(1)} kW at ${peakPower.rpm} rpm`;
+        }
+
+        if (!this.ctx) {
+            return;
+        }
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const margin = DYNO_PLOT_MARGIN;
+        const plotHeight = (height - margin.top - margin.bottom - margin.gap) / 2;
+        const area = (index) => ({
+            left: margin.left,
+            top: margin.top + index * (plotHeight + margin.gap),
+            width: width - margin.left - margin.right,
+            height: plotHeight
+        });
+        this.drawCycleChart(area(0), angle, output.indicatedTorque);
+        this.drawSweepChart(area(1), sweep, output);
+    }
+
+    // Gridlines and labels for a value axis from `min` to `max`, on the left or right edge of the area
+    drawValueAxis(area, { min, max, step, side, toY }) {
+        const ctx = this.ctx;
+        ctx.strokeStyle = '#e3e7f1';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#5c6478';
+        ctx.font = '10px "Segoe UI", sans-serif';
+        ctx.textAlign = side === 'left' ? 'right' : 'left';
+        ctx.textBaseline = 'middle';
+        for (let value = min; value <= max + 1e-9; value += step) {
+            const y = toY(value);
+            if (side === 'left') {
+                ctx.beginPath();
+                ctx.moveTo(area.left, y);
+                ctx.lineTo(area.left + area.width, y);
+                ctx.stroke();
+                ctx.fillText(String(Math.round(value)), area.left - 6, y);
+            } else {
+                ctx.fillText(String(Math.round(value)), area.left + area.width + 6, y);
+            }
+        }
+    }
+
+    // Instantaneous crank torque over the cycle, with stroke bands, the cycle average and the crank cursor
+    drawCycleChart(area, angle, meanTorque) {
+        const ctx = this.ctx;
+        const { cycle, strokes } = this.animation;
+        const points = this.getCycleTorque();
+        const low = Math.min(...points, 0);
+        const high = Math.max(...points, 1e-6);
+        const step = niceAxisStep((high - low) * 1.1, 4);
+        const min = Math.floor(low / step) * step;
+        const max = Math.ceil(high / step) * step;
+        const toX = (degrees) => area.left + (degrees / cycle.degrees) * area.width;
+        const toY = (value) => area.top + ((max - value) / (max - min)) * area.height;
+        const strokeDegrees = cycle.degrees / strokes.length;
+
+        strokes.forEach((stroke, index) => {
+            ctx.save();
+            ctx.globalAlpha = 0.08;
+            ctx.fillStyle = stroke.color;
+            ctx.fillRect(toX(index * strokeDegrees), area.top, toX(strokeDegrees) - toX(0), area.height);
+            ctx.restore();
+        });
+        this.drawValueAxis(area, { min, max, step, side: 'left', toY });
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let degrees = 0; degrees <= cycle.degrees; degrees += 180) {
+            ctx.fillText(`${degrees}°`, toX(degrees), area.top + area.height + 4);
+        }
+
+        // Torque that drives the crank above zero, torque the crank has to supply below it
+        ctx.fillStyle = 'rgba(102, 126, 234, 0.15)';
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(0));
+        points.forEach((value, i) => ctx.lineTo(toX(i * 2), toY(value)));
+        ctx.lineTo(toX((points.length - 1) * 2), toY(0));
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = '#667eea';
+        ctx.lineWidth = 2.5;
+        ctx.beginPath();
+        points.forEach((value, i) => (i === 0 ? ctx.moveTo(toX(0), toY(value)) : ctx.lineTo(toX(i * 2), toY(value))));
+        ctx.stroke();
+
+        ctx.strokeStyle = '#e65100';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(area.left, toY(meanTorque));
+        ctx.lineTo(area.left + area.width, toY(meanTorque));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const cursorX = toX(angle);
+        ctx.strokeStyle = '#2e3a4f';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(cursorX, area.top);
+        ctx.lineTo(cursorX, area.top + area.height);
+        ctx.stroke();
+        ctx.fillStyle = '#667eea';
+        ctx.beginPath();
+        ctx.arc(cursorX, toY(this.animation.crankTorqueAt(angle)), 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        this.drawLegend(area, 'N·m', [
+            { label: 'crank torque', color: '#667eea' },
+            { label: 'cycle average', color: '#e65100' }
+        ]);
+    }
+
+    // Brake torque (left axis) and power (right axis) against engine speed, with the engine speed marked
+    drawSweepChart(area, sweep, output) {
+        const ctx = this.ctx;
+        const { from, to, points } = sweep;
+        const torqueHigh = Math.max(...points.map((point) => point.torque), 1e-6) * 1.1;
+        const powerHigh = Math.max(...points.map((point) => point.power), 1e-6) * 1.1;
+        const torqueStep = niceAxisStep(torqueHigh, 4);
+        const powerStep = niceAxisStep(powerHigh, 4);
+        const torqueMax = Math.ceil(torqueHigh / torqueStep) * torqueStep;
+        const powerMax = Math.ceil(powerHigh / powerStep) * powerStep;
+        // Friction can outweigh the gas at high speed; clip below zero rather than stretch the axis
+        const toX = (rpm) => area.left + ((rpm - from) / (to - from)) * area.width;
+        const torqueY = (value) => area.top + (1 - clamp(value, 0, torqueMax) / torqueMax) * area.height;
+        const powerY = (value) => area.top + (1 - clamp(value, 0, powerMax) / powerMax) * area.height;
+
+        this.drawValueAxis(area, { min: 0, max: torqueMax, step: torqueStep, side: 'left', toY: torqueY });
+        this.drawValueAxis(area, { min: 0, max: powerMax, step: powerStep, side: 'right', toY: powerY });
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const labelStep = niceAxisStep(to - from, 4);
+        for (let rpm = Math.ceil(from / labelStep) * labelStep; rpm <= to; rpm += labelStep) {
+            ctx.fillText(String(rpm), toX(rpm), area.top + area.height + 4);
+        }
+
+        [
+            { color: '#667eea', value: (point) => torqueY(point.torque) },
+            { color: '#2e7d32', value: (point) => powerY(point.power) }
+        ].forEach(({ color, value }) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2.5;
+            ctx.beginPath();
+            points.forEach((point, i) => (i === 0
+                ? ctx.moveTo(toX(point.rpm), value(point))
+                : ctx.lineTo(toX(point.rpm), value(point))));
+            ctx.stroke();
+        });
+
+        const markerX = toX(output.rpm);
+        ctx.strokeStyle = '#2e3a4f';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(markerX, area.top);
+        ctx.lineTo(markerX, area.top + area.height);
+        ctx.stroke();
+        ctx.fillStyle = '#667eea';
+        ctx.beginPath();
+        ctx.arc(markerX, torqueY(output.torque), 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#2e7d32';
+        ctx.beginPath();
+        ctx.arc(markerX, powerY(output.power), 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        this.drawLegend(area, 'rpm', [
+            { label: 'brake torque (N·m)', color: '#667eea' },
+            { label: 'power (kW)', color: '#2e7d32' }
+        ]);
+    }
+
+    drawLegend(area, unit, entries) {
+        const ctx = this.ctx;
+        ctx.font = '600 11px "Segoe UI", sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#2e3a4f';
+        ctx.fillText(unit, area.left + 6, area.top + 8);
+        let legendX = area.left + 12 + ctx.measureText(unit).width;
+        for (const entry of entries) {
+            ctx.fillStyle = entry.color;
+            ctx.fillRect(legendX, area.top + 4, 10, 8);
+            ctx.fillStyle = '#2e3a4f';
+            ctx.fillText(entry.label, legendX + 14, area.top + 8);
+            legendX += ctx.measureText(entry.label).width + 28;
+        }
+    }
+
+    destroy() {
+        this.unsubscribe.forEach((off) => off());
+        this.unsubscribe = [];
+    }
+}
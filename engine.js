@@ -1,1143 +1,1508 @@
-// Engine Animation Configuration
-const canvas = document.getElementById('engineCanvas');
-const ctx = canvas.getContext('2d');
-const autoPauseToggle = document.getElementById('autoPauseToggle');
-const resumeBtn = document.getElementById('resumeBtn');
-
-// Animation state
-let animationId = null;
-let isPlaying = true;
-let animationSpeed = 1;
-let time = 0;
-let lastPistonY = null;
-let autoPauseEnabled = autoPauseToggle ? !autoPauseToggle.checked : true;
-let lastStrokeIndex = null;
-
-if (resumeBtn) {
-    resumeBtn.style.display = 'none';
-}
-
-const particles = {
-    intake: [],
-    chamber: [],
-    exhaust: []
-};
-
-const PARTICLE_LIMITS = {
-    intake: 100,
-    chamber: 220,
-    exhaust: 160
-};
-
-function createMixtureColor() {
-    const palette = [
-        { r: 70, g: 170, b: 220 },
-        { r: 60, g: 190, b: 200 },
-        { r: 80, g: 180, b: 210 },
-        { r: 90, g: 200, b: 240 }
-    ];
-    const base = palette[Math.floor(Math.random() * palette.length)];
-    return {
-        r: base.r + Math.floor(rand(-10, 10)),
-        g: base.g + Math.floor(rand(-15, 15)),
-        b: base.b + Math.floor(rand(-10, 10))
-    };
-}
-
-// Engine dimensions and positions
-const engine = {
-    cylinderX: 400,
-    cylinderY: 150,
-    cylinderWidth: 180,
-    cylinderHeight: 280,
-    pistonWidth: 170,
-    pistonHeight: 60,
-    crankRadius: 80,
-    rodLength: 140,
-    crankX: 400,
-    crankY: 480,
-};
-
-// Stroke cycle information
-const strokes = [
-    {
-        name: 'Intake',
-        description: 'Air-fuel mixture enters through the intake valve as the piston moves down.',
-        duration: Math.PI * 2 / 4
-    },
-    {
-        name: 'Compression',
-        description: 'Both valves close and the piston moves up, compressing the air-fuel mixture.',
-        duration: Math.PI * 2 / 4
-    },
-    {
-        name: 'Power (Combustion)',
-        description: 'Spark plug ignites the compressed mixture, creating an explosion that drives the piston down.',
-        duration: Math.PI * 2 / 4
-    },
-    {
-        name: 'Exhaust',
-        description: 'Exhaust valve opens and the piston moves up, pushing burnt gases out.',
-        duration: Math.PI * 2 / 4
-    }
-];
-
-// Get current stroke based on time
-function getCurrentStroke() {
-    const cycleTime = time % (Math.PI * 2);
-    const strokeIndex = Math.floor(cycleTime / (Math.PI * 2 / 4));
-    return strokes[strokeIndex];
-}
-
-function clamp(value, min, max) {
-    return Math.min(Math.max(value, min), max);
-}
-
-function rand(min, max) {
-    return Math.random() * (max - min) + min;
-}
-
-function drawRoundedRect(ctx, x, y, width, height, radius) {
-    const r = Math.min(radius, Math.abs(width) / 2, Math.abs(height) / 2);
-    ctx.beginPath();
-    ctx.moveTo(x + r, y);
-    ctx.lineTo(x + width - r, y);
-    ctx.arcTo(x + width, y, x + width, y + r, r);
-    ctx.lineTo(x + width, y + height - r);
-    ctx.arcTo(x + width, y + height, x + width - r, y + height, r);
-    ctx.lineTo(x + r, y + height);
-    ctx.arcTo(x, y + height, x, y + height - r, r);
-    ctx.lineTo(x, y + r);
-    ctx.arcTo(x, y, x + r, y, r);
-    ctx.closePath();
-}
-
-function cycleDistance(a, b) {
-    const diff = Math.abs(a - b);
-    return Math.min(diff, 1 - diff);
-}
-
-function easeInOut(t) {
-    const clamped = clamp(t, 0, 1);
-    return clamped * clamped * (3 - 2 * clamped);
-}
-
-function computeValveLift(fraction, openStart, openEnd, ramp = 0.08) {
-    const normalizedFraction = (fraction % 1 + 1) % 1;
-    const normalizedStart = (openStart % 1 + 1) % 1;
-    const normalizedEnd = (openEnd % 1 + 1) % 1;
-
-    let duration;
-    let local;
-
-    if (normalizedStart === normalizedEnd) {
-        return 1;
-    }
-
-    if (normalizedStart < normalizedEnd) {
-        if (normalizedFraction < normalizedStart || normalizedFraction > normalizedEnd) {
-            return 0;
-        }
-        duration = normalizedEnd - normalizedStart;
-        local = normalizedFraction - normalizedStart;
-    } else {
-        duration = (1 - normalizedStart) + normalizedEnd;
-        if (normalizedFraction >= normalizedStart) {
-            local = normalizedFraction - normalizedStart;
-        } else if (normalizedFraction <= normalizedEnd) {
-            local = (1 - normalizedStart) + normalizedFraction;
-        } else {
-            return 0;
-        }
-    }
-
-    const rampDuration = Math.min(Math.max(ramp, 0), duration / 2);
-    if (rampDuration <= 0) {
-        return 1;
-    }
-
-    if (local < rampDuration) {
-        return easeInOut(local / rampDuration);
-    }
-    if (local > duration - rampDuration) {
-        const closingProgress = (local - (duration - rampDuration)) / rampDuration;
-        return 1 - easeInOut(closingProgress);
-    }
-
-    return 1;
-}
-
-function spawnIntakeParticles(lift, pistonVelocity, speedFactor) {
-    if (lift <= 0) {
-        return;
-    }
-    const available = PARTICLE_LIMITS.intake - particles.intake.length;
-    if (available <= 0) {
-        return;
-    }
-
-    const spawnMultiplier = speedFactor >= 1 ? speedFactor : 1;
-    const baseSpawn = Math.ceil(lift * 6 * spawnMultiplier);
-    const spawnCount = Math.min(Math.max(baseSpawn, 1), available);
-    const intakeX = engine.cylinderX - 55;
-    const startY = engine.cylinderY - 55;
-
-    for (let i = 0; i < spawnCount; i++) {
-        particles.intake.push({
-            x: intakeX + rand(-9, 9),
-            y: startY + rand(-12, 6),
-            vx: rand(0.25, 0.9),
-            vy: rand(1.8, 2.8) + Math.max(pistonVelocity, 0) * 0.02 * speedFactor,
-            radius: rand(1.6, 2.4),
-            alpha: rand(0.5, 0.8),
-            life: 0,
-            maxLife: 120,
-            color: createMixtureColor(),
-            state: 'intake',
-            spin: rand(-0.018, 0.018)
-        });
-    }
-}
-
-function updateParticles({
-    intakeLift,
-    exhaustLift,
-    sparkActive,
-    strokeIndex,
-    pistonY,
-    pistonVelocity,
-    speedFactor
-}) {
-    const dt = Math.max(speedFactor, 0.01);
-    if (intakeLift > 0.05 && pistonVelocity > 0) {
-        spawnIntakeParticles(intakeLift, pistonVelocity, dt);
-    }
-
-    const intakeList = particles.intake;
-    let intakeWrite = 0;
-    for (let i = 0; i < intakeList.length; i++) {
-        const p = intakeList[i];
-        p.life += dt;
-        const jitterX = rand(-0.02, 0.02) * dt;
-        const jitterY = rand(-0.01, 0.04) * dt;
-        p.x += p.vx * dt + jitterX;
-        p.y += p.vy * dt + jitterY;
-
-        if (p.y >= engine.cylinderY + 6) {
-            if (particles.chamber.length < PARTICLE_LIMITS.chamber) {
-                const initialFill = Math.random();
-                particles.chamber.push({
-                    x: p.x + rand(-10, 10),
-                    y: engine.cylinderY + rand(8, 38),
-                    vx: rand(-0.25, 0.25),
-                    vy: rand(-0.18, 0.18),
-                    radius: p.radius * rand(0.95, 1.6),
-                    alpha: rand(0.45, 0.7),
-                    life: 0,
-                    maxLife: 280,
-                    color: createMixtureColor(),
-                    state: 'mixture',
-                    spin: p.spin !== undefined ? p.spin : rand(-0.018, 0.018),
-                    fillRatio: initialFill,
-                    baseFill: initialFill,
-                    spreadBias: rand(-1, 1)
-                });
-            }
-            continue;
-        }
-
-        if (p.life < p.maxLife) {
-            intakeList[intakeWrite++] = p;
-        }
-    }
-    intakeList.length = intakeWrite;
-
-    const minX = engine.cylinderX - engine.pistonWidth / 2 + 12;
-    const maxX = engine.cylinderX + engine.pistonWidth / 2 - 12;
-    const minY = engine.cylinderY + 8;
-    const maxY = pistonY - 10;
-    const exhaustValveX = engine.cylinderX + 55;
-    const exhaustValveY = engine.cylinderY - 30 + exhaustLift * 28;
-    const exhaustExitX = exhaustValveX + 140;
-    const allowExhaustExit = exhaustLift > 0.08 && strokeIndex === 3;
-    const valveCorridorWidth = 44;
-    const valveCorridorHalf = valveCorridorWidth / 2;
-    const valveCorridorTop = engine.cylinderY - 32;
-    const valveCorridorBottom = engine.cylinderY + 68;
-    const inValveCorridor = (x, y) => (
-        allowExhaustExit &&
-        x >= exhaustValveX - valveCorridorHalf &&
-        x <= exhaustValveX + valveCorridorHalf &&
-        y >= valveCorridorTop &&
-        y <= valveCorridorBottom
-    );
-    const chamberCenterX = engine.cylinderX;
-    const chamberCenterY = engine.cylinderY + (pistonY - engine.cylinderY) * 0.42;
-    const exhaustSuctionScale = allowExhaustExit
-        ? clamp((engine.cylinderY + engine.cylinderHeight - pistonY) / engine.cylinderHeight, 0.05, 1)
-        : 0;
-    const exhaustPressureFactor = strokeIndex === 3
-        ? 1 + clamp(-pistonVelocity, 0, 22) * 0.1 + exhaustSuctionScale * 1.8 + exhaustLift * 0.5
-        : 1;
-
-    const chamberList = particles.chamber;
-    let chamberWrite = 0;
-    for (let i = 0; i < chamberList.length; i++) {
-        const p = chamberList[i];
-        p.life += dt;
-        p.vx += rand(-0.025, 0.025) * dt;
-        p.vy += (rand(-0.035, 0.035) + pistonVelocity * 0.0025) * dt;
-        p.x += p.vx * dt;
-        p.y += p.vy * dt;
-
-        if (strokeIndex === 3) {
-            const pressureMagnitude = clamp(-pistonVelocity, 0, 18);
-            if (pressureMagnitude > 0) {
-                const gx = p.x - chamberCenterX;
-                const gy = p.y - chamberCenterY;
-                const distance = Math.max(Math.hypot(gx, gy), 1);
-                const radialPush = pressureMagnitude * 0.0022 * exhaustPressureFactor * dt;
-                p.vx += (gx / distance) * radialPush;
-                p.vy += (gy / distance) * radialPush;
-                const turbulence = pressureMagnitude * exhaustPressureFactor * dt;
-                p.vx += rand(-0.0022, 0.0022) * turbulence;
-                p.vy += rand(-0.0022, 0.0022) * turbulence;
-            }
-        }
-
-        let corridorNow = inValveCorridor(p.x, p.y);
-
-        if (allowExhaustExit) {
-            const seatX = exhaustValveX;
-            const seatY = engine.cylinderY + 24;
-            const dx = seatX - p.x;
-            const dy = seatY - p.y;
-            const distance = Math.max(Math.hypot(dx, dy), 1);
-            const suctionBase = exhaustLift * (0.007 + exhaustSuctionScale * 0.011) * exhaustPressureFactor * dt;
-            p.vx += (dx / distance) * suctionBase;
-            p.vy += (dy / distance) * suctionBase;
-
-            const upwardAssist = (0.05 + exhaustSuctionScale * 0.14) * exhaustLift * exhaustPressureFactor * dt;
-            p.vy -= upwardAssist;
-
-            if (corridorNow) {
-                const exitDirX = 0.1;
-                const exitDirY = -0.995;
-                const mag = Math.max(Math.hypot(exitDirX, exitDirY), 0.001);
-                const exitPush = 0.1 * exhaustLift * (1 + exhaustSuctionScale * 1.9) * exhaustPressureFactor * dt;
-                p.vx += (exitDirX / mag) * exitPush;
-                p.vy += (exitDirY / mag) * exitPush;
-                if (p.y > engine.cylinderY) {
-                    p.vy -= 0.085 * exhaustLift * (1 + exhaustSuctionScale * 1.2) * exhaustPressureFactor * dt;
-                }
-            }
-        }
-
-        if (p.x < minX) {
-            p.x = minX;
-            p.vx *= -0.45;
-        } else if (p.x > maxX && !corridorNow) {
-            p.x = maxX;
-            p.vx *= -0.45;
-        }
-
-        if (p.y < minY && !(corridorNow && p.x >= exhaustValveX - valveCorridorHalf)) {
-            p.y = minY;
-            p.vy *= -0.45;
-        } else if (p.y > maxY) {
-            p.y = maxY;
-            p.vy *= -0.45;
-        }
-
-        corridorNow = inValveCorridor(p.x, p.y);
-
-        const isPressurized = (
-            p.state === 'mixture' ||
-            p.state === 'ignited' ||
-            (p.state === 'burnt' && strokeIndex < 3)
-        );
-        if (isPressurized) {
-            if (p.spin === undefined) {
-                p.spin = rand(-0.016, 0.016);
-            }
-            if (p.fillRatio === undefined) {
-                p.fillRatio = Math.random();
-            }
-            if (p.baseFill === undefined) {
-                p.baseFill = p.fillRatio;
-            }
-            if (p.spreadBias === undefined) {
-                p.spreadBias = rand(-1, 1);
-            }
-
-            const chamberHeight = Math.max(pistonY - engine.cylinderY - 22, 28);
-
-            let targetFill = p.fillRatio;
-            if (strokeIndex === 0) {
-                targetFill += (Math.random() - 0.5) * 0.02;
-            } else if (strokeIndex === 1) {
-                targetFill -= Math.min(pistonVelocity, 0) * 0.005;
-            } else if (strokeIndex === 2) {
-                const expansion = Math.max(pistonVelocity, 0);
-                targetFill = clamp(
-                    p.baseFill * (0.75 + expansion * 0.04) +
-                        p.fillRatio * 0.15 +
-                        (Math.random() - 0.5) * 0.06,
-                    0,
-                    1
-                );
-            }
-            targetFill = clamp(targetFill, 0, 1);
-            p.fillRatio = clamp((p.fillRatio * 4 + targetFill) / 5, 0, 1);
-
-            const desiredY = engine.cylinderY + 12 + p.fillRatio * chamberHeight;
-            const dy = desiredY - p.y;
-            p.vy += clamp(dy, -180, 180) * 0.00135 * dt;
-
-            const spreadRadius = engine.pistonWidth / 2 - 18;
-            const desiredX = engine.cylinderX + p.spreadBias * spreadRadius;
-            const dx = desiredX - p.x;
-            p.vx += clamp(dx, -150, 150) * 0.0012 * dt;
-
-            if (strokeIndex === 0) {
-                p.vx += p.spin * 0.5 * dt;
-                p.spreadBias = clamp(p.spreadBias + p.spin * 0.015 * dt, -1, 1);
-            } else if (strokeIndex === 1) {
-                p.vy += pistonVelocity * 0.01 * dt;
-            } else if (strokeIndex === 2) {
-                p.vx += p.spin * 0.35 * dt;
-                const expansion = Math.max(pistonVelocity, 0);
-                const upwardBias = 1 - p.fillRatio;
-                p.vy += expansion * 0.006 * dt;
-                p.vy -= upwardBias * expansion * 0.012 * dt;
-                const ignitionX = engine.cylinderX;
-                const ignitionY = engine.cylinderY + 12;
-                const gx = p.x - ignitionX;
-                const gy = p.y - ignitionY;
-                const distance = Math.max(Math.hypot(gx, gy), 1);
-                const pressurePush = 0.06 * clamp(1 - distance / (engine.pistonWidth * 0.6), 0.12, 1) * dt;
-                p.vx += (gx / distance) * pressurePush;
-                p.vy += (gy / distance) * pressurePush;
-            }
-        }
-
-        if (sparkActive && p.state === 'mixture') {
-            p.state = 'ignited';
-            p.color = {
-                r: 220 + Math.floor(Math.random() * 35),
-                g: 140 + Math.floor(Math.random() * 60),
-                b: 30 + Math.floor(Math.random() * 45)
-            };
-            p.radius *= rand(1.2, 1.6);
-            p.alpha = rand(0.72, 0.9);
-        } else if (!sparkActive && p.state === 'ignited' && strokeIndex === 3) {
-            p.state = 'burnt';
-            p.color = { r: 110, g: 110, b: 110 };
-            p.alpha = 0.55;
-        }
-
-        if (p.state === 'mixture') {
-            p.alpha = clamp(p.alpha + rand(-0.01, 0.015) * dt, 0.35, 0.7);
-        } else if (p.state === 'ignited') {
-            p.alpha = clamp(p.alpha - 0.004 * dt, 0.45, 0.9);
-        } else if (p.state === 'burnt') {
-            p.alpha = clamp(p.alpha - 0.003 * dt, 0.25, 0.6);
-        }
-
-        const exitWindowX = valveCorridorHalf * 0.6;
-        const exitWindowY = engine.cylinderY - 4;
-        const readyToExit = allowExhaustExit &&
-            particles.exhaust.length < PARTICLE_LIMITS.exhaust &&
-            corridorNow &&
-            Math.abs(p.x - exhaustValveX) <= exitWindowX &&
-            (p.y <= exitWindowY || (p.y <= engine.cylinderY + 2 && p.vy <= -0.12));
-
-        if (readyToExit) {
-            const pressureBoost = exhaustPressureFactor;
-            const exitVx = Math.max(p.vx, 0.35) + 0.28 * exhaustLift * pressureBoost;
-            const exitVy = p.vy * 0.45 - (0.32 + exhaustLift * 0.12) * pressureBoost;
-            particles.exhaust.push({
-                x: p.x + rand(-3, 3),
-                y: p.y + rand(-3, 3),
-                vx: exitVx + rand(0.3, 0.8),
-                vy: exitVy + rand(-0.85, 0.05),
-                radius: p.radius * rand(0.9, 1.35),
-                alpha: rand(0.5, 0.72),
-                life: 0,
-                maxLife: 160,
-                color: p.state === 'ignited'
-                    ? { r: 230 + Math.floor(Math.random() * 15), g: 120 + Math.floor(Math.random() * 30), b: 60 + Math.floor(Math.random() * 30) }
-                    : { r: 80 + Math.floor(Math.random() * 30), g: 80 + Math.floor(Math.random() * 30), b: 80 + Math.floor(Math.random() * 30) }
-            });
-            continue;
-        }
-
-        if (p.life < p.maxLife) {
-            chamberList[chamberWrite++] = p;
-        }
-    }
-    chamberList.length = chamberWrite;
-
-    const exhaustList = particles.exhaust;
-    let exhaustWrite = 0;
-    for (let i = 0; i < exhaustList.length; i++) {
-        const p = exhaustList[i];
-        p.life += dt;
-        p.vx += 0.018 * dt;
-        p.vy += -0.012 * dt;
-        p.x += p.vx * dt + rand(-0.05, 0.05) * dt;
-        p.y += p.vy * dt + rand(-0.08, 0.08) * dt;
-        p.alpha *= Math.pow(0.965, dt);
-
-        if (
-            p.life < p.maxLife &&
-            p.alpha > 0.06 &&
-            p.y > engine.cylinderY - 200 &&
-            p.x < exhaustExitX + 160
-        ) {
-            exhaustList[exhaustWrite++] = p;
-        }
-    }
-    exhaustList.length = exhaustWrite;
-}
-
-function drawParticles() {
-    const renderGroup = (group) => {
-        for (const p of group) {
-            const alpha = clamp(p.alpha, 0, 1);
-            const gradient = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, p.radius * 1.5);
-            gradient.addColorStop(0, `rgba(${p.color.r}, ${p.color.g}, ${p.color.b}, ${alpha})`);
-            gradient.addColorStop(0.7, `rgba(${p.color.r}, ${p.color.g}, ${p.color.b}, ${alpha * 0.2})`);
-            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-            ctx.fillStyle = gradient;
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, p.radius * 1.5, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.fillStyle = `rgba(${p.color.r}, ${p.color.g}, ${p.color.b}, ${alpha})`;
-            ctx.beginPath();
-            ctx.arc(p.x, p.y, p.radius * 0.6, 0, Math.PI * 2);
-            ctx.fill();
-        }
-    };
-
-    ctx.save();
-    ctx.globalCompositeOperation = 'lighter';
-    ctx.save();
-    ctx.translate(0, -2);
-    renderGroup(particles.intake);
-    ctx.restore();
-
-    renderGroup(particles.chamber);
-    ctx.save();
-    ctx.translate(4, -6);
-    renderGroup(particles.exhaust);
-    ctx.restore();
-    ctx.restore();
-}
-
-// Calculate piston position based on crankshaft angle
-function getPistonPosition(angle) {
-    const crankOffsetX = Math.cos(angle) * engine.crankRadius;
-    const crankOffsetY = Math.sin(angle) * engine.crankRadius;
-
-    const crankX = engine.crankX + crankOffsetX;
-    const crankY = engine.crankY + crankOffsetY;
-
-    // Slider-crank constraint keeps rod length fixed; guard against rounding errors
-    const horizontal = crankOffsetX;
-    const rodVertical = Math.sqrt(Math.max(engine.rodLength ** 2 - horizontal ** 2, 0));
-    const pistonCenterY = crankY - rodVertical;
-    const pistonY = pistonCenterY - engine.pistonHeight / 2;
-
-    return {
-        pistonY,
-        crankX,
-        crankY,
-        pistonCenterY
-    };
-}
-
-// Draw cylinder block
-function drawCylinder() {
-    const gradient = ctx.createLinearGradient(
-        engine.cylinderX - engine.cylinderWidth / 2, 0,
-        engine.cylinderX + engine.cylinderWidth / 2, 0
-    );
-    gradient.addColorStop(0, '#555');
-    gradient.addColorStop(0.5, '#777');
-    gradient.addColorStop(1, '#555');
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(
-        engine.cylinderX - engine.cylinderWidth / 2,
-        engine.cylinderY,
-        engine.cylinderWidth,
-        engine.cylinderHeight
-    );
-    
-    // Cylinder walls (cutaway view)
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 4;
-    ctx.strokeRect(
-        engine.cylinderX - engine.cylinderWidth / 2,
-        engine.cylinderY,
-        engine.cylinderWidth,
-        engine.cylinderHeight
-    );
-    
-    // Combustion chamber (top)
-    ctx.fillStyle = '#444';
-    ctx.fillRect(
-        engine.cylinderX - engine.cylinderWidth / 2,
-        engine.cylinderY - 30,
-        engine.cylinderWidth,
-        30
-    );
-    ctx.strokeRect(
-        engine.cylinderX - engine.cylinderWidth / 2,
-        engine.cylinderY - 30,
-        engine.cylinderWidth,
-        30
-    );
-}
-
-// Draw valves
-function drawValves(intakeLift, exhaustLift) {
-    const baseY = engine.cylinderY - 30;
-    const valveStroke = 28;
-    const guideHeight = 85;
-
-    renderValve({
-        x: engine.cylinderX - 55,
-        baseY,
-        stroke: valveStroke,
-        lift: intakeLift,
-        color: '#4CAF50',
-        label: 'INTAKE',
-        direction: 'in',
-        guideHeight
-    });
-
-    renderValve({
-        x: engine.cylinderX + 55,
-        baseY,
-        stroke: valveStroke,
-        lift: exhaustLift,
-        color: '#f44336',
-        label: 'EXHAUST',
-        direction: 'out',
-        guideHeight
-    });
-}
-
-function renderValve({ x, baseY, stroke, lift, color, label, direction, guideHeight }) {
-    const headRadiusX = 32;
-    const headRadiusY = 11;
-    const stemWidth = 7;
-    const guideWidth = 26;
-    const guideTop = baseY - guideHeight;
-    const liftOffset = stroke * clamp(lift, 0, 1);
-    const headCenterY = baseY + liftOffset;
-
-    // Valve guide housing
-    ctx.fillStyle = '#d7dce2';
-    ctx.fillRect(x - guideWidth / 2, guideTop, guideWidth, guideHeight - 8);
-    ctx.strokeStyle = '#9aa0a6';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(x - guideWidth / 2, guideTop, guideWidth, guideHeight - 8);
-
-    // Valve spring hint
-    const springTurns = 6;
-    const springTop = guideTop + 12;
-    const springBottom = springTop + 40;
-    ctx.strokeStyle = '#a0a6ad';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(x - guideWidth / 2 + 4, springTop);
-    for (let i = 0; i <= springTurns; i++) {
-        const t = i / springTurns;
-        const y = springTop + t * (springBottom - springTop);
-        const offset = (i % 2 === 0 ? -guideWidth / 2 + 4 : guideWidth / 2 - 4);
-        ctx.lineTo(x + offset, y);
-    }
-    ctx.stroke();
-
-    // Valve stem
-    ctx.strokeStyle = '#6d7075';
-    ctx.lineWidth = stemWidth;
-    ctx.lineCap = 'round';
-    ctx.beginPath();
-    ctx.moveTo(x, guideTop);
-    ctx.lineTo(x, headCenterY - headRadiusY);
-    ctx.stroke();
-
-    // Valve head
-    const headGradient = ctx.createLinearGradient(x - headRadiusX, headCenterY, x + headRadiusX, headCenterY);
-    headGradient.addColorStop(0, '#b0b4b9');
-    headGradient.addColorStop(0.5, '#f5f6f7');
-    headGradient.addColorStop(1, '#b0b4b9');
-    ctx.fillStyle = headGradient;
-    ctx.beginPath();
-    ctx.ellipse(x, headCenterY, headRadiusX, headRadiusY, 0, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.strokeStyle = '#56585b';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-
-    // Flow visualization when valve is open
-    if (lift > 0.05) {
-        ctx.save();
-        ctx.globalAlpha = clamp(lift, 0, 1) * 0.6;
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-        const plumeCount = 3;
-        for (let i = 0; i < plumeCount; i++) {
-            const spread = (i - (plumeCount - 1) / 2) * 8;
-            ctx.beginPath();
-            if (direction === 'in') {
-                ctx.moveTo(x + spread, headCenterY - headRadiusY);
-                ctx.bezierCurveTo(
-                    x + spread * 0.6,
-                    headCenterY + 10,
-                    engine.cylinderX - engine.pistonWidth / 4,
-                    engine.cylinderY + 40,
-                    engine.cylinderX,
-                    engine.cylinderY + 90
-                );
-            } else {
-                ctx.moveTo(x + spread, headCenterY - headRadiusY);
-                ctx.bezierCurveTo(
-                    x + spread * 0.6,
-                    headCenterY - 40,
-                    engine.cylinderX + engine.pistonWidth / 3,
-                    engine.cylinderY - 100,
-                    engine.cylinderX + engine.pistonWidth / 2,
-                    engine.cylinderY - 150
-                );
-            }
-            ctx.stroke();
-        }
-        ctx.restore();
-    }
-
-    // Valve label
-    ctx.fillStyle = color;
-    ctx.font = 'bold 12px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText(label, x, guideTop - 12);
-}
-
-// Draw piston
-function drawPiston(y) {
-    const gradient = ctx.createLinearGradient(
-        engine.cylinderX - engine.pistonWidth / 2, y,
-        engine.cylinderX + engine.pistonWidth / 2, y
-    );
-    gradient.addColorStop(0, '#aaa');
-    gradient.addColorStop(0.5, '#ddd');
-    gradient.addColorStop(1, '#aaa');
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(
-        engine.cylinderX - engine.pistonWidth / 2,
-        y,
-        engine.pistonWidth,
-        engine.pistonHeight
-    );
-    
-    // Piston rings
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 3;
-    for (let i = 1; i <= 3; i++) {
-        ctx.beginPath();
-        ctx.moveTo(engine.cylinderX - engine.pistonWidth / 2 + 5, y + i * 15);
-        ctx.lineTo(engine.cylinderX + engine.pistonWidth / 2 - 5, y + i * 15);
-        ctx.stroke();
-    }
-    
-    // Piston outline
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 3;
-    ctx.strokeRect(
-        engine.cylinderX - engine.pistonWidth / 2,
-        y,
-        engine.pistonWidth,
-        engine.pistonHeight
-    );
-}
-
-// Draw connecting rod
-function drawConnectingRod(pistonY, crankX, crankY) {
-    const pistonPinY = pistonY + engine.pistonHeight / 2;
-    
-    ctx.strokeStyle = '#555';
-    ctx.lineWidth = 12;
-    ctx.lineCap = 'round';
-    
-    ctx.beginPath();
-    ctx.moveTo(engine.cylinderX, pistonPinY);
-    ctx.lineTo(crankX, crankY);
-    ctx.stroke();
-    
-    // Piston pin
-    ctx.fillStyle = '#777';
-    ctx.beginPath();
-    ctx.arc(engine.cylinderX, pistonPinY, 10, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-    
-    // Crank pin
-    ctx.fillStyle = '#777';
-    ctx.beginPath();
-    ctx.arc(crankX, crankY, 10, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-}
-
-// Draw crankshaft
-function drawCrankshaft(angle) {
-    const pos = getPistonPosition(angle);
-    
-    // Main journal
-    ctx.fillStyle = '#444';
-    ctx.beginPath();
-    ctx.arc(engine.crankX, engine.crankY, 25, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.strokeStyle = '#222';
-    ctx.lineWidth = 3;
-    ctx.stroke();
-    
-    // Crank arm
-    ctx.strokeStyle = '#555';
-    ctx.lineWidth = 20;
-    ctx.beginPath();
-    ctx.moveTo(engine.crankX, engine.crankY);
-    ctx.lineTo(pos.crankX, pos.crankY);
-    ctx.stroke();
-    
-    // Counterweight
-    const counterX = engine.crankX - Math.cos(angle) * engine.crankRadius * 0.55;
-    const counterY = engine.crankY - Math.sin(angle) * engine.crankRadius * 0.55;
-    
-    ctx.fillStyle = '#666';
-    ctx.beginPath();
-    ctx.arc(counterX, counterY, 26, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-}
-
-// Draw combustion/air-fuel mixture
-function drawCombustion(pistonY, stroke, strokePhase, sparkActive) {
-    const chamberHeight = pistonY - engine.cylinderY;
-    const chamberY = engine.cylinderY;
-    
-    ctx.save();
-    ctx.globalAlpha = 0.6;
-    
-    if (stroke.name === 'Intake') {
-        ctx.globalAlpha = 0.15;
-        ctx.fillStyle = '#4CAF50';
-        ctx.fillRect(
-            engine.cylinderX - engine.pistonWidth / 2 + 5,
-            chamberY,
-            engine.pistonWidth - 10,
-            chamberHeight
-        );
-    } else if (stroke.name === 'Compression') {
-        const compressionFactor = strokePhase;
-        ctx.globalAlpha = 0.25 + compressionFactor * 0.35;
-        const gradient = ctx.createLinearGradient(
-            engine.cylinderX, chamberY,
-            engine.cylinderX, pistonY
-        );
-        gradient.addColorStop(0, '#FFCA80');
-        gradient.addColorStop(1, '#FFE0B2');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(
-            engine.cylinderX - engine.pistonWidth / 2 + 5,
-            chamberY,
-            engine.pistonWidth - 10,
-            chamberHeight
-        );
-
-        if (sparkActive) {
-            ctx.globalAlpha = 0.8;
-            const sparkGradient = ctx.createRadialGradient(
-                engine.cylinderX,
-                chamberY + 12,
-                0,
-                engine.cylinderX,
-                chamberY + 12,
-                engine.pistonWidth / 2
-            );
-            sparkGradient.addColorStop(0, '#FFFFFF');
-            sparkGradient.addColorStop(0.3, '#FFE082');
-            sparkGradient.addColorStop(0.65, 'rgba(255, 126, 0, 0.35)');
-            sparkGradient.addColorStop(1, 'rgba(255, 140, 0, 0)');
-            ctx.fillStyle = sparkGradient;
-            ctx.fillRect(
-                engine.cylinderX - engine.pistonWidth / 2 + 5,
-                chamberY,
-                engine.pistonWidth - 10,
-                chamberHeight * 0.6
-            );
-        }
-    } else if (stroke.name === 'Power (Combustion)') {
-        // Explosion effect
-        if (strokePhase < 0.22) {
-            // Bright flash
-            const flashIntensity = Math.sin(strokePhase * Math.PI / 0.22);
-            ctx.globalAlpha = 0.75 * flashIntensity;
-            const gradient = ctx.createRadialGradient(
-                engine.cylinderX, chamberY + chamberHeight / 2,
-                0,
-                engine.cylinderX, chamberY + chamberHeight / 2,
-                engine.pistonWidth / 2
-            );
-            gradient.addColorStop(0, '#FFF');
-            gradient.addColorStop(0.25, '#FFD400');
-            gradient.addColorStop(0.55, '#FF6B00');
-            gradient.addColorStop(1, '#8B0000');
-            ctx.fillStyle = gradient;
-        } else {
-            // Expanding hot gases
-            ctx.globalAlpha = 0.65;
-            const gradient = ctx.createLinearGradient(
-                engine.cylinderX, chamberY,
-                engine.cylinderX, pistonY
-            );
-            gradient.addColorStop(0, '#FF6B00');
-            gradient.addColorStop(0.45, '#FF4500');
-            gradient.addColorStop(1, '#C62828');
-            ctx.fillStyle = gradient;
-        }
-        ctx.fillRect(
-            engine.cylinderX - engine.pistonWidth / 2 + 5,
-            chamberY,
-            engine.pistonWidth - 10,
-            chamberHeight
-        );
-        
-        // Spark effect
-        if (strokePhase < 0.15) {
-            ctx.globalAlpha = 1;
-            ctx.strokeStyle = '#FFFF00';
-            ctx.lineWidth = 3;
-            ctx.beginPath();
-            const sparkX = engine.cylinderX;
-            const sparkY = engine.cylinderY - 15;
-            for (let i = 0; i < 5; i++) {
-                const angle = (i / 5) * Math.PI * 2;
-                const length = 15 + Math.random() * 10;
-                ctx.moveTo(sparkX, sparkY);
-                ctx.lineTo(
-                    sparkX + Math.cos(angle) * length,
-                    sparkY + Math.sin(angle) * length
-                );
-            }
-            ctx.stroke();
-        }
-    } else if (stroke.name === 'Exhaust') {
-        // Dark exhaust gases
-        const alpha = 1 - strokePhase * 0.7;
-        ctx.globalAlpha = 0.5 * alpha;
-        const gradient = ctx.createLinearGradient(
-            engine.cylinderX, chamberY,
-            engine.cylinderX, pistonY
-        );
-        gradient.addColorStop(0, '#424242');
-        gradient.addColorStop(1, '#616161');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(
-            engine.cylinderX - engine.pistonWidth / 2 + 5,
-            chamberY,
-            engine.pistonWidth - 10,
-            chamberHeight
-        );
-    }
-    
-    ctx.restore();
-}
-
-// Draw spark plug
-function drawSparkPlug(firing) {
-    const sparkX = engine.cylinderX;
-    const sparkY = engine.cylinderY - 30;
-    
-    // Spark plug body
-    ctx.fillStyle = '#888';
-    ctx.fillRect(sparkX - 8, sparkY - 40, 16, 40);
-    ctx.strokeStyle = '#333';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(sparkX - 8, sparkY - 40, 16, 40);
-    
-    // Electrode
-    ctx.strokeStyle = firing ? '#FFFF00' : '#666';
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(sparkX, sparkY);
-    ctx.lineTo(sparkX, sparkY + 15);
-    ctx.stroke();
-    
-    if (firing) {
-        ctx.fillStyle = '#FFFF00';
-        ctx.beginPath();
-        ctx.arc(sparkX, sparkY + 15, 4, 0, Math.PI * 2);
-        ctx.fill();
-    }
-}
-
-function drawStrokeLabel(stroke) {
-    const labelWidth = 200;
-    const labelHeight = 70;
-    const labelX = canvas.width - labelWidth - 25;
-    const labelY = engine.cylinderY + 30;
-
-    ctx.save();
-    ctx.shadowColor = 'rgba(30, 30, 30, 0.4)';
-    ctx.shadowBlur = 6;
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
-    ctx.strokeStyle = 'rgba(80, 80, 80, 0.4)';
-    ctx.lineWidth = 2;
-    drawRoundedRect(ctx, labelX, labelY, labelWidth, labelHeight, 18);
-    ctx.fill();
-    ctx.stroke();
-    ctx.restore();
-
-    ctx.fillStyle = '#2e3a4f';
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    const labelCenterX = labelX + labelWidth / 2;
-    if (stroke.name === 'Power (Combustion)') {
-        ctx.font = '700 24px "Segoe UI", sans-serif';
-        ctx.fillText('POWER', labelCenterX, labelY + labelHeight / 2 - 12);
-        ctx.font = '600 20px "Segoe UI", sans-serif';
-        ctx.fillText('COMBUSTION', labelCenterX, labelY + labelHeight / 2 + 16);
-    } else {
-        ctx.font = '700 26px "Segoe UI", sans-serif';
-        ctx.fillText(stroke.name.toUpperCase(), labelCenterX, labelY + labelHeight / 2);
-    }
-}
-
-// Main animation loop
-function animate() {
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
-    // Update time
-    const wasPlaying = isPlaying;
-    if (isPlaying) {
-        time += 0.02 * animationSpeed;
-    }
-    
-    const cycleTime = time % (Math.PI * 2);
-
-    // Calculate crank angle (two crank revolutions per full four-stroke cycle)
-    const crankAngle = (cycleTime * 2) - Math.PI / 2;
-    const pos = getPistonPosition(crankAngle);
-    
-    // Get current stroke
-    const stroke = getCurrentStroke();
-    const cycleFraction = cycleTime / (Math.PI * 2);
-    const strokeIndex = Math.floor(cycleTime / (Math.PI * 2 / 4));
-    const strokePhase = (cycleTime % (Math.PI * 2 / 4)) / (Math.PI * 2 / 4);
-
-    const strokeChanged = strokeIndex !== lastStrokeIndex;
-    if (lastStrokeIndex === null) {
-        lastStrokeIndex = strokeIndex;
-    } else if (autoPauseEnabled && wasPlaying && strokeChanged) {
-        isPlaying = false;
-        if (resumeBtn) {
-            resumeBtn.style.display = 'inline-block';
-        }
-    }
-    lastStrokeIndex = strokeIndex;
-    
-    // Determine valve lift profiles with smooth timing overlap
-    const intakeLift = computeValveLift(cycleFraction, 0.92, 0.32, 0.07);
-    const exhaustLift = computeValveLift(cycleFraction, 0.68, 0.08, 0.07);
-    const sparkActive = cycleDistance(cycleFraction, 0.5) < 0.012;
-
-    const speedFactor = animationSpeed;
-    const pistonDelta = wasPlaying && lastPistonY !== null ? pos.pistonY - lastPistonY : 0;
-    const pistonVelocity = wasPlaying && speedFactor > 0 ? pistonDelta / speedFactor : 0;
-
-    if (wasPlaying) {
-        updateParticles({
-            intakeLift,
-            exhaustLift,
-            sparkActive,
-            strokeIndex,
-            pistonY: pos.pistonY,
-            pistonVelocity,
-            speedFactor
-        });
-    }
-
-    lastPistonY = pos.pistonY;
-    
-    // Draw components in order (back to front)
-    drawCylinder();
-    drawCombustion(pos.pistonY, stroke, strokePhase, sparkActive);
-    drawParticles();
-    drawValves(intakeLift, exhaustLift);
-    drawSparkPlug(sparkActive);
-    drawStrokeLabel(stroke);
-    drawPiston(pos.pistonY);
-    drawConnectingRod(pos.pistonY, pos.crankX, pos.crankY);
-    drawCrankshaft(crankAngle);
-    
-    // Update UI
-    document.getElementById('currentStroke').textContent = stroke.name;
-    document.getElementById('strokeInfo').textContent = stroke.description;
-    
-    // Continue animation
-    animationId = requestAnimationFrame(animate);
-}
-
-// Event listeners
-if (autoPauseToggle) {
-    autoPauseToggle.addEventListener('change', () => {
-        autoPauseEnabled = !autoPauseToggle.checked;
-        if (!autoPauseEnabled) {
-            isPlaying = true;
-        }
-        if (resumeBtn) {
-            resumeBtn.style.display = autoPauseEnabled && !isPlaying ? 'inline-block' : 'none';
-        }
-    });
-}
-
-if (resumeBtn) {
-    resumeBtn.addEventListener('click', () => {
-        isPlaying = true;
-        resumeBtn.style.display = 'none';
-    });
-}
-
-document.getElementById('resetBtn').addEventListener('click', () => {
-    time = 0;
-    isPlaying = true;
-    lastPistonY = null;
-    lastStrokeIndex = null;
-    if (autoPauseToggle) {
-        autoPauseEnabled = !autoPauseToggle.checked;
-    }
-    if (resumeBtn) {
-        resumeBtn.style.display = 'none';
-    }
-});
-
-document.getElementById('speedSlider').addEventListener('input', (e) => {
-    animationSpeed = parseFloat(e.target.value);
-    document.getElementById('speedValue').textContent = animationSpeed.toFixed(1) + 'x';
-});
-
-// Start animation
-animate();
+// Drawing and the frame loop: EngineAnimation draws an EngineSimulation (simulation.js) on a canvas and runs it
+// from requestAnimationFrame.
+
+// Adaptive particle budget: the share of PARTICLE_LIMITS in use follows the measured time each frame takes to
+// step and draw. `frameMs` is the work allowed per display frame, split between every animation running on the
+// page, leaving the rest of a 60 Hz frame to the browser and the `frame` listeners' panels. Every `window` frames
+// the share is cut in proportion when frames run long, or grows by `grow` while they stay under `headroom` of
+// the allowance.
+const PARTICLE_BUDGET = {
+    frameMs: 8,
+    window: 30,
+    min: 0.1,
+    grow: 1.1,
+    headroom: 0.7
+};
+
+// Animations whose frame loop is running, which share PARTICLE_BUDGET.frameMs
+const RUNNING_ANIMATIONS = new Set();
+
+// Longest stretch of real time one display frame may cover
+const MAX_FRAME_MS = 250;
+
+// Zoom and pan that fit every cylinder, valve gear included, on the canvas.
+// A single cylinder keeps the identity view so its drawing is unchanged.
+function computeViewport(engine, cylinders, width, height) {
+    if (cylinders.length === 1) {
+        return { zoom: 1, x: 0, y: 0 };
+    }
+    const halfWidth = Math.max(engine.cylinderWidth / 2, engine.valveOffset + 30);
+    const top = engine.cylinderY - engine.valveRecess - 115;
+    const bottom = engine.crankY + engine.crankRadius + 30;
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let minY = Infinity;
+    let maxY = -Infinity;
+    for (const cylinder of cylinders) {
+        const cos = Math.cos(cylinder.tilt);
+        const sin = Math.sin(cylinder.tilt);
+        const corners = [
+            [engine.cylinderX - halfWidth, top],
+            [engine.cylinderX + halfWidth, top],
+            [engine.cylinderX - halfWidth, bottom],
+            [engine.cylinderX + halfWidth, bottom]
+        ];
+        for (const [x, y] of corners) {
+            const dx = x - engine.crankX;
+            const dy = y - engine.crankY;
+            const worldX = engine.crankX + cylinder.offsetX + dx * cos - dy * sin;
+            const worldY = engine.crankY + dx * sin + dy * cos;
+            minX = Math.min(minX, worldX);
+            maxX = Math.max(maxX, worldX);
+            minY = Math.min(minY, worldY);
+            maxY = Math.max(maxY, worldY);
+        }
+    }
+    const margin = 20;
+    const zoom = Math.min(1, (width - margin * 2) / (maxX - minX), (height - margin * 2) / (maxY - minY));
+    return {
+        zoom,
+        x: width / 2 - zoom * (minX + maxX) / 2,
+        y: height / 2 - zoom * (minY + maxY) / 2
+    };
+}
+
+// Gridline spacing of 1, 2 or 5 × a power of ten giving roughly `ticks` divisions up to `max`
+function niceAxisStep(max, ticks) {
+    const raw = max / ticks;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    return [1, 2, 5, 10].find((m) => m * magnitude >= raw) * magnitude;
+}
+
+function drawRoundedRect(ctx, x, y, width, height, radius) {
+    const r = Math.min(radius, Math.abs(width) / 2, Math.abs(height) / 2);
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.lineTo(x + width - r, y);
+    ctx.arcTo(x + width, y, x + width, y + r, r);
+    ctx.lineTo(x + width, y + height - r);
+    ctx.arcTo(x + width, y + height, x + width - r, y + height, r);
+    ctx.lineTo(x + r, y + height);
+    ctx.arcTo(x, y + height, x, y + height - r, r);
+    ctx.lineTo(x, y + r);
+    ctx.arcTo(x, y, x + r, y, r);
+    ctx.closePath();
+}
+
+// Whether the viewer has asked their system for less motion
+function prefersReducedMotion() {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+        && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Device pixels per CSS pixel, 1 outside a browser
+function currentDevicePixelRatio() {
+    return typeof window !== 'undefined' && window.devicePixelRatio > 0 ? window.devicePixelRatio : 1;
+}
+
+// Self-contained engine animation bound to a single canvas.
+// Every instance owns its clock, particle pools and DOM listeners, so several
+// engines can share a page or be mounted and torn down by a host framework.
+// Any 2D context will do, so it also draws into an OffscreenCanvas or, in Node, a node-canvas canvas.
+class EngineAnimation extends EngineSimulation {
+    constructor(canvas, options = {}) {
+        if (!canvas || typeof canvas.getContext !== 'function') {
+            throw new TypeError('EngineAnimation requires a canvas element');
+        }
+        const ui = { ...options.ui };
+        super({
+            ...options,
+            autoPause: options.autoPause !== undefined
+                ? options.autoPause
+                : !(ui.autoPauseToggle && ui.autoPauseToggle.checked),
+            reducedMotion: options.reducedMotion !== undefined ? options.reducedMotion : prefersReducedMotion()
+        });
+
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        // Canvas pixels per drawing unit, so the same picture can be drawn into a larger backing store
+        this.pixelRatio = options.pixelRatio !== undefined ? Number(options.pixelRatio) : 1;
+        if (!Number.isFinite(this.pixelRatio) || this.pixelRatio <= 0) {
+            throw new RangeError(`Invalid pixel ratio: ${options.pixelRatio}`);
+        }
+        // Drawing units are fixed here; resizing the canvas only changes how many pixels each unit covers
+        this.drawingSize = { width: canvas.width / this.pixelRatio, height: canvas.height / this.pixelRatio };
+        this.fitView();
+        this.ui = ui;
+
+        // Animation state
+        this.animationId = null;
+        this.lastFrameTime = null;
+        this.showStrokeLabel = options.strokeLabel !== false;
+        this.hiddenPause = false;
+        this.overlays = new Set();
+        this.adaptiveParticles = options.adaptiveParticles !== false;
+        this.budgetSample = { frames: 0, ms: 0 };
+        this.renderedFrame = null;
+        this.partCylinder = null;
+
+        this.animate = this.animate.bind(this);
+        this.listeners = [];
+        this.bindControls();
+        if (options.pauseWhenHidden !== false && typeof document !== 'undefined') {
+            this.listen(document, 'visibilitychange', () => this.setHidden(document.hidden));
+        }
+        if (options.reducedMotion === undefined && typeof window !== 'undefined' && typeof window.matchMedia === 'function') {
+            // Follow the system setting when it changes, unless the host chose a mode
+            this.listen(window.matchMedia('(prefers-reduced-motion: reduce)'), 'change', (e) => this.setReducedMotion(e.matches));
+        }
+        this.syncControls();
+        this.resizeObserver = null;
+        this.pixelRatioWatch = null;
+        if (options.responsive) {
+            this.observeSize();
+        }
+
+        // Outside a browser there is no frame loop; drive the animation with advance() and render()
+        if (options.autoStart !== false && typeof requestAnimationFrame === 'function') {
+            this.start();
+        }
+    }
+
+    // Wire optional page controls; listeners are tracked so destroy() can remove them
+    bindControls() {
+        const { autoPauseToggle, reducedMotionToggle, resumeBtn, resetBtn, speedSlider, engineRpmSlider, cycleModeSelect } = this.ui;
+
+        if (autoPauseToggle) {
+            this.listen(autoPauseToggle, 'change', () => {
+                this.setAutoPause(!autoPauseToggle.checked);
+            });
+        }
+
+        if (reducedMotionToggle) {
+            this.listen(reducedMotionToggle, 'change', () => {
+                this.setReducedMotion(reducedMotionToggle.checked);
+            });
+        }
+
+        if (resumeBtn) {
+            this.listen(resumeBtn, 'click', () => this.play());
+        }
+
+        if (resetBtn) {
+            this.listen(resetBtn, 'click', () => this.reset());
+        }
+
+        if (speedSlider) {
+            this.listen(speedSlider, 'input', (e) => {
+                this.setSpeed(parseFloat(e.target.value));
+            });
+        }
+
+        if (engineRpmSlider) {
+            this.listen(engineRpmSlider, 'input', (e) => {
+                this.setEngineRpm(parseFloat(e.target.value));
+            });
+        }
+
+        if (cycleModeSelect) {
+            this.listen(cycleModeSelect, 'change', () => {
+                try {
+                    this.setCycleMode(cycleModeSelect.value);
+                    this.showCycleModeError('');
+                } catch (error) {
+                    // Leaving two-stroke can fail valve clearance for a geometry only a two-stroke allows
+                    cycleModeSelect.value = this.cycleMode;
+                    this.showCycleModeError(error.message);
+                }
+            });
+        }
+    }
+
+    showCycleModeError(message) {
+        const { cycleModeSelect, cycleModeError } = this.ui;
+        if (cycleModeError) {
+            cycleModeError.textContent = message;
+            cycleModeError.hidden = message === '';
+        }
+        if (cycleModeSelect) {
+            cycleModeSelect.setAttribute('aria-invalid', message === '' ? 'false' : 'true');
+        }
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    syncControls() {
+        const {
+            autoPauseToggle,
+            reducedMotionToggle,
+            resumeBtn,
+            speedSlider,
+            speedValue,
+            engineRpmSlider,
+            engineRpmValue,
+            cycleModeSelect,
+            cycleTitle
+        } = this.ui;
+        if (autoPauseToggle) {
+            autoPauseToggle.checked = !this.autoPauseEnabled;
+        }
+        if (reducedMotionToggle) {
+            reducedMotionToggle.checked = this.reducedMotion;
+        }
+        if (resumeBtn) {
+            resumeBtn.style.display = this.isPlaying ? 'none' : 'inline-block';
+        }
+        if (speedSlider && parseFloat(speedSlider.value) !== this.animationSpeed) {
+            speedSlider.value = String(this.animationSpeed);
+        }
+        if (speedValue) {
+            speedValue.textContent = `${this.animationSpeed.toFixed(1)}x (${Math.round(this.getRpm())} rpm)`;
+        }
+        if (engineRpmSlider && parseFloat(engineRpmSlider.value) !== this.engineRpm) {
+            engineRpmSlider.value = String(this.engineRpm);
+        }
+        if (engineRpmValue) {
+            engineRpmValue.textContent = `${Math.round(this.engineRpm)} rpm`;
+        }
+        if (cycleModeSelect && cycleModeSelect.value !== this.cycleMode) {
+            cycleModeSelect.value = this.cycleMode;
+        }
+        if (cycleTitle) {
+            cycleTitle.textContent = this.cycle.label;
+        }
+    }
+
+    // Redraw a canvas whose frame loop is stopped, so a change shows straight away
+    refresh() {
+        if (this.animationId === null && !this.destroyed) {
+            this.render();
+        }
+    }
+
+    start() {
+        if (this.animationId === null && !this.destroyed) {
+            this.lastFrameTime = null;
+            this.accumulator = 0;
+            this.animationId = requestAnimationFrame(this.animate);
+            RUNNING_ANIMATIONS.add(this);
+        }
+    }
+
+    // Stop the frame loop while the page is hidden and pick up where it was when it is shown again
+    setHidden(hidden) {
+        if (hidden && this.animationId !== null) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+            RUNNING_ANIMATIONS.delete(this);
+            this.hiddenPause = true;
+        } else if (!hidden && this.hiddenPause) {
+            this.hiddenPause = false;
+            this.start();
+        }
+    }
+
+    // The base constructor lays out the cylinders before the canvas size is known; the view is fitted once it is
+    buildCylinders() {
+        super.buildCylinders();
+        if (this.drawingSize) {
+            this.fitView();
+        }
+    }
+
+    // Zoom and pan that fit the current cylinders on the canvas
+    fitView() {
+        const { width, height } = this.viewSize();
+        this.view = computeViewport(this.engine, this.cylinders, width, height);
+    }
+
+    // Size of the drawing in drawing units, which are canvas pixels divided by the pixel ratio
+    viewSize() {
+        return { width: this.drawingSize.width, height: this.drawingSize.height };
+    }
+
+    // Give the canvas a backing store for showing it `displayWidth` CSS pixels wide on a screen with
+    // `devicePixelRatio` device pixels per CSS pixel, so it stays sharp on HiDPI screens. The height follows
+    // the drawing's aspect ratio and the drawing keeps its units. Returns whether the size changed.
+    resize(displayWidth, devicePixelRatio = currentDevicePixelRatio()) {
+        const width = Number(displayWidth);
+        const ratio = Number(devicePixelRatio);
+        if (!Number.isFinite(width) || width <= 0) {
+            throw new RangeError(`Invalid display width: ${displayWidth}`);
+        }
+        if (!Number.isFinite(ratio) || ratio <= 0) {
+            throw new RangeError(`Invalid device pixel ratio: ${devicePixelRatio}`);
+        }
+        const { width: unitsWide, height: unitsHigh } = this.drawingSize;
+        const pixelWidth = Math.max(Math.round(width * ratio), 1);
+        const pixelHeight = Math.max(Math.round((pixelWidth * unitsHigh) / unitsWide), 1);
+        if (pixelWidth === this.canvas.width && pixelHeight === this.canvas.height) {
+            return false;
+        }
+        // Setting the size clears the canvas, so draw again straight away rather than show a blank frame
+        this.canvas.width = pixelWidth;
+        this.canvas.height = pixelHeight;
+        this.pixelRatio = pixelWidth / unitsWide;
+        this.emit('resize', { width: pixelWidth, height: pixelHeight, pixelRatio: this.pixelRatio });
+        if (!this.destroyed) {
+            this.render();
+        }
+        return true;
+    }
+
+    // Follow the canvas's displayed size: it fills its container's width at the drawing's aspect ratio, and
+    // the backing store is resized whenever that width or the device pixel ratio changes
+    observeSize() {
+        const canvas = this.canvas;
+        canvas.style.width = '100%';
+        canvas.style.height = 'auto';
+        const fit = () => {
+            if (canvas.clientWidth > 0) {
+                this.resize(canvas.clientWidth);
+            }
+        };
+        if (typeof ResizeObserver === 'function') {
+            this.resizeObserver = new ResizeObserver(fit);
+            this.resizeObserver.observe(canvas);
+        } else if (typeof window !== 'undefined') {
+            this.listen(window, 'resize', fit);
+        }
+        this.watchDevicePixelRatio(fit);
+        fit();
+    }
+
+    // Call `onChange` when the page moves to a screen with another pixel ratio or the browser zoom changes.
+    // A resolution query only matches one ratio, so each change sets up a new one.
+    watchDevicePixelRatio(onChange) {
+        if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+            return;
+        }
+        const query = window.matchMedia(`(resolution: ${currentDevicePixelRatio()}dppx)`);
+        const handler = () => {
+            this.unwatchDevicePixelRatio();
+            onChange();
+            if (!this.destroyed) {
+                this.watchDevicePixelRatio(onChange);
+            }
+        };
+        query.addEventListener('change', handler);
+        this.pixelRatioWatch = { query, handler };
+    }
+
+    unwatchDevicePixelRatio() {
+        if (this.pixelRatioWatch) {
+            this.pixelRatioWatch.query.removeEventListener('change', this.pixelRatioWatch.handler);
+            this.pixelRatioWatch = null;
+        }
+    }
+
+    // A point on the page (clientX/clientY) in drawing units, allowing for the canvas's border and the size it
+    // is shown at
+    clientToDrawing(clientX, clientY) {
+        const canvas = this.canvas;
+        const rect = canvas.getBoundingClientRect();
+        const left = rect.left + (canvas.clientLeft || 0);
+        const top = rect.top + (canvas.clientTop || 0);
+        const shownWidth = canvas.clientWidth || rect.width;
+        const shownHeight = canvas.clientHeight || rect.height;
+        const { width, height } = this.drawingSize;
+        return {
+            x: ((clientX - left) / shownWidth) * width,
+            y: ((clientY - top) / shownHeight) * height
+        };
+    }
+
+    // A point on the page in engine space, the coordinates of `engine` and the draw methods before the
+    // multi-cylinder zoom and pan
+    clientToEngine(clientX, clientY) {
+        const point = this.clientToDrawing(clientX, clientY);
+        return {
+            x: (point.x - this.view.x) / this.view.zoom,
+            y: (point.y - this.view.y) / this.view.zoom
+        };
+    }
+
+    destroy() {
+        if (this.animationId !== null) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        RUNNING_ANIMATIONS.delete(this);
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+        this.unwatchDevicePixelRatio();
+        for (const { target, type, handler } of this.listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.listeners = [];
+        super.destroy();
+    }
+
+    // Fold one frame's work time into the adaptive budget, adjusting it once per window (see PARTICLE_BUDGET)
+    measureFrame(ms) {
+        const sample = this.budgetSample;
+        sample.frames += 1;
+        sample.ms += ms;
+        if (sample.frames < PARTICLE_BUDGET.window) {
+            return;
+        }
+        const average = sample.ms / sample.frames;
+        sample.frames = 0;
+        sample.ms = 0;
+        const allowance = PARTICLE_BUDGET.frameMs / Math.max(RUNNING_ANIMATIONS.size, 1);
+        let budget = this.particleBudget;
+        if (average > allowance) {
+            budget *= Math.max(allowance / average, 0.5);
+        } else if (average < allowance * PARTICLE_BUDGET.headroom) {
+            budget *= PARTICLE_BUDGET.grow;
+        }
+        this.setParticleBudget(budget);
+    }
+
+    // Scale every particle limit by `budget` (PARTICLE_BUDGET.min–1), trimming pools that are over
+    setParticleBudget(budget) {
+        if (!Number.isFinite(budget)) {
+            throw new RangeError(`Invalid particle budget: ${budget}`);
+        }
+        const value = clamp(budget, PARTICLE_BUDGET.min, 1);
+        if (value === this.particleBudget) {
+            return;
+        }
+        this.particleBudget = value;
+        this.trimParticles();
+        this.emit('particlebudgetchange', { budget: value });
+    }
+
+    // Every particle is a copy of its colour bucket's glow sprite, scaled to its radius and faded by its alpha.
+    // Reduced-motion mode draws flat dots instead.
+    drawParticles(particles) {
+        const ctx = this.ctx;
+        const renderPool = (pool) => {
+            const { x, y, radius, alpha, r, g, b } = pool;
+            for (let i = 0; i < pool.count; i++) {
+                const opacity = clamp(alpha[i], 0, 1);
+                if (this.reducedMotion) {
+                    ctx.fillStyle = `rgba(${r[i]}, ${g[i]}, ${b[i]}, ${opacity})`;
+                    ctx.beginPath();
+                    ctx.arc(x[i], y[i], radius[i] * 0.8, 0, Math.PI * 2);
+                    ctx.fill();
+                    continue;
+                }
+                const size = radius[i] * 3;
+                ctx.globalAlpha = opacity;
+                ctx.drawImage(PARTICLE_SPRITES.get(r[i], g[i], b[i]), x[i] - size / 2, y[i] - size / 2, size, size);
+            }
+        };
+
+        ctx.save();
+        ctx.globalCompositeOperation = 'lighter';
+        ctx.save();
+        ctx.translate(0, -2);
+        renderPool(particles.intake);
+        ctx.restore();
+
+        renderPool(particles.crankcase);
+        renderPool(particles.chamber);
+        ctx.save();
+        ctx.translate(4, -6);
+        renderPool(particles.exhaust);
+        ctx.restore();
+        ctx.restore();
+    }
+
+    // Draw cylinder block; every draw function below works in one cylinder's local frame (see render)
+    drawCylinder(state) {
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const gradient = ctx.createLinearGradient(
+            engine.cylinderX - engine.cylinderWidth / 2, 0,
+            engine.cylinderX + engine.cylinderWidth / 2, 0
+        );
+        gradient.addColorStop(0, '#555');
+        gradient.addColorStop(0.5, '#777');
+        gradient.addColorStop(1, '#555');
+
+        ctx.fillStyle = gradient;
+        ctx.fillRect(
+            engine.cylinderX - engine.cylinderWidth / 2,
+            engine.cylinderY,
+            engine.cylinderWidth,
+            engine.cylinderHeight
+        );
+
+        // Cylinder walls (cutaway view)
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 4;
+        ctx.strokeRect(
+            engine.cylinderX - engine.cylinderWidth / 2,
+            engine.cylinderY,
+            engine.cylinderWidth,
+            engine.cylinderHeight
+        );
+
+        // Combustion chamber (top)
+        ctx.fillStyle = '#444';
+        ctx.fillRect(
+            engine.cylinderX - engine.cylinderWidth / 2,
+            engine.cylinderY - engine.valveRecess,
+            engine.cylinderWidth,
+            engine.valveRecess
+        );
+        ctx.strokeRect(
+            engine.cylinderX - engine.cylinderWidth / 2,
+            engine.cylinderY - engine.valveRecess,
+            engine.cylinderWidth,
+            engine.valveRecess
+        );
+
+        // Number badge in the colour of the cylinder's stroke when there is more than one
+        if (this.cylinders.length > 1) {
+            const badgeX = engine.cylinderX - engine.cylinderWidth / 2 + 16;
+            const badgeY = engine.cylinderY + engine.cylinderHeight - 16;
+            ctx.fillStyle = state.stroke.color;
+            ctx.beginPath();
+            ctx.arc(badgeX, badgeY, 12, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+            ctx.fillStyle = '#fff';
+            ctx.font = '700 14px "Segoe UI", sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(String(state.cylinder.number), badgeX, badgeY + 1);
+        }
+    }
+
+    // Two-stroke crankcase: the sealed housing round the crank, shaded by how hard the falling
+    // piston has pressed the fresh charge inside it
+    drawCrankcase({ cycleFraction }) {
+        const ctx = this.ctx;
+        const layout = this.getPortLayout();
+        const crankcase = this.getCycleTrace().crankcase;
+        const { pressure } = sampleCrankcase(crankcase, cycleFraction * 360);
+        const charge = clamp((pressure - 1) / Math.max(crankcase.peakPressure - 1, 1e-6), 0, 1);
+        const width = layout.caseRight - layout.caseLeft;
+        const height = layout.caseBottom - layout.caseTop;
+
+        ctx.fillStyle = '#4a4a4a';
+        drawRoundedRect(ctx, layout.caseLeft, layout.caseTop, width, height, 26);
+        ctx.fill();
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 4;
+        ctx.stroke();
+
+        ctx.save();
+        ctx.globalAlpha = 0.12 + charge * 0.3;
+        ctx.fillStyle = '#4FC3F7';
+        drawRoundedRect(ctx, layout.caseLeft + 4, layout.caseTop + 4, width - 8, height - 8, 22);
+        ctx.fill();
+        ctx.restore();
+
+        ctx.fillStyle = '#eee';
+        ctx.font = '600 12px "Segoe UI", sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`${pressure.toFixed(2)} bar`, layout.caseLeft + 14, layout.caseBottom - 8);
+    }
+
+    // Two-stroke ports: exhaust through the right wall, transfer through the left fed by a duct from
+    // the crankcase, and the reed valve on the crankcase. Each passage lights up while it is open.
+    drawPorts({ openings }) {
+        const ctx = this.ctx;
+        const layout = this.getPortLayout();
+        const compact = this.cylinders.length > 1;
+        const ductLeft = layout.ductX - layout.ductWidth / 2;
+        const exhaustLength = compact ? 20 : 56;
+
+        const passage = (x, y, width, height, color, open) => {
+            ctx.fillStyle = '#3a3a3a';
+            ctx.fillRect(x, y, width, height);
+            if (open > 0) {
+                ctx.save();
+                ctx.globalAlpha = 0.25 + open * 0.5;
+                ctx.fillStyle = color;
+                ctx.fillRect(x, y, width, height);
+                ctx.restore();
+            }
+        };
+
+        // Transfer duct up the outside of the left wall, breaking through it at the port
+        passage(ductLeft, layout.transferTop, layout.ductWidth, layout.caseTop + 16 - layout.transferTop, '#26A69A', openings.transfer);
+        passage(layout.leftWall - 2, layout.transferTop, 4, layout.portBottom - layout.transferTop, '#26A69A', openings.transfer);
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(layout.leftWall, layout.transferTop);
+        ctx.lineTo(ductLeft, layout.transferTop);
+        ctx.lineTo(ductLeft, layout.caseTop + 2);
+        ctx.stroke();
+
+        // Exhaust port and stub pipe
+        passage(layout.rightWall - 2, layout.exhaustTop, exhaustLength + 2, layout.portBottom - layout.exhaustTop, '#f44336', openings.exhaust);
+        ctx.beginPath();
+        ctx.moveTo(layout.rightWall, layout.exhaustTop);
+        ctx.lineTo(layout.rightWall + exhaustLength, layout.exhaustTop);
+        ctx.moveTo(layout.rightWall, layout.portBottom);
+        ctx.lineTo(layout.rightWall + exhaustLength, layout.portBottom);
+        ctx.stroke();
+
+        // Reed valve: an intake stub on the crankcase with a petal that swings in on depression
+        const reedHeight = 30;
+        passage(layout.caseLeft - 40, layout.reedY - reedHeight / 2, 42, reedHeight, '#4CAF50', openings.intake);
+        ctx.beginPath();
+        ctx.moveTo(layout.caseLeft - 40, layout.reedY - reedHeight / 2);
+        ctx.lineTo(layout.caseLeft, layout.reedY - reedHeight / 2);
+        ctx.moveTo(layout.caseLeft - 40, layout.reedY + reedHeight / 2);
+        ctx.lineTo(layout.caseLeft, layout.reedY + reedHeight / 2);
+        ctx.stroke();
+        const petal = openings.intake * 0.8;
+        ctx.strokeStyle = '#ccc';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(layout.caseLeft + 2, layout.reedY - reedHeight / 2);
+        ctx.lineTo(
+            layout.caseLeft + 2 + Math.sin(petal) * reedHeight,
+            layout.reedY - reedHeight / 2 + Math.cos(petal) * reedHeight
+        );
+        ctx.stroke();
+
+        ctx.fillStyle = '#eee';
+        ctx.font = `600 ${compact ? 10 : 12}px "Segoe UI", sans-serif`;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'right';
+        ctx.fillText(compact ? 'IN' : 'Reed', layout.caseLeft - 44, layout.reedY);
+        if (!compact) {
+            ctx.textAlign = 'left';
+            ctx.fillText('Exhaust', layout.rightWall + exhaustLength + 4, (layout.exhaustTop + layout.portBottom) / 2);
+            ctx.textAlign = 'right';
+            ctx.fillText('Transfer', ductLeft - 4, layout.transferTop + 10);
+        }
+    }
+
+    // Draw valves
+    drawValves({ intakeLift, exhaustLift }) {
+        const engine = this.engine;
+        const baseY = engine.cylinderY - engine.valveRecess;
+        const valveStroke = engine.valveTravel;
+        const guideHeight = 85;
+        // Short labels keep neighbouring cylinders from crowding each other
+        const compact = this.cylinders.length > 1;
+
+        this.renderValve({
+            x: engine.cylinderX - engine.valveOffset,
+            baseY,
+            stroke: valveStroke,
+            lift: intakeLift,
+            color: '#4CAF50',
+            label: compact ? 'IN' : 'INTAKE',
+            direction: 'in',
+            guideHeight
+        });
+
+        this.renderValve({
+            x: engine.cylinderX + engine.valveOffset,
+            baseY,
+            stroke: valveStroke,
+            lift: exhaustLift,
+            color: '#f44336',
+            label: compact ? 'EX' : 'EXHAUST',
+            direction: 'out',
+            guideHeight
+        });
+    }
+
+    renderValve({ x, baseY, stroke, lift, color, label, direction, guideHeight }) {
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const headRadiusX = engine.valveHeadRadius;
+        const headRadiusY = engine.valveHeadThickness;
+        const stemWidth = 7;
+        const guideWidth = 26;
+        const guideTop = baseY - guideHeight;
+        const liftOffset = stroke * clamp(lift, 0, 1);
+        const headCenterY = baseY + liftOffset;
+
+        // Valve guide housing
+        this.drawPart('valveGuide', () => {
+            ctx.fillStyle = '#d7dce2';
+            ctx.fillRect(x - guideWidth / 2, guideTop, guideWidth, guideHeight - 8);
+            ctx.strokeStyle = '#9aa0a6';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x - guideWidth / 2, guideTop, guideWidth, guideHeight - 8);
+        });
+
+        // Valve spring hint
+        const springTurns = 6;
+        const springTop = guideTop + 12;
+        const springBottom = springTop + 40;
+        this.drawPart('valveSpring', () => {
+            ctx.strokeStyle = '#a0a6ad';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x - guideWidth / 2 + 4, springTop);
+            for (let i = 0; i <= springTurns; i++) {
+                const t = i / springTurns;
+                const y = springTop + t * (springBottom - springTop);
+                const offset = (i % 2 === 0 ? -guideWidth / 2 + 4 : guideWidth / 2 - 4);
+                ctx.lineTo(x + offset, y);
+            }
+            ctx.stroke();
+        });
+
+        this.drawPart(direction === 'in' ? 'intakeValve' : 'exhaustValve', () => {
+            // Valve stem
+            ctx.strokeStyle = '#6d7075';
+            ctx.lineWidth = stemWidth;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.moveTo(x, guideTop);
+            ctx.lineTo(x, headCenterY - headRadiusY);
+            ctx.stroke();
+
+            // Valve head
+            const headGradient = ctx.createLinearGradient(x - headRadiusX, headCenterY, x + headRadiusX, headCenterY);
+            headGradient.addColorStop(0, '#b0b4b9');
+            headGradient.addColorStop(0.5, '#f5f6f7');
+            headGradient.addColorStop(1, '#b0b4b9');
+            ctx.fillStyle = headGradient;
+            ctx.beginPath();
+            ctx.ellipse(x, headCenterY, headRadiusX, headRadiusY, 0, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#56585b';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        });
+
+        // Flow visualization when valve is open
+        if (lift > 0.05) {
+            ctx.save();
+            ctx.globalAlpha = clamp(lift, 0, 1) * 0.6;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            const plumeCount = 3;
+            for (let i = 0; i < plumeCount; i++) {
+                const spread = (i - (plumeCount - 1) / 2) * 8;
+                ctx.beginPath();
+                if (direction === 'in') {
+                    ctx.moveTo(x + spread, headCenterY - headRadiusY);
+                    ctx.bezierCurveTo(
+                        x + spread * 0.6,
+                        headCenterY + 10,
+                        engine.cylinderX - engine.pistonWidth / 4,
+                        engine.cylinderY + 40,
+                        engine.cylinderX,
+                        engine.cylinderY + 90
+                    );
+                } else {
+                    ctx.moveTo(x + spread, headCenterY - headRadiusY);
+                    ctx.bezierCurveTo(
+                        x + spread * 0.6,
+                        headCenterY - 40,
+                        engine.cylinderX + engine.pistonWidth / 3,
+                        engine.cylinderY - 100,
+                        engine.cylinderX + engine.pistonWidth / 2,
+                        engine.cylinderY - 150
+                    );
+                }
+                ctx.stroke();
+            }
+            ctx.restore();
+        }
+
+        // Valve label
+        ctx.fillStyle = color;
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(label, x, guideTop - 12);
+    }
+
+    // Draw piston
+    drawPiston({ pos }) {
+        const y = pos.pistonY;
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const gradient = ctx.createLinearGradient(
+            engine.cylinderX - engine.pistonWidth / 2, y,
+            engine.cylinderX + engine.pistonWidth / 2, y
+        );
+        gradient.addColorStop(0, '#aaa');
+        gradient.addColorStop(0.5, '#ddd');
+        gradient.addColorStop(1, '#aaa');
+
+        this.drawPart('piston', () => {
+            ctx.fillStyle = gradient;
+            ctx.fillRect(
+                engine.cylinderX - engine.pistonWidth / 2,
+                y,
+                engine.pistonWidth,
+                engine.pistonHeight
+            );
+        });
+
+        // Piston rings
+        this.drawPart('pistonRings', () => {
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 3;
+            for (let i = 1; i <= 3; i++) {
+                ctx.beginPath();
+                ctx.moveTo(engine.cylinderX - engine.pistonWidth / 2 + 5, y + i * 15);
+                ctx.lineTo(engine.cylinderX + engine.pistonWidth / 2 - 5, y + i * 15);
+                ctx.stroke();
+            }
+        });
+
+        // Piston outline
+        this.drawPart('piston', () => {
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 3;
+            ctx.strokeRect(
+                engine.cylinderX - engine.pistonWidth / 2,
+                y,
+                engine.pistonWidth,
+                engine.pistonHeight
+            );
+        });
+    }
+
+    // Draw connecting rod
+    // Arrow on the crown for the net gas force: red pushing the piston down, blue pulling it up.
+    // Its length grows with the square root of the force so both intake suction and peak firing load show.
+    drawPistonForce({ pos, gas }, labelled) {
+        const force = gas.force;
+        if (Math.abs(force) < 100) {
+            return;
+        }
+        const ctx = this.ctx;
+        const x = this.engine.cylinderX;
+        const crownY = pos.pistonY;
+        const length = Math.min(12 * Math.sqrt(Math.abs(force) / 1000), 80);
+        const direction = force > 0 ? 1 : -1;
+        const tailY = crownY - 4 - (direction > 0 ? length : 0);
+        const headY = crownY - 4 - (direction > 0 ? 0 : length);
+
+        ctx.save();
+        ctx.strokeStyle = direction > 0 ? '#d32f2f' : '#1976d2';
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.moveTo(x, tailY);
+        ctx.lineTo(x, headY);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(x, headY + direction * 4);
+        ctx.lineTo(x - 8, headY - direction * 8);
+        ctx.lineTo(x + 8, headY - direction * 8);
+        ctx.closePath();
+        ctx.fill();
+        if (labelled) {
+            ctx.font = '600 12px "Segoe UI", sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(`${(force / 1000).toFixed(1)} kN`, x + 12, (tailY + headY) / 2);
+        }
+        ctx.restore();
+    }
+
+    drawConnectingRod({ pos }) {
+        const { pistonY, crankX, crankY } = pos;
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const pistonPinY = pistonY + engine.pistonHeight / 2;
+
+        this.drawPart('connectingRod', () => {
+            ctx.strokeStyle = '#555';
+            ctx.lineWidth = 12;
+            ctx.lineCap = 'round';
+
+            ctx.beginPath();
+            ctx.moveTo(engine.cylinderX, pistonPinY);
+            ctx.lineTo(crankX, crankY);
+            ctx.stroke();
+        });
+
+        // Piston pin
+        this.drawPart('pistonPin', () => {
+            ctx.fillStyle = '#777';
+            ctx.beginPath();
+            ctx.arc(engine.cylinderX, pistonPinY, 10, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        });
+    }
+
+    // Draw the one crankshaft all cylinders share: a main shaft along an inline block with a throw
+    // under each cylinder, or a single throw that every bank of a V drives
+    drawCrankshaft(cylinderStates) {
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const offsets = cylinderStates.map(({ cylinder }) => cylinder.offsetX);
+        const shaftStart = engine.crankX + Math.min(...offsets);
+        const shaftEnd = engine.crankX + Math.max(...offsets);
+
+        if (shaftEnd > shaftStart) {
+            this.drawPart('mainJournal', () => {
+                ctx.strokeStyle = '#3a3a3a';
+                ctx.lineWidth = 16;
+                ctx.lineCap = 'round';
+                ctx.beginPath();
+                ctx.moveTo(shaftStart, engine.crankY);
+                ctx.lineTo(shaftEnd, engine.crankY);
+                ctx.stroke();
+            }, null);
+        }
+
+        const drawn = new Set();
+        for (const { cylinder, crankAngle } of cylinderStates) {
+            if (drawn.has(cylinder.offsetX)) {
+                continue;
+            }
+            drawn.add(cylinder.offsetX);
+            // Throw direction on screen: the cylinder's own crank angle turned by its bank tilt
+            const angle = crankAngle + cylinder.tilt;
+            const journalX = engine.crankX + cylinder.offsetX;
+            const pinX = journalX + Math.cos(angle) * engine.crankRadius;
+            const pinY = engine.crankY + Math.sin(angle) * engine.crankRadius;
+
+            // Main journal
+            this.drawPart('mainJournal', () => {
+                ctx.fillStyle = '#444';
+                ctx.beginPath();
+                ctx.arc(journalX, engine.crankY, 25, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.strokeStyle = '#222';
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }, cylinder.number);
+
+            // Crank arm
+            this.drawPart('crankWeb', () => {
+                ctx.strokeStyle = '#555';
+                ctx.lineWidth = 20;
+                ctx.lineCap = 'round';
+                ctx.beginPath();
+                ctx.moveTo(journalX, engine.crankY);
+                ctx.lineTo(pinX, pinY);
+                ctx.stroke();
+            }, cylinder.number);
+
+            // Counterweight
+            const counterX = journalX - Math.cos(angle) * engine.crankRadius * 0.55;
+            const counterY = engine.crankY - Math.sin(angle) * engine.crankRadius * 0.55;
+
+            this.drawPart('counterweight', () => {
+                ctx.fillStyle = '#666';
+                ctx.beginPath();
+                ctx.arc(counterX, counterY, 26, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.strokeStyle = '#333';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }, cylinder.number);
+
+            // Crank pin, on top of the arm so the rod's big end shows turning on it
+            this.drawPart('crankPin', () => {
+                ctx.fillStyle = '#777';
+                ctx.beginPath();
+                ctx.arc(pinX, pinY, 10, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.strokeStyle = '#333';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }, cylinder.number);
+        }
+    }
+
+    // Chamber gas coloured from the modelled state (see gasStateAt): a tint for the fresh charge that fades as
+    // it burns, the flame fronts spreading from the plug or injector (and the end gas when it knocks), the glow of hot gas by temperature, and
+    // burnt gas that darkens the chamber until the exhaust clears it
+    drawCombustion({ pos, sparkActive, cylinder, gas, diesel }) {
+        const pistonY = pos.pistonY;
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const chamberY = engine.cylinderY;
+        const chamberHeight = pistonY - chamberY;
+        const trace = this.getCycleTrace();
+        const unburnt = 1 - gas.burnFraction;
+        const glowAlpha = clamp((gas.temperature - GAS_MODEL.intakeTemperature) / 1500, 0, 0.75);
+        const glow = temperatureColor(gas.temperature);
+
+        ctx.save();
+        // Fresh charge: green mixture, or clear air on a diesel
+        this.fillChamber(pistonY, diesel ? '#90CAF9' : '#4CAF50', 0.15 * unburnt);
+
+        // Hot gas: compression warms it a little, combustion a lot
+        const glowGradient = ctx.createLinearGradient(engine.cylinderX, chamberY, engine.cylinderX, pistonY);
+        glowGradient.addColorStop(0, `rgb(${glow.r}, ${glow.g}, ${glow.b})`);
+        glowGradient.addColorStop(1, `rgb(${Math.round(glow.r * 0.8)}, ${Math.round(glow.g * 0.6)}, ${Math.round(glow.b * 0.6)})`);
+        this.fillChamber(pistonY, glowGradient, glowAlpha);
+
+        // Burnt gas shows as smoke once it has cooled, thinning as the piston sweeps it out
+        if (gas.burnFraction > 0) {
+            const sweep = gas.phase === 'exhaust'
+                ? 0.3 + 0.7 * (gas.volume - trace.minVolume) / (trace.maxVolume - trace.minVolume)
+                : 1;
+            const smoke = ctx.createLinearGradient(engine.cylinderX, chamberY, engine.cylinderX, pistonY);
+            smoke.addColorStop(0, '#424242');
+            smoke.addColorStop(1, '#616161');
+            this.fillChamber(pistonY, smoke, 0.5 * gas.burnFraction * (1 - glowAlpha / 0.75) * sweep);
+        }
+
+        // Reduced motion stops here: the hot gas glow already shows the burn without the flashes below
+        if (this.reducedMotion) {
+            ctx.restore();
+            return;
+        }
+
+        // Flame fronts while the charge is still burning; a detonation flashes blue-white from the end gas
+        for (const front of this.flameFronts(gas, pistonY)) {
+            const flame = ctx.createRadialGradient(front.x, front.y, 0, front.x, front.y, front.reach);
+            if (front.knock) {
+                flame.addColorStop(0, '#FFF');
+                flame.addColorStop(0.5, '#B3E5FC');
+                flame.addColorStop(0.85, '#FF1744');
+                flame.addColorStop(1, 'rgba(255, 23, 68, 0)');
+                this.fillChamber(pistonY, flame, 0.9 * (1 - gas.knock / KNOCK_WINDOW));
+            } else if (gas.burnFraction < 1 || gas.knock !== null) {
+                flame.addColorStop(0, '#FFF');
+                flame.addColorStop(0.35, '#FFD400');
+                flame.addColorStop(0.75, '#FF6B00');
+                flame.addColorStop(1, 'rgba(255, 107, 0, 0)');
+                this.fillChamber(pistonY, flame, 0.75 * unburnt + 0.25);
+            }
+        }
+
+        if (sparkActive) {
+            this.drawSparkGlow(chamberHeight);
+        }
+        if (!diesel && gas.burnFraction > 0 && gas.burnFraction < 0.15) {
+            this.drawSparkBurst(cylinder);
+        }
+        ctx.restore();
+    }
+
+    // Glow round the plug while the spark fires into the compressed charge
+    drawSparkGlow(chamberHeight) {
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const chamberY = engine.cylinderY;
+        ctx.globalAlpha = 0.8;
+        const sparkGradient = ctx.createRadialGradient(
+            engine.cylinderX,
+            chamberY + 12,
+            0,
+            engine.cylinderX,
+            chamberY + 12,
+            engine.pistonWidth / 2
+        );
+        sparkGradient.addColorStop(0, '#FFFFFF');
+        sparkGradient.addColorStop(0.3, '#FFE082');
+        sparkGradient.addColorStop(0.65, 'rgba(255, 126, 0, 0.35)');
+        sparkGradient.addColorStop(1, 'rgba(255, 140, 0, 0)');
+        ctx.fillStyle = sparkGradient;
+        ctx.fillRect(
+            engine.cylinderX - engine.pistonWidth / 2 + 5,
+            chamberY,
+            engine.pistonWidth - 10,
+            chamberHeight * 0.6
+        );
+    }
+
+    // Flickering rays from the plug as the flame front starts
+    drawSparkBurst(cylinder) {
+        const ctx = this.ctx;
+        const engine = this.engine;
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#FFFF00';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        const sparkX = engine.cylinderX;
+        const sparkY = engine.cylinderY - 15;
+        // Keyed to the clock rather than the particle stream so redraws of one frame match
+        const cylinderKey = cylinder.number > 1 ? `:${cylinder.number}` : '';
+        const flicker = createRandom(`${this.seed}:${this.time.toFixed(4)}${cylinderKey}`);
+        for (let i = 0; i < 5; i++) {
+            const angle = (i / 5) * Math.PI * 2;
+            const length = 15 + flicker() * 10;
+            ctx.moveTo(sparkX, sparkY);
+            ctx.lineTo(
+                sparkX + Math.cos(angle) * length,
+                sparkY + Math.sin(angle) * length
+            );
+        }
+        ctx.stroke();
+    }
+
+    // Wash the space between head and piston crown with one colour or gradient
+    fillChamber(pistonY, fillStyle, alpha) {
+        const ctx = this.ctx;
+        const engine = this.engine;
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = fillStyle;
+        ctx.fillRect(
+            engine.cylinderX - engine.pistonWidth / 2 + 5,
+            engine.cylinderY,
+            engine.pistonWidth - 10,
+            pistonY - engine.cylinderY
+        );
+    }
+
+    // Draw spark plug
+    drawSparkPlug({ sparkActive }) {
+        // Reduced motion leaves out the flash at every firing, as drawCombustion leaves out the flames
+        const firing = sparkActive && !this.reducedMotion;
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const sparkX = engine.cylinderX;
+        const sparkY = engine.cylinderY - engine.valveRecess;
+
+        this.drawPart('sparkPlug', () => {
+            // Spark plug body
+            ctx.fillStyle = '#888';
+            ctx.fillRect(sparkX - 8, sparkY - 40, 16, 40);
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(sparkX - 8, sparkY - 40, 16, 40);
+
+            // Electrode
+            ctx.strokeStyle = firing ? '#FFFF00' : '#666';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(sparkX, sparkY);
+            ctx.lineTo(sparkX, sparkY + 15);
+            ctx.stroke();
+        });
+
+        if (firing) {
+            ctx.fillStyle = '#FFFF00';
+            ctx.beginPath();
+            ctx.arc(sparkX, sparkY + 15, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    // Diesel injector in place of the spark plug: the needle lifts and two spray jets fan out from the nozzle
+    drawInjector({ pos, openings }) {
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const nozzleX = engine.cylinderX;
+        const nozzleY = engine.cylinderY - engine.valveRecess;
+        const lift = openings.injection;
+
+        this.drawPart('injector', () => {
+            // Body and fuel line
+            ctx.fillStyle = '#6d7580';
+            ctx.fillRect(nozzleX - 9, nozzleY - 44, 18, 44);
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(nozzleX - 9, nozzleY - 44, 18, 44);
+            ctx.strokeStyle = '#8D6E63';
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(nozzleX + 9, nozzleY - 34);
+            ctx.lineTo(nozzleX + 28, nozzleY - 34);
+            ctx.lineTo(nozzleX + 28, nozzleY - 60);
+            ctx.stroke();
+
+            // Nozzle tip reaching into the chamber
+            ctx.fillStyle = lift > 0 ? '#FFC107' : '#555';
+            ctx.beginPath();
+            ctx.moveTo(nozzleX - 5, nozzleY);
+            ctx.lineTo(nozzleX + 5, nozzleY);
+            ctx.lineTo(nozzleX, engine.cylinderY + 4);
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        if (lift <= 0) {
+            return;
+        }
+        // Spray plume, clipped to the gas above the piston crown
+        const reach = engine.pistonWidth / 2 - 8;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(engine.cylinderX - engine.pistonWidth / 2 + 5, engine.cylinderY, engine.pistonWidth - 10, pos.pistonY - engine.cylinderY);
+        ctx.clip();
+        ctx.globalAlpha = 0.45 * lift;
+        for (const side of [-1, 1]) {
+            const gradient = ctx.createLinearGradient(nozzleX, engine.cylinderY, nozzleX + side * reach, engine.cylinderY);
+            gradient.addColorStop(0, 'rgba(255, 213, 79, 0.95)');
+            gradient.addColorStop(1, 'rgba(255, 213, 79, 0)');
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.moveTo(nozzleX, engine.cylinderY + 4);
+            ctx.lineTo(nozzleX + side * reach, engine.cylinderY + 4 + Math.tan(0.2) * reach);
+            ctx.lineTo(nozzleX + side * reach, engine.cylinderY + 4 + Math.tan(0.8) * reach);
+            ctx.closePath();
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    // Why the cycle is not burning normally, if it is not: a diesel whose compressed air never gets hot enough
+    // for the fuel to light, a misfiring plug, or end gas that knocks. Null when all is well.
+    getCombustionWarning() {
+        const trace = this.getCycleTrace();
+        if (this.cycleMode === 'diesel') {
+            return trace.ignited ? null : [
+                `No ignition: the air reaches only ${trace.ignitionTemperature.toFixed(0)} K,`,
+                `short of ${AUTOIGNITION_TEMPERATURE} K. Raise the compression ratio.`
+            ];
+        }
+        if (this.ignition.misfire) {
+            return [
+                'Misfire: the plug never fires, so the mixture',
+                'leaves unburnt through the exhaust.'
+            ];
+        }
+        if (trace.knock) {
+            return [
+                `Knock: the end gas detonates at ${describeCrankAngle(trace.knock.degrees)}.`,
+                'Retard the spark or lower the compression ratio.'
+            ];
+        }
+        return null;
+    }
+
+    drawCombustionWarning(lines) {
+        const ctx = this.ctx;
+        const boxX = 20;
+        const boxY = this.viewSize().height - 70;
+        ctx.save();
+        ctx.font = '600 13px "Segoe UI", sans-serif';
+        const boxWidth = Math.max(300, ...lines.map((line) => ctx.measureText(line).width + 24));
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.strokeStyle = 'rgba(198, 40, 40, 0.6)';
+        ctx.lineWidth = 2;
+        drawRoundedRect(ctx, boxX, boxY, boxWidth, 50, 12);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = '#c62828';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        lines.forEach((line, i) => ctx.fillText(line, boxX + 12, boxY + 16 + i * 18));
+        ctx.restore();
+    }
+
+    drawStrokeLabel(stroke) {
+        const ctx = this.ctx;
+        const engine = this.engine;
+        const labelWidth = 200;
+        const labelHeight = 70;
+        const labelX = this.viewSize().width - labelWidth - 25;
+        const labelY = engine.cylinderY + 30;
+
+        ctx.save();
+        ctx.shadowColor = 'rgba(30, 30, 30, 0.4)';
+        ctx.shadowBlur = 6;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.strokeStyle = 'rgba(80, 80, 80, 0.4)';
+        ctx.lineWidth = 2;
+        drawRoundedRect(ctx, labelX, labelY, labelWidth, labelHeight, 18);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+
+        ctx.fillStyle = '#2e3a4f';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        const labelCenterX = labelX + labelWidth / 2;
+        if (stroke.name === 'Power (Combustion)') {
+            ctx.font = '700 24px "Segoe UI", sans-serif';
+            ctx.fillText('POWER', labelCenterX, labelY + labelHeight / 2 - 12);
+            ctx.font = '600 20px "Segoe UI", sans-serif';
+            ctx.fillText('COMBUSTION', labelCenterX, labelY + labelHeight / 2 + 16);
+        } else if (stroke.name.includes(' & ')) {
+            // Two-stroke names pair two events; one per line keeps them inside the label
+            const [first, second] = stroke.name.toUpperCase().split(' & ');
+            ctx.font = '700 20px "Segoe UI", sans-serif';
+            ctx.fillText(`${first} &`, labelCenterX, labelY + labelHeight / 2 - 12);
+            ctx.fillText(second, labelCenterX, labelY + labelHeight / 2 + 14);
+        } else {
+            ctx.font = '700 26px "Segoe UI", sans-serif';
+            ctx.fillText(stroke.name.toUpperCase(), labelCenterX, labelY + labelHeight / 2);
+        }
+    }
+
+    // Draw components in order (back to front) and refresh the stroke readout
+    render(frame = this.computeFrameState()) {
+        const ctx = this.ctx;
+        const { stroke } = frame;
+        const { width, height } = this.viewSize();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        this.drawEngine(frame);
+        this.renderedFrame = frame;
+        for (const overlay of [...this.overlays]) {
+            overlay(frame);
+        }
+
+        if (this.showStrokeLabel && frame.cylinders.length === 1) {
+            this.drawStrokeLabel(stroke);
+        }
+        const warning = this.getCombustionWarning();
+        if (warning) {
+            this.drawCombustionWarning(warning);
+        }
+
+        // Update UI
+        if (this.ui.currentStroke) {
+            this.ui.currentStroke.textContent = stroke.name;
+        }
+        if (this.ui.strokeInfo) {
+            this.ui.strokeInfo.textContent = stroke.description;
+        }
+        this.renderCylinderList(frame);
+    }
+
+    // Draw every cylinder and the crankshaft for a frame state. `live: false` leaves out the gas, the
+    // particles and the force arrow, leaving a clean drawing of the mechanism.
+    drawEngine(frame, { live = true } = {}) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.translate(this.view.x, this.view.y);
+        ctx.scale(this.view.zoom, this.view.zoom);
+        if (this.cycleMode === 'two-stroke') {
+            // Housings first so a neighbouring crankcase never covers another cylinder's parts
+            for (const state of frame.cylinders) {
+                this.inCylinderFrame(state.cylinder, () => this.drawCrankcase(state));
+            }
+        }
+        for (const state of frame.cylinders) {
+            this.inCylinderFrame(state.cylinder, () => {
+                this.drawCylinder(state);
+                if (this.cycleMode === 'two-stroke') {
+                    this.drawPorts(state);
+                }
+                if (live) {
+                    this.drawCombustion(state);
+                    this.drawParticles(state.cylinder.particles);
+                }
+                if (this.cycleMode !== 'two-stroke') {
+                    this.drawValves(state);
+                }
+                if (this.cycleMode === 'diesel') {
+                    this.drawInjector(state);
+                } else {
+                    this.drawSparkPlug(state);
+                }
+                this.drawPiston(state);
+                if (live) {
+                    this.drawPistonForce(state, frame.cylinders.length === 1);
+                }
+                this.drawConnectingRod(state);
+            });
+        }
+        this.drawCrankshaft(frame.cylinders);
+        ctx.restore();
+    }
+
+    // Point the draw methods at another context (another canvas, or an SvgContext) while `draw` runs
+    withContext(ctx, draw) {
+        const own = this.ctx;
+        this.ctx = ctx;
+        try {
+            return draw();
+        } finally {
+            this.ctx = own;
+        }
+    }
+
+    // Run draw calls in a cylinder's local frame: moved along the block, then tilted about the crank for a V bank
+    inCylinderFrame(cylinder, draw) {
+        const ctx = this.ctx;
+        const outer = this.partCylinder;
+        ctx.save();
+        ctx.translate(this.engine.crankX + cylinder.offsetX, this.engine.crankY);
+        ctx.rotate(cylinder.tilt);
+        ctx.translate(-this.engine.crankX, -this.engine.crankY);
+        this.partCylinder = cylinder.number;
+        try {
+            draw();
+        } finally {
+            this.partCylinder = outer;
+            ctx.restore();
+        }
+    }
+
+    // Tag what `draw` paints as one named part of a cylinder, for contexts that track parts (HitContext for
+    // hit-testing, a part filter for redrawing one part); a canvas context just draws
+    drawPart(id, draw, cylinder = this.partCylinder) {
+        const ctx = this.ctx;
+        if (typeof ctx.beginPart !== 'function') {
+            draw();
+            return;
+        }
+        ctx.beginPart(id, cylinder);
+        try {
+            draw();
+        } finally {
+            ctx.endPart();
+        }
+    }
+
+    // Draw something over the engine after every render, under the stroke label and warnings; `draw` gets the
+    // frame state just drawn. Returns a function that removes the overlay.
+    addOverlay(draw) {
+        if (typeof draw !== 'function') {
+            throw new TypeError('An overlay must be a function');
+        }
+        this.overlays.add(draw);
+        return () => this.overlays.delete(draw);
+    }
+
+    // Info panel list of which cylinder is on which stroke, rebuilt only when something changes
+    renderCylinderList(frame) {
+        const list = this.ui.cylinderList;
+        if (!list) {
+            return;
+        }
+        const entries = this.getCylinderStrokes(frame);
+        const key = entries.map((entry) => `${entry.number}:${entry.strokeIndex}`).join(',');
+        if (list.dataset.key === key) {
+            return;
+        }
+        list.dataset.key = key;
+        list.textContent = '';
+        for (const entry of entries) {
+            const item = document.createElement('li');
+            item.style.color = entry.stroke.color;
+            item.textContent = `Cylinder ${entry.number}: ${entry.stroke.name}`;
+            list.appendChild(item);
+        }
+        list.hidden = entries.length === 1;
+    }
+
+    // Main animation loop: run as many fixed steps as real time demands, then draw once.
+    // Long gaps (background tabs, debugger pauses) are clamped so the particles never take a huge leap.
+    animate(timestamp) {
+        const now = timestamp !== undefined ? timestamp : performance.now();
+        const elapsed = this.lastFrameTime === null ? 0 : Math.min(now - this.lastFrameTime, MAX_FRAME_MS);
+        this.lastFrameTime = now;
+        // Only stepping and drawing are timed: the `frame` listeners' panels cost the same whatever the budget
+        const workStart = performance.now();
+        this.advance(elapsed);
+        if (this.adaptiveParticles) {
+            this.measureFrame(performance.now() - workStart);
+        }
+        this.emit('frame', { crankAngle: this.getCrankAngle(), isPlaying: this.isPlaying });
+
+        // Continue animation
+        if (!this.destroyed) {
+            this.animationId = requestAnimationFrame(this.animate);
+        }
+    }
+
+    // Move the simulation on by `ms` of real time and draw the result. The loop feeds it display frames;
+    // an exporter can feed it any frame interval without a running loop.
+    advance(ms) {
+        super.advance(ms);
+
+        // Draw kinematics at the exact real time between steps so high refresh displays stay smooth
+        let lead = this.isPlaying ? (this.accumulator / FIXED_STEP_MS) * this.clockStep() : 0;
+        if (this.autoPauseEnabled) {
+            // Never draw past a stroke boundary the next step is about to pause on
+            const strokeLength = Math.PI * 2 / this.strokes.length;
+            const strokeEnd = (Math.floor(this.time / strokeLength) + 1) * strokeLength;
+            lead = Math.min(lead, Math.max(strokeEnd - this.time - 1e-6, 0));
+        }
+        this.render(this.computeFrameState(this.time + lead));
+    }
+}
@@ -0,0 +1,692 @@
+// Export: replays the engine offscreen at a fixed frame interval, independent of requestAnimationFrame,
+// and encodes the frames as a WebM video, an animated GIF or a zip of PNG images. The copy gets the
+// page animation's settings and seed, so the page keeps running untouched.
+
+const EXPORT_FORMATS = {
+    webm: { label: 'WebM video', extension: 'webm', mimeType: 'video/webm' },
+    gif: { label: 'Animated GIF', extension: 'gif', mimeType: 'image/gif' },
+    png: { label: 'PNG frames (zip)', extension: 'zip', mimeType: 'application/zip' }
+};
+
+// `range: 'cycles'` records whole cycles from `from`; `range: 'angles'` records from `from` to `to`
+// (cycle degrees, wrapping into the next cycle when `to` comes first). `width` is in pixels and the
+// height follows the canvas's aspect ratio.
+const DEFAULT_EXPORT_OPTIONS = {
+    format: 'gif',
+    range: 'cycles',
+    cycles: 1,
+    from: 0,
+    to: 180,
+    width: 800,
+    fps: 30,
+    strokeLabel: true
+};
+
+const EXPORT_LIMITS = {
+    cycles: { min: 1, max: 10 },
+    width: { min: 160, max: 3840 },
+    fps: { min: 1, max: 60 },
+    frames: 3600
+};
+
+// Exported frames are opaque, so they get the page's canvas background
+const EXPORT_BACKGROUND = '#f9f9f9';
+
+function validateExportOptions(options, cycleDegrees = 720) {
+    const errors = [];
+    if (!EXPORT_FORMATS[options.format]) {
+        errors.push({ field: 'format', message: `Export format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+    }
+    if (options.range !== 'cycles' && options.range !== 'angles') {
+        errors.push({ field: 'range', message: 'Export range must be "cycles" or "angles".' });
+    }
+    const integers = [
+        ['cycles', 'Cycle count'],
+        ['width', 'Export width'],
+        ['fps', 'Frame rate']
+    ];
+    for (const [field, name] of integers) {
+        const { min, max } = EXPORT_LIMITS[field];
+        const value = options[field];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push({ field, message: `${name} must be a whole number between ${min} and ${max}.` });
+        }
+    }
+    for (const field of ['from', 'to']) {
+        const value = options[field];
+        if (!Number.isFinite(value) || value < 0 || value >= cycleDegrees) {
+            errors.push({ field, message: `${field === 'from' ? 'Start' : 'End'} angle must be between 0° and ${cycleDegrees - 1}°.` });
+        }
+    }
+    if (options.range === 'angles' && options.from === options.to) {
+        errors.push({ field: 'to', message: 'End angle must differ from the start angle.' });
+    }
+    if (typeof options.strokeLabel !== 'boolean') {
+        errors.push({ field: 'strokeLabel', message: 'Stroke label must be true or false.' });
+    }
+    return errors;
+}
+
+// Frame count and spacing for an export of `animation` at its replay speed. Whole cycles leave out the
+// final frame, which would repeat the first when the clip loops. Throws RangeError for too many frames.
+function planExportFrames(animation, options) {
+    const span = animation.cycle.degrees;
+    const frameMs = 1000 / options.fps;
+    const degreesPerFrame = (animation.clockStep() / FIXED_STEP_MS) * frameMs * (span / (Math.PI * 2));
+    if (!(degreesPerFrame > 0)) {
+        throw new RangeError('The replay speed must be above zero to export.');
+    }
+    const degrees = options.range === 'cycles'
+        ? options.cycles * span
+        : (((options.to - options.from) % span) + span) % span;
+    const frames = options.range === 'cycles'
+        ? Math.max(Math.round(degrees / degreesPerFrame), 1)
+        : Math.floor(degrees / degreesPerFrame + 1e-9) + 1;
+    if (frames > EXPORT_LIMITS.frames) {
+        throw new RangeError(`That export needs ${frames} frames; the limit is ${EXPORT_LIMITS.frames}. `
+            + 'Shorten the range, lower the frame rate or raise the engine speed.');
+    }
+    return { from: options.from, degrees, frames, frameMs, degreesPerFrame };
+}
+
+function createExportCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function wait(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Render the animation to a file. Resolves to { blob, filename, frames, width, height }; rejects with
+// RangeError for invalid options, or with the signal's reason when `options.signal` aborts.
+// `options.onProgress(frame, frames)` is called after every frame.
+async function exportAnimation(animation, options = {}) {
+    const settings = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    const errors = validateExportOptions(settings, animation.cycle.degrees);
+    if (errors.length > 0) {
+        throw new RangeError(errors.map((error) => error.message).join(' '));
+    }
+    const plan = planExportFrames(animation, settings);
+    const view = animation.viewSize();
+    const width = settings.width;
+    const height = Math.round((width * view.height) / view.width);
+    const frameCanvas = createExportCanvas(width, height);
+    const frameCtx = frameCanvas.getContext('2d');
+    const replay = new EngineAnimation(createExportCanvas(width, height), {
+        geometry: animation.geometry,
+        valveTiming: animation.valveTiming,
+        injection: animation.injection,
+        ignition: animation.ignition,
+        cycleMode: animation.cycleMode,
+        arrangement: animation.arrangement,
+        firingOrder: animation.firingOrder,
+        engineRpm: animation.engineRpm,
+        speed: animation.animationSpeed,
+        seed: animation.seed,
+        particleLimits: animation.particleLimits,
+        pixelRatio: width / view.width,
+        strokeLabel: settings.strokeLabel,
+        reducedMotion: animation.reducedMotion,
+        pauseWhenHidden: false,
+        autoPause: false,
+        autoStart: false
+    });
+
+    // Draw every planned frame, handing each one to `onFrame` once it is on the frame canvas
+    const renderFrames = async (onFrame) => {
+        // One silent cycle first, so the cylinder already holds its charge when recording starts
+        replay.seek(plan.from);
+        const warmUpSteps = Math.ceil((Math.PI * 2) / replay.clockStep());
+        for (let i = 0; i < warmUpSteps; i++) {
+            replay.step();
+        }
+        replay.seek(plan.from);
+        replay.accumulator = 0;
+        for (let frame = 0; frame < plan.frames; frame++) {
+            if (settings.signal && settings.signal.aborted) {
+                throw settings.signal.reason || new Error('Export cancelled');
+            }
+            replay.advance(frame === 0 ? 0 : plan.frameMs);
+            frameCtx.fillStyle = EXPORT_BACKGROUND;
+            frameCtx.fillRect(0, 0, width, height);
+            frameCtx.drawImage(replay.canvas, 0, 0);
+            await onFrame(frame);
+            if (settings.onProgress) {
+                settings.onProgress(frame + 1, plan.frames);
+            }
+        }
+    };
+
+    try {
+        let blob;
+        if (settings.format === 'webm') {
+            blob = await recordWebm(frameCanvas, settings.fps, renderFrames);
+        } else if (settings.format === 'gif') {
+            const encoder = new GifEncoder(width, height);
+            await renderFrames(async (frame) => {
+                // Delays are whole centiseconds; rounding the running total keeps the average rate exact
+                const delay = Math.round(((frame + 1) * 100) / settings.fps) - Math.round((frame * 100) / settings.fps);
+                encoder.addFrame(frameCtx.getImageData(0, 0, width, height).data, delay);
+                await wait(0);
+            });
+            blob = encoder.finish();
+        } else {
+            const zip = new ZipWriter();
+            const digits = String(plan.frames).length;
+            await renderFrames(async (frame) => {
+                const png = await new Promise((resolve) => frameCanvas.toBlob(resolve, 'image/png'));
+                zip.addFile(`frame-${String(frame + 1).padStart(Math.max(digits, 4), '0')}.png`, new Uint8Array(await png.arrayBuffer()));
+            });
+            blob = zip.finish();
+        }
+        const filename = `engine-${animation.cycleMode}.${EXPORT_FORMATS[settings.format].extension}`;
+        return { blob, filename, frames: plan.frames, width, height };
+    } finally {
+        replay.destroy();
+    }
+}
+
+// MediaRecorder stamps frames with wall-clock time, so this hands them over at the frame rate and
+// takes as long as the clip runs
+async function recordWebm(canvas, fps, renderFrames) {
+    if (typeof MediaRecorder === 'undefined' || typeof canvas.captureStream !== 'function') {
+        throw new Error('This browser cannot record canvas video. Export a GIF or PNG frames instead.');
+    }
+    let stream = canvas.captureStream(0);
+    let [track] = stream.getVideoTracks();
+    const manual = typeof track.requestFrame === 'function';
+    if (!manual) {
+        stream.getTracks().forEach((t) => t.stop());
+        stream = canvas.captureStream(fps);
+        [track] = stream.getVideoTracks();
+    }
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+        .find((type) => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+    const chunks = [];
+    recorder.addEventListener('dataavailable', (e) => {
+        if (e.data.size > 0) {
+            chunks.push(e.data);
+        }
+    });
+    const stopped = new Promise((resolve) => recorder.addEventListener('stop', resolve));
+    recorder.start();
+    try {
+        await renderFrames(async () => {
+            if (manual) {
+                track.requestFrame();
+            }
+            await wait(1000 / fps);
+        });
+    } finally {
+        recorder.stop();
+        await stopped;
+        stream.getTracks().forEach((t) => t.stop());
+    }
+    return new Blob(chunks, { type: EXPORT_FORMATS.webm.mimeType });
+}
+
+// Animated GIF89a writer. Each frame gets its own 256-colour palette by median cut, which keeps the
+// glow gradients smooth, and loops forever.
+class GifEncoder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.chunks = [];
+        const header = new ByteWriter();
+        header.text('GIF89a');
+        header.u16(width);
+        header.u16(height);
+        header.bytes([0, 0, 0]); // no global colour table
+        header.bytes([0x21, 0xff, 0x0b]);
+        header.text('NETSCAPE2.0');
+        header.bytes([0x03, 0x01, 0x00, 0x00, 0x00]); // loop forever
+        this.chunks.push(header.toArray());
+    }
+
+    // `rgba` is canvas image data; `delay` is in hundredths of a second
+    addFrame(rgba, delay) {
+        const { palette, indices } = quantizeFrame(rgba);
+        const frame = new ByteWriter();
+        frame.bytes([0x21, 0xf9, 0x04, 0x00]);
+        frame.u16(delay);
+        frame.bytes([0x00, 0x00]);
+        frame.bytes([0x2c]);
+        frame.u16(0);
+        frame.u16(0);
+        frame.u16(this.width);
+        frame.u16(this.height);
+        frame.bytes([0x87]); // local colour table of 2^(7 + 1) entries
+        frame.bytes(palette);
+        frame.bytes([8]);
+        this.chunks.push(frame.toArray(), lzwEncode(indices, 8));
+    }
+
+    finish() {
+        this.chunks.push(new Uint8Array([0x3b]));
+        return new Blob(this.chunks, { type: EXPORT_FORMATS.gif.mimeType });
+    }
+}
+
+// Median cut over a 5-bit-per-channel histogram: split the box with the widest channel spread at its
+// median until there are 256, then give every pixel its box's average colour
+function quantizeFrame(rgba) {
+    const counts = new Uint32Array(32768);
+    const totals = new Float64Array(32768 * 3);
+    for (let i = 0; i < rgba.length; i += 4) {
+        const key = ((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3);
+        counts[key]++;
+        totals[key * 3] += rgba[i];
+        totals[key * 3 + 1] += rgba[i + 1];
+        totals[key * 3 + 2] += rgba[i + 2];
+    }
+    const keys = [];
+    for (let key = 0; key < counts.length; key++) {
+        if (counts[key] > 0) {
+            keys.push(key);
+        }
+    }
+    const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+    // A box of histogram keys with the channel it spreads widest along
+    const makeBox = (box) => {
+        let widest = { keys: box, channel: 0, range: -1 };
+        for (let c = 0; c < 3; c++) {
+            let low = 31;
+            let high = 0;
+            for (const key of box) {
+                low = Math.min(low, channel(key, c));
+                high = Math.max(high, channel(key, c));
+            }
+            if (high - low > widest.range) {
+                widest = { keys: box, channel: c, range: high - low };
+            }
+        }
+        return widest;
+    };
+    const boxes = [makeBox(keys)];
+    while (boxes.length < 256) {
+        let target = -1;
+        boxes.forEach((box, index) => {
+            if (box.range > 0 && (target < 0 || box.range > boxes[target].range)) {
+                target = index;
+            }
+        });
+        if (target < 0) {
+            break;
+        }
+        const { keys: box, channel: c } = boxes[target];
+        box.sort((a, b) => channel(a, c) - channel(b, c));
+        const total = box.reduce((sum, key) => sum + counts[key], 0);
+        let running = 0;
+        let split = 1;
+        for (; split < box.length - 1; split++) {
+            running += counts[box[split - 1]];
+            if (running >= total / 2) {
+                break;
+            }
+        }
+        boxes.splice(target, 1, makeBox(box.slice(0, split)), makeBox(box.slice(split)));
+    }
+
+    const palette = new Uint8Array(256 * 3);
+    const lookup = new Uint8Array(32768);
+    boxes.forEach(({ keys: box }, index) => {
+        const sums = [0, 0, 0];
+        let weight = 0;
+        for (const key of box) {
+            for (let c = 0; c < 3; c++) {
+                sums[c] += totals[key * 3 + c];
+            }
+            weight += counts[key];
+            lookup[key] = index;
+        }
+        for (let c = 0; c < 3; c++) {
+            palette[index * 3 + c] = Math.round(sums[c] / weight);
+        }
+    });
+
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let i = 0, p = 0; i < rgba.length; i += 4, p++) {
+        indices[p] = lookup[((rgba[i] >> 3) << 10) | ((rgba[i + 1] >> 3) << 5) | (rgba[i + 2] >> 3)];
+    }
+    return { palette, indices };
+}
+
+// GIF's variable-width LZW, packed into 255-byte sub-blocks and closed with an empty one
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = new ByteWriter();
+    let block = [];
+    let bits = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            block.push(bits & 0xff);
+            bits >>= 8;
+            bitCount -= 8;
+            if (block.length === 255) {
+                out.bytes([255]);
+                out.bytes(block);
+                block = [];
+            }
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const value = indices[i];
+        const key = (prefix << 8) | value;
+        const known = table.get(key);
+        if (known !== undefined) {
+            prefix = known;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) {
+                codeSize++;
+            }
+            table.set(key, nextCode++);
+        }
+        prefix = value;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        block.push(bits & 0xff);
+    }
+    if (block.length > 0) {
+        out.bytes([block.length]);
+        out.bytes(block);
+    }
+    out.bytes([0]);
+    return out.toArray();
+}
+
+// Growable little-endian byte buffer for the binary formats above
+class ByteWriter {
+    constructor() {
+        this.buffer = new Uint8Array(1024);
+        this.length = 0;
+    }
+
+    reserve(extra) {
+        if (this.length + extra > this.buffer.length) {
+            const grown = new Uint8Array(Math.max(this.buffer.length * 2, this.length + extra));
+            grown.set(this.buffer.subarray(0, this.length));
+            this.buffer = grown;
+        }
+    }
+
+    bytes(values) {
+        this.reserve(values.length);
+        this.buffer.set(values, this.length);
+        this.length += values.length;
+    }
+
+    u16(value) {
+        this.bytes([value & 0xff, (value >> 8) & 0xff]);
+    }
+
+    u32(value) {
+        this.bytes([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff]);
+    }
+
+    text(value) {
+        this.bytes(Array.from(value, (char) => char.charCodeAt(0)));
+    }
+
+    toArray() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed (stored) zip archive; PNGs are compressed already
+class ZipWriter {
+    constructor() {
+        this.chunks = [];
+        this.entries = [];
+        this.offset = 0;
+        const now = new Date();
+        this.dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        this.dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    }
+
+    // Shared fields of the local header and the central directory record
+    writeEntryFields(writer, entry) {
+        writer.u16(20); // version needed: 2.0
+        writer.u16(0);
+        writer.u16(0); // stored
+        writer.u16(this.dosTime);
+        writer.u16(this.dosDate);
+        writer.u32(entry.crc);
+        writer.u32(entry.size);
+        writer.u32(entry.size);
+        writer.u16(entry.name.length);
+        writer.u16(0);
+    }
+
+    addFile(name, data) {
+        const entry = { name, crc: crc32(data), size: data.length, offset: this.offset };
+        const header = new ByteWriter();
+        header.u32(0x04034b50);
+        this.writeEntryFields(header, entry);
+        header.text(name);
+        const bytes = header.toArray();
+        this.chunks.push(bytes, data);
+        this.entries.push(entry);
+        this.offset += bytes.length + data.length;
+    }
+
+    finish() {
+        const directory = new ByteWriter();
+        for (const entry of this.entries) {
+            directory.u32(0x02014b50);
+            directory.u16(20); // made by: 2.0
+            this.writeEntryFields(directory, entry);
+            directory.u16(0);
+            directory.u16(0);
+            directory.u16(0);
+            directory.u32(0);
+            directory.u32(entry.offset);
+            directory.text(entry.name);
+        }
+        const end = new ByteWriter();
+        end.u32(0x06054b50);
+        end.u16(0);
+        end.u16(0);
+        end.u16(this.entries.length);
+        end.u16(this.entries.length);
+        end.u32(directory.length);
+        end.u32(this.offset);
+        end.u16(0);
+        return new Blob([...this.chunks, directory.toArray(), end.toArray()], { type: EXPORT_FORMATS.png.mimeType });
+    }
+}
+
+// Save a blob through a temporary download link
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Export form: format, range, size, frame rate and the stroke label, with an Export button that
+// downloads the file and a Cancel button while it renders
+const EXPORT_FIELDS = ['format', 'range', 'cycles', 'from', 'to', 'width', 'fps', 'strokeLabel'];
+
+class ExportPanel extends ParameterPanel {
+    constructor(animation, options = {}) {
+        super(animation, EXPORT_FIELDS, options);
+        this.settings = { ...DEFAULT_EXPORT_OPTIONS };
+        this.controller = null;
+        const { exportBtn, cancelBtn } = this.ui;
+        if (exportBtn) {
+            this.listen(exportBtn, 'click', () => this.run());
+        }
+        if (cancelBtn) {
+            this.listen(cancelBtn, 'click', () => this.cancel());
+        }
+        const refresh = () => this.syncInputs();
+        this.unsubscribe.push(
+            animation.on('cyclemodechange', () => {
+                // A two-stroke cycle is only 360° long
+                const span = animation.cycle.degrees;
+                if (this.settings.from >= span || this.settings.to >= span) {
+                    this.settings = { ...this.settings, from: DEFAULT_EXPORT_OPTIONS.from, to: DEFAULT_EXPORT_OPTIONS.to };
+                }
+                refresh();
+            }),
+            animation.on('rpmchange', refresh),
+            animation.on('layoutchange', refresh)
+        );
+        this.init();
+    }
+
+    values() {
+        return this.settings;
+    }
+
+    defaults() {
+        return DEFAULT_EXPORT_OPTIONS;
+    }
+
+    parse(name, text) {
+        return name === 'format' || name === 'range' ? text : super.parse(name, text);
+    }
+
+    validate(values) {
+        return validateExportOptions(values, this.animation.cycle.degrees);
+    }
+
+    apply(values) {
+        this.settings = { ...this.settings, ...values };
+        this.syncInputs();
+    }
+
+    hint(name, values) {
+        if ((name === 'from' || name === 'to') && Number.isFinite(values[name])) {
+            return describeCrankAngle(values[name]);
+        }
+        if (name === 'fps' && validateExportOptions(values, this.animation.cycle.degrees).length === 0) {
+            try {
+                return `${planExportFrames(this.animation, values).frames} frames`;
+            } catch (error) {
+                return '';
+            }
+        }
+        return null;
+    }
+
+    syncInputs() {
+        super.syncInputs();
+        const byCycles = this.settings.range === 'cycles';
+        const cyclesField = this.input('cycles');
+        const toField = this.input('to');
+        if (cyclesField) {
+            cyclesField.disabled = !byCycles;
+        }
+        if (toField) {
+            toField.disabled = byCycles;
+        }
+    }
+
+    async run() {
+        const { exportBtn, cancelBtn, statusEl } = this.ui;
+        const setStatus = (text) => {
+            if (statusEl) {
+                statusEl.textContent = text;
+            }
+        };
+        this.controller = typeof AbortController === 'function' ? new AbortController() : null;
+        if (exportBtn) {
+            exportBtn.disabled = true;
+        }
+        if (cancelBtn) {
+            cancelBtn.hidden = false;
+        }
+        this.showErrors([]);
+        try {
+            const result = await exportAnimation(this.animation, {
+                ...this.settings,
+                signal: this.controller ? this.controller.signal : undefined,
+                onProgress: (frame, frames) => setStatus(`Rendering frame ${frame} of ${frames}…`)
+            });
+            downloadBlob(result.blob, result.filename);
+            const { size } = result.blob;
+            const shown = size < 1048576 ? `${Math.ceil(size / 1024)} KB` : `${(size / 1048576).toFixed(1)} MB`;
+            setStatus(`Saved ${result.filename}: ${result.frames} frames at ${result.width}×${result.height}, ${shown}.`);
+        } catch (error) {
+            setStatus('');
+            if (!this.controller || !this.controller.signal.aborted) {
+                const { errorEl } = this.ui;
+                if (errorEl) {
+                    errorEl.textContent = error.message;
+                    errorEl.hidden = false;
+                }
+            } else {
+                setStatus('Export cancelled.');
+            }
+        } finally {
+            this.controller = null;
+            if (exportBtn) {
+                exportBtn.disabled = false;
+            }
+            if (cancelBtn) {
+                cancelBtn.hidden = true;
+            }
+        }
+    }
+
+    cancel() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    destroy() {
+        this.cancel();
+        super.destroy();
+    }
+}
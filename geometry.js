@@ -0,0 +1,54 @@
+// Engine geometry editor: bore, stroke, rod length and compression ratio in millimetres.
+// Invalid combinations are reported inline and never reach the running animation.
+
+const GEOMETRY_FIELDS = ['bore', 'stroke', 'rodLength', 'compressionRatio'];
+
+class GeometryPanel extends ParameterPanel {
+    constructor(animation, options = {}) {
+        super(animation, GEOMETRY_FIELDS, options);
+        this.unsubscribe.push(
+            animation.on('geometrychange', () => this.syncInputs())
+        );
+        this.init();
+    }
+
+    values() {
+        return this.animation.geometry;
+    }
+
+    defaults() {
+        return this.animation.cycle.geometry;
+    }
+
+    validate(values) {
+        return validateEngineConfig(values, this.animation.valveTiming, this.animation.cycleMode);
+    }
+
+    apply(values) {
+        this.animation.setGeometry(values);
+    }
+
+    hint(name, values) {
+        switch (name) {
+            case 'bore':
+                return `bore/stroke ${(values.bore / values.stroke).toFixed(2)}`;
+            case 'stroke':
+                return `throw ${(values.stroke / 2).toFixed(1)} mm`;
+            case 'rodLength':
+                return `rod/stroke ${(values.rodLength / values.stroke).toFixed(2)}`;
+            case 'compressionRatio':
+                return `${(values.stroke / (values.compressionRatio - 1)).toFixed(1)} mm at TDC`;
+            default:
+                return null;
+        }
+    }
+
+    syncInputs() {
+        super.syncInputs();
+        const { summaryEl } = this.ui;
+        if (summaryEl) {
+            const displacement = computeDisplacement(this.animation.geometry);
+            summaryEl.textContent = `Displacement ${displacement.toFixed(0)} cc · drawn at ${this.animation.engine.scale.toFixed(2)} px/mm`;
+        }
+    }
+}
@@ -0,0 +1,78 @@
+// Node entry point. The browser files are classic scripts sharing one global scope, so they are run here
+// the same way, in the order index.html loads them, and what they define is exported:
+//
+//     const { EngineSimulation, EngineAnimation } = require('./headless');
+//
+// EngineSimulation needs nothing else. EngineAnimation draws into any canvas with a 2D context, such as one
+// from node-canvas (`npm install canvas`), which is picked up for the particle sprites when it is installed.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const HEADLESS_SCRIPTS = ['simulation.js', 'particles.js', 'physics.js', 'engine.js', 'state.js'];
+
+const HEADLESS_EXPORTS = [
+    // Simulation and drawing
+    'EngineSimulation',
+    'EngineAnimation',
+    // Kinematics, valve lift and the cycle clock
+    'buildEngineLayout',
+    'computePistonPosition',
+    'cycleDegreesToCrankAngle',
+    'pistonDisplacementAt',
+    'computeValveLift',
+    'computeValveLifts',
+    'computePortOpenings',
+    'cycleDistance',
+    'cycleDegreesToTime',
+    'timeToCycleDegrees',
+    'describeCrankAngle',
+    // Configuration and validation
+    'DEFAULT_GEOMETRY',
+    'DEFAULT_VALVE_TIMING',
+    'DEFAULT_IGNITION',
+    'DEFAULT_INJECTION',
+    'CYCLE_MODES',
+    'CYLINDER_ARRANGEMENTS',
+    'validateEngineConfig',
+    // Particles
+    'ParticlePool',
+    'PARTICLE_SPRITES',
+    // Gas model
+    'simulateCycle',
+    'simulateTwoStrokeCycle',
+    'sampleCycle',
+    // Saved state and share links
+    'STATE_VERSION',
+    'parseState',
+    'captureState',
+    'restoreState',
+    'encodeStateHash',
+    'decodeStateHash'
+];
+
+for (const file of HEADLESS_SCRIPTS) {
+    const filename = path.join(__dirname, file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+}
+
+const headless = vm.runInThisContext(`({ ${HEADLESS_EXPORTS.join(', ')} })`);
+
+// Make the particle sprites with `createCanvas(width, height)`, e.g. node-canvas's. Without OffscreenCanvas or
+// a document there is no other way to make them.
+function setCanvasFactory(createCanvas) {
+    headless.PARTICLE_SPRITES.createCanvas = (size) => createCanvas(size, size);
+    headless.PARTICLE_SPRITES.sprites.clear();
+}
+
+if (typeof OffscreenCanvas === 'undefined') {
+    try {
+        setCanvasFactory(require('canvas').createCanvas);
+    } catch (error) {
+        // node-canvas is optional: the simulation runs without it
+    }
+}
+
+module.exports = { ...headless, setCanvasFactory };
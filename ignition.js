@@ -0,0 +1,67 @@
+// Ignition editor: spark advance in degrees before TDC and a switch that makes the plug misfire,
+// with a note on what the timing does to the burn. The inputs lock in diesel mode, which has no plug.
+
+const IGNITION_FIELDS = ['advance', 'misfire'];
+
+class IgnitionPanel extends ParameterPanel {
+    constructor(animation, options = {}) {
+        super(animation, IGNITION_FIELDS, options);
+        const refresh = () => this.syncInputs();
+        this.unsubscribe.push(
+            animation.on('ignitionchange', refresh),
+            animation.on('geometrychange', refresh),
+            animation.on('timingchange', refresh),
+            animation.on('cyclemodechange', refresh),
+            animation.on('rpmchange', refresh)
+        );
+        this.init();
+    }
+
+    values() {
+        return this.animation.ignition;
+    }
+
+    defaults() {
+        return DEFAULT_IGNITION;
+    }
+
+    validate(values) {
+        return validateIgnition(values);
+    }
+
+    apply(values) {
+        this.animation.setIgnition(values);
+    }
+
+    hint(name, values) {
+        if (name !== 'advance') {
+            return null;
+        }
+        return validateIgnition(values).length > 0 ? '' : `fires ${describeCrankAngle(-values.advance)}`;
+    }
+
+    syncInputs() {
+        super.syncInputs();
+        const diesel = this.animation.cycleMode === 'diesel';
+        this.setDisabled(diesel);
+        const { summaryEl } = this.ui;
+        if (!summaryEl) {
+            return;
+        }
+        if (diesel) {
+            summaryEl.textContent = 'A diesel has no spark plug: its injection timing decides when it fires.';
+            return;
+        }
+        const trace = this.animation.getCycleTrace();
+        const work = `${trace.netWork.toFixed(0)} J per cycle`;
+        if (!trace.ignited) {
+            summaryEl.textContent = `Misfiring: the mixture goes out unburnt · ${work}`;
+        } else if (trace.knock) {
+            const unburnt = (1 - trace.knock.burnFraction) * 100;
+            summaryEl.textContent = `Knocks at ${describeCrankAngle(trace.knock.degrees)} with ${unburnt.toFixed(0)}% `
+                + `of the charge still unburnt · ${work}`;
+        } else {
+            summaryEl.textContent = `Peak ${trace.peakPressure.toFixed(1)} bar at ${describeCrankAngle(trace.peakDegrees)} · ${work}`;
+        }
+    }
+}
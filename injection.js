@@ -0,0 +1,65 @@
+// Diesel injection editor: start of injection in degrees before compression TDC and its duration
+// in crank degrees, with a note on whether the compressed air is hot enough to light the fuel.
+// The inputs only unlock in diesel mode.
+
+const INJECTION_FIELDS = ['timing', 'duration'];
+
+class InjectionPanel extends ParameterPanel {
+    constructor(animation, options = {}) {
+        super(animation, INJECTION_FIELDS, options);
+        const refresh = () => this.syncInputs();
+        this.unsubscribe.push(
+            animation.on('injectionchange', refresh),
+            animation.on('geometrychange', refresh),
+            animation.on('timingchange', refresh),
+            animation.on('cyclemodechange', refresh),
+            animation.on('rpmchange', refresh)
+        );
+        this.init();
+    }
+
+    values() {
+        return this.animation.injection;
+    }
+
+    defaults() {
+        return DEFAULT_INJECTION;
+    }
+
+    validate(values) {
+        return validateInjection(values);
+    }
+
+    apply(values) {
+        this.animation.setInjection(values);
+    }
+
+    hint(name, values) {
+        if (validateInjection(values).length > 0) {
+            return '';
+        }
+        const { ignition, end } = injectionWindow(values);
+        return name === 'timing'
+            ? `ignites ${describeCrankAngle(ignition)}`
+            : `ends ${describeCrankAngle(end)}`;
+    }
+
+    syncInputs() {
+        super.syncInputs();
+        const diesel = this.animation.cycleMode === 'diesel';
+        this.setDisabled(!diesel);
+        const { summaryEl } = this.ui;
+        if (!summaryEl) {
+            return;
+        }
+        if (!diesel) {
+            summaryEl.textContent = 'Switch the cycle to Diesel to use the injector.';
+            return;
+        }
+        const trace = this.animation.getCycleTrace();
+        const air = `Air at ${trace.ignitionTemperature.toFixed(0)} K and ${trace.ignitionPressure.toFixed(1)} bar when the fuel should light`;
+        summaryEl.textContent = trace.ignited
+            ? `${air} · ${trace.netWork.toFixed(0)} J per cycle`
+            : `${air}: too cool to self-ignite (needs ${AUTOIGNITION_TEMPERATURE} K). Raise the compression ratio.`;
+    }
+}
@@ -0,0 +1,234 @@
+// Kinematics telemetry: analytic piston displacement, velocity and acceleration in
+// real units at the engine speed, with per-cycle charts of both derivatives.
+// The speed field edits the animation's engine rpm, so it moves with the rpm slider.
+
+const KINEMATICS_FIELDS = ['engineRpm'];
+
+const KINEMATICS_PLOT_MARGIN = { left: 48, right: 12, top: 12, bottom: 24, gap: 22 };
+
+class KinematicsPanel extends ParameterPanel {
+    constructor(animation, options = {}) {
+        super(animation, KINEMATICS_FIELDS, options);
+        this.canvas = this.ui.chartCanvas || null;
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+
+        this.unsubscribe.push(
+            animation.on('frame', () => this.render()),
+            animation.on('geometrychange', () => {
+                this.syncInputs();
+                this.render();
+            }),
+            animation.on('rpmchange', () => {
+                this.syncInputs();
+                this.render();
+            })
+        );
+        this.init();
+        this.render();
+    }
+
+    values() {
+        return { engineRpm: this.animation.engineRpm };
+    }
+
+    defaults() {
+        return { engineRpm: DEFAULT_ENGINE_RPM };
+    }
+
+    validate(values) {
+        return validateEngineRpm(values.engineRpm);
+    }
+
+    apply(values) {
+        this.animation.setEngineRpm(values.engineRpm);
+    }
+
+    hint(name, values) {
+        return name === 'engineRpm'
+            ? `mean ${meanPistonSpeed(this.animation.geometry, values.engineRpm).toFixed(1)} m/s`
+            : null;
+    }
+
+    render() {
+        const geometry = this.animation.geometry;
+        const rpm = this.animation.engineRpm;
+        const angle = this.animation.getCrankAngle();
+        const { displacementValue, velocityValue, accelerationValue, summaryEl } = this.ui;
+
+        const acceleration = pistonAccelerationAt(geometry, angle, rpm);
+        if (displacementValue) {
+            displacementValue.textContent = `${pistonDisplacementAt(geometry, angle).toFixed(1)} mm`;
+        }
+        if (velocityValue) {
+            velocityValue.textContent = `${pistonVelocityAt(geometry, angle, rpm).toFixed(2)} m/s`;
+        }
+        if (accelerationValue) {
+            accelerationValue.textContent = `${acceleration.toFixed(0)} m/s² (${(acceleration / 9.81).toFixed(0)} g)`;
+        }
+
+        const peakDegrees = findPeakPistonVelocity(geometry);
+        if (summaryEl) {
+            const peakSpeed = pistonVelocityAt(geometry, peakDegrees, rpm);
+            summaryEl.textContent = `Peak piston speed ${peakSpeed.toFixed(1)} m/s at ${peakDegrees.toFixed(1)}° ATDC, `
+                + `not 90° · mean ${meanPistonSpeed(geometry, rpm).toFixed(1)} m/s · `
+                + `secondary/primary ${(geometry.stroke / 2 / geometry.rodLength).toFixed(2)}`;
+        }
+
+        if (!this.ctx) {
+            return;
+        }
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const margin = KINEMATICS_PLOT_MARGIN;
+        const plotHeight = (height - margin.top - margin.bottom - margin.gap) / 2;
+        const area = (index) => ({
+            left: margin.left,
+            top: margin.top + index * (plotHeight + margin.gap),
+            width: width - margin.left - margin.right,
+            height: plotHeight
+        });
+        const r = geometry.stroke / 2;
+        const omega = (rpm * Math.PI) / 30;
+
+        this.drawChart(area(0), {
+            unit: 'm/s',
+            series: [
+                { label: 'velocity', color: '#667eea', value: (d) => pistonVelocityAt(geometry, d, rpm) },
+                {
+                    label: 'infinite rod',
+                    color: '#9aa3bd',
+                    dash: [4, 4],
+                    value: (d) => (omega * r * Math.sin((d * Math.PI) / 180)) / 1000
+                }
+            ],
+            // Peak speed on the down strokes (after TDC) and up strokes (before TDC)
+            markers: [peakDegrees, 360 - peakDegrees, 360 + peakDegrees, 720 - peakDegrees]
+                .filter((degrees) => degrees < this.animation.cycle.degrees),
+            angle
+        });
+        this.drawChart(area(1), {
+            unit: 'm/s²',
+            series: [
+                { label: 'acceleration', color: '#e65100', value: (d) => pistonAccelerationAt(geometry, d, rpm) },
+                {
+                    label: 'primary',
+                    color: '#9aa3bd',
+                    dash: [4, 4],
+                    value: (d) => pistonAccelerationOrders(geometry, d, rpm).primary
+                },
+                {
+                    label: 'secondary',
+                    color: '#8e24aa',
+                    dash: [2, 3],
+                    value: (d) => pistonAccelerationOrders(geometry, d, rpm).secondary
+                }
+            ],
+            markers: [],
+            angle
+        });
+    }
+
+    // One chart over the cycle (720° or 360°) with a zero line, stroke bands and the crank cursor
+    drawChart(area, { unit, series, markers, angle }) {
+        const ctx = this.ctx;
+        const { cycle, strokes } = this.animation;
+        const strokeDegrees = cycle.degrees / strokes.length;
+        const samples = series.map((entry) => {
+            const points = [];
+            for (let degrees = 0; degrees <= cycle.degrees; degrees += 2) {
+                points.push(entry.value(degrees));
+            }
+            return points;
+        });
+        const extent = Math.max(...samples.map((points) => Math.max(...points.map(Math.abs))), 1e-6) * 1.1;
+        const step = niceAxisStep(extent, 2);
+        const limit = Math.ceil(extent / step) * step;
+        const toX = (degrees) => area.left + (degrees / cycle.degrees) * area.width;
+        const toY = (value) => area.top + (0.5 - value / (2 * limit)) * area.height;
+
+        strokes.forEach((stroke, index) => {
+            ctx.save();
+            ctx.globalAlpha = 0.08;
+            ctx.fillStyle = stroke.color;
+            ctx.fillRect(toX(index * strokeDegrees), area.top, toX(strokeDegrees) - toX(0), area.height);
+            ctx.restore();
+        });
+
+        ctx.strokeStyle = '#d6dbea';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#5c6478';
+        ctx.font = '10px "Segoe UI", sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let value = -limit; value <= limit + 1e-9; value += step) {
+            const y = toY(value);
+            ctx.beginPath();
+            ctx.moveTo(area.left, y);
+            ctx.lineTo(area.left + area.width, y);
+            ctx.stroke();
+            ctx.fillText(String(Math.round(value)), area.left - 6, y);
+        }
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let degrees = 0; degrees <= cycle.degrees; degrees += 180) {
+            ctx.fillText(`${degrees}°`, toX(degrees), area.top + area.height + 4);
+        }
+
+        ctx.strokeStyle = '#f5b400';
+        ctx.setLineDash([2, 2]);
+        for (const degrees of markers) {
+            ctx.beginPath();
+            ctx.moveTo(toX(degrees), area.top);
+            ctx.lineTo(toX(degrees), area.top + area.height);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        series.forEach((entry, index) => {
+            ctx.strokeStyle = entry.color;
+            ctx.lineWidth = entry.dash ? 1.5 : 2.5;
+            ctx.setLineDash(entry.dash || []);
+            ctx.beginPath();
+            samples[index].forEach((value, i) => {
+                const x = toX(i * 2);
+                const y = toY(value);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        const cursorX = toX(angle);
+        ctx.strokeStyle = '#2e3a4f';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(cursorX, area.top);
+        ctx.lineTo(cursorX, area.top + area.height);
+        ctx.stroke();
+        ctx.fillStyle = series[0].color;
+        ctx.beginPath();
+        ctx.arc(cursorX, toY(series[0].value(angle)), 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Legend with the unit first
+        ctx.font = '600 11px "Segoe UI", sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#2e3a4f';
+        ctx.fillText(unit, area.left + 6, area.top + 8);
+        let legendX = area.left + 12 + ctx.measureText(unit).width;
+        for (const entry of series) {
+            ctx.fillStyle = entry.color;
+            ctx.fillRect(legendX, area.top + 4, 10, 8);
+            ctx.fillStyle = '#2e3a4f';
+            ctx.fillText(entry.label, legendX + 14, area.top + 8);
+            legendX += ctx.measureText(entry.label).width + 28;
+        }
+    }
+}
@@ -0,0 +1,153 @@
+// Shared behaviour for forms that edit a group of numeric (or on/off) engine parameters.
+// Every field is validated together and applied only when the whole set is valid,
+// so a half-typed value never reaches the running animation.
+class ParameterPanel {
+    constructor(animation, fields, options = {}) {
+        this.animation = animation;
+        this.fields = fields;
+        this.ui = { ...options.ui };
+        this.listeners = [];
+        this.unsubscribe = [];
+    }
+
+    // Subclasses call this once their own state is ready
+    init() {
+        const { form, resetBtn } = this.ui;
+        if (form) {
+            this.listen(form, 'input', () => this.applyInputs());
+            this.listen(form, 'submit', (e) => e.preventDefault());
+        }
+        if (resetBtn) {
+            // The defaults may not fit the rest of the engine, e.g. a valve timing against a changed geometry
+            this.listen(resetBtn, 'click', () => this.submit(this.defaults()));
+        }
+        this.syncInputs();
+    }
+
+    // Hooks for subclasses
+    values() {
+        return {};
+    }
+
+    defaults() {
+        return {};
+    }
+
+    validate() {
+        return [];
+    }
+
+    apply() {}
+
+    hint() {
+        return null;
+    }
+
+    // Turn a field's text into a value and back; numeric unless a subclass says otherwise
+    parse(name, text) {
+        return text.trim() === '' ? NaN : Number(text);
+    }
+
+    format(name, value) {
+        return String(value);
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    input(name) {
+        const { form } = this.ui;
+        return form && form.elements ? form.elements[name] : null;
+    }
+
+    syncInputs() {
+        const values = this.values();
+        for (const name of this.fields) {
+            const field = this.input(name);
+            if (field && field.type === 'checkbox') {
+                field.checked = Boolean(values[name]);
+                continue;
+            }
+            // Compare parsed values so a half-typed "3." is not rewritten under the cursor
+            if (field && this.format(name, this.parse(name, field.value)) !== this.format(name, values[name])) {
+                field.value = this.format(name, values[name]);
+            }
+        }
+        this.updateHints();
+    }
+
+    updateHints() {
+        const { form } = this.ui;
+        if (!form || typeof form.querySelector !== 'function') {
+            return;
+        }
+        const values = this.values();
+        for (const name of this.fields) {
+            const hintEl = form.querySelector(`[data-hint-for="${name}"]`);
+            const text = this.hint(name, values);
+            if (hintEl && text !== null) {
+                hintEl.textContent = text;
+            }
+        }
+    }
+
+    applyInputs() {
+        const changes = {};
+        for (const name of this.fields) {
+            const field = this.input(name);
+            if (field) {
+                // Checkboxes carry booleans
+                changes[name] = field.type === 'checkbox' ? field.checked : this.parse(name, field.value);
+            }
+        }
+        this.submit(changes);
+    }
+
+    // Validate changes against the current values and apply them only when the whole set is valid
+    submit(changes) {
+        const errors = this.validate({ ...this.values(), ...changes });
+        this.showErrors(errors);
+        if (errors.length === 0) {
+            this.apply(changes);
+        }
+    }
+
+    // Lock or unlock every field and the reset button, e.g. while the current cycle ignores them
+    setDisabled(disabled) {
+        for (const name of this.fields) {
+            const field = this.input(name);
+            if (field) {
+                field.disabled = disabled;
+            }
+        }
+        if (this.ui.resetBtn) {
+            this.ui.resetBtn.disabled = disabled;
+        }
+    }
+
+    showErrors(errors) {
+        const { errorEl } = this.ui;
+        if (errorEl) {
+            errorEl.textContent = errors.map((error) => error.message).join(' ');
+            errorEl.hidden = errors.length === 0;
+        }
+        for (const name of this.fields) {
+            const field = this.input(name);
+            if (field) {
+                const invalid = errors.some((error) => error.field === name);
+                field.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+            }
+        }
+    }
+
+    destroy() {
+        this.unsubscribe.forEach((off) => off());
+        this.unsubscribe = [];
+        for (const { target, type, handler } of this.listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.listeners = [];
+    }
+}
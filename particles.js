@@ -0,0 +1,223 @@
+// Particle storage and drawing: each pool keeps its particles in typed arrays, one array per field, and
+// every particle is drawn as a copy of a pre-rendered glow sprite for its colour bucket.
+
+// What a particle is doing; pools store the index into this list
+const PARTICLE_STATES = ['intake', 'charge', 'mixture', 'air', 'fuel', 'ignited', 'burnt', 'exhaust'];
+const PARTICLE_STATE = Object.fromEntries(PARTICLE_STATES.map((name, index) => [name, index]));
+
+// Per-particle fields. `spin`, `fillRatio`, `baseFill` and `spreadBias` start as NaN until the chamber gives
+// them a value. `baseR/G/B` hold a diesel air particle's colour before compression heats it, or a burning
+// particle's own flame colour. `wanderX/Y` is a unit vector drawn once at spawn and turned every step, which
+// gives each particle its jitter without drawing random numbers in the update loops.
+const PARTICLE_FLOAT_FIELDS = [
+    'x', 'y', 'vx', 'vy', 'radius', 'alpha', 'life', 'maxLife', 'spin', 'fillRatio', 'baseFill', 'spreadBias',
+    'wanderX', 'wanderY'
+];
+const PARTICLE_UNSET_FIELDS = ['spin', 'fillRatio', 'baseFill', 'spreadBias'];
+const PARTICLE_BYTE_FIELDS = ['r', 'g', 'b', 'baseR', 'baseG', 'baseB', 'state', 'inDuct'];
+
+// Sprites: colours are rounded to 16 levels per channel, and each bucket is drawn once at SPRITE_SIZE px
+const SPRITE_SIZE = 32;
+const SPRITE_COLOR_STEP = 16;
+
+// A growable set of particles stored field by field. Indices are only stable until the next compact.
+class ParticlePool {
+    constructor(capacity = 64, random = Math.random) {
+        this.count = 0;
+        this.random = random;
+        this.allocate(Math.max(Math.ceil(capacity), 1));
+    }
+
+    allocate(capacity) {
+        for (const field of PARTICLE_FLOAT_FIELDS) {
+            const array = new Float32Array(capacity);
+            if (this[field]) {
+                array.set(this[field].subarray(0, this.count));
+            }
+            this[field] = array;
+        }
+        for (const field of PARTICLE_BYTE_FIELDS) {
+            const array = new Uint8ClampedArray(capacity);
+            if (this[field]) {
+                array.set(this[field].subarray(0, this.count));
+            }
+            this[field] = array;
+        }
+        this.capacity = capacity;
+    }
+
+    // Append a particle with every field cleared and return its index. Growing replaces the arrays, so
+    // take fresh references to them afterwards.
+    add(state) {
+        if (this.count === this.capacity) {
+            this.allocate(this.capacity * 2);
+        }
+        const index = this.count++;
+        for (const field of PARTICLE_FLOAT_FIELDS) {
+            this[field][index] = 0;
+        }
+        for (const field of PARTICLE_UNSET_FIELDS) {
+            this[field][index] = NaN;
+        }
+        for (const field of PARTICLE_BYTE_FIELDS) {
+            this[field][index] = 0;
+        }
+        const wander = this.random() * Math.PI * 2;
+        this.wanderX[index] = Math.cos(wander);
+        this.wanderY[index] = Math.sin(wander);
+        this.state[index] = PARTICLE_STATE[state];
+        return index;
+    }
+
+    // Append a copy of particle `index` of `source`, as the state `state`; returns the new index
+    addCopy(source, index, state) {
+        const copy = this.add(state);
+        for (const field of PARTICLE_FLOAT_FIELDS) {
+            this[field][copy] = source[field][index];
+        }
+        for (const field of PARTICLE_BYTE_FIELDS) {
+            this[field][copy] = source[field][index];
+        }
+        this.state[copy] = PARTICLE_STATE[state];
+        return copy;
+    }
+
+    // Move particle `from` into slot `to`, for compacting a pool in place after a pass
+    move(from, to) {
+        if (from === to) {
+            return;
+        }
+        for (const field of PARTICLE_FLOAT_FIELDS) {
+            this[field][to] = this[field][from];
+        }
+        for (const field of PARTICLE_BYTE_FIELDS) {
+            this[field][to] = this[field][from];
+        }
+    }
+
+    // Turn every particle's wander vector by `angle` radians, once per step before the pool is updated
+    turnWander(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const { wanderX, wanderY } = this;
+        for (let i = 0; i < this.count; i++) {
+            const wx = wanderX[i];
+            wanderX[i] = wx * cos - wanderY[i] * sin;
+            wanderY[i] = wx * sin + wanderY[i] * cos;
+        }
+    }
+
+    // Keep at most `count` particles, dropping the newest
+    truncate(count) {
+        this.count = Math.min(this.count, Math.max(count, 0));
+    }
+
+    clear() {
+        this.count = 0;
+    }
+
+    is(index, state) {
+        return this.state[index] === PARTICLE_STATE[state];
+    }
+
+    setState(index, state) {
+        this.state[index] = PARTICLE_STATE[state];
+    }
+
+    stateName(index) {
+        return PARTICLE_STATES[this.state[index]];
+    }
+
+    color(index) {
+        return { r: this.r[index], g: this.g[index], b: this.b[index] };
+    }
+
+    setColor(index, color) {
+        this.r[index] = color.r;
+        this.g[index] = color.g;
+        this.b[index] = color.b;
+    }
+
+    baseColor(index) {
+        return { r: this.baseR[index], g: this.baseG[index], b: this.baseB[index] };
+    }
+
+    setBaseColor(index, color) {
+        this.baseR[index] = color.r;
+        this.baseG[index] = color.g;
+        this.baseB[index] = color.b;
+    }
+}
+
+function createParticlePools(limit, random) {
+    return {
+        intake: new ParticlePool(limit('intake'), random),
+        crankcase: new ParticlePool(limit('crankcase'), random),
+        chamber: new ParticlePool(limit('chamber'), random),
+        exhaust: new ParticlePool(limit('exhaust'), random)
+    };
+}
+
+// A blank canvas for a sprite, offscreen where the browser allows it
+function createSpriteCanvas(size) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(size, size);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    return canvas;
+}
+
+// Glow sprites by colour bucket, drawn on first use and kept for every animation on the page. A sprite is
+// the old per-particle drawing at full alpha: a radial glow out to 1.5 radii with a solid core of 0.6.
+// `createCanvas(size)` makes the blank sprites; outside a browser, pass one from node-canvas.
+class ParticleSpriteCache {
+    constructor(size = SPRITE_SIZE, createCanvas = createSpriteCanvas) {
+        this.size = size;
+        this.createCanvas = createCanvas;
+        this.sprites = new Map();
+    }
+
+    bucket(r, g, b) {
+        const width = 256 / SPRITE_COLOR_STEP;
+        return ((Math.floor(r / width) * SPRITE_COLOR_STEP) + Math.floor(g / width)) * SPRITE_COLOR_STEP + Math.floor(b / width);
+    }
+
+    get(r, g, b) {
+        const key = this.bucket(r, g, b);
+        let sprite = this.sprites.get(key);
+        if (!sprite) {
+            sprite = this.render(key);
+            this.sprites.set(key, sprite);
+        }
+        return sprite;
+    }
+
+    // Draw the sprite for a bucket in the colour at its centre
+    render(key) {
+        const width = 256 / SPRITE_COLOR_STEP;
+        const channel = (level) => Math.min(Math.floor(level * width + width / 2), 255);
+        const color = `${channel(Math.floor(key / (SPRITE_COLOR_STEP * SPRITE_COLOR_STEP)))}, `
+            + `${channel(Math.floor(key / SPRITE_COLOR_STEP) % SPRITE_COLOR_STEP)}, ${channel(key % SPRITE_COLOR_STEP)}`;
+        const canvas = this.createCanvas(this.size);
+        const ctx = canvas.getContext('2d');
+        const center = this.size / 2;
+        ctx.globalCompositeOperation = 'lighter';
+        const gradient = ctx.createRadialGradient(center, center, 0, center, center, center);
+        gradient.addColorStop(0, `rgba(${color}, 1)`);
+        gradient.addColorStop(0.7, `rgba(${color}, 0.2)`);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(center, center, center, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = `rgb(${color})`;
+        ctx.beginPath();
+        ctx.arc(center, center, center * 0.4, 0, Math.PI * 2);
+        ctx.fill();
+        return canvas;
+    }
+}
+
+const PARTICLE_SPRITES = new ParticleSpriteCache();
@@ -0,0 +1,519 @@
+// Part identification: hit-testing the engine canvas against the shapes the draw methods paint, with a hover
+// highlight and tooltip, a callout pinned by a click, and an isolate mode that dims everything else.
+// Parts are tagged where they are drawn (EngineAnimation.drawPart), so the hit areas follow every change of
+// geometry, layout and cycle.
+
+const PART_INFO = {
+    piston: {
+        name: 'Piston',
+        purpose: 'Slides in the cylinder. Burning gas pushes its crown down on the power stroke; on the way up it squeezes the charge or pushes out the exhaust.'
+    },
+    pistonRings: {
+        name: 'Piston rings',
+        purpose: 'Springy rings in grooves round the piston. They seal the gas above the piston against the cylinder wall and scrape oil off the wall below.'
+    },
+    pistonPin: {
+        name: 'Wrist pin',
+        purpose: 'Also called the piston pin or gudgeon pin. The pivot joining the piston to the small end of the connecting rod.'
+    },
+    connectingRod: {
+        name: 'Connecting rod',
+        purpose: 'Turns the piston\'s straight up-and-down motion into rotation of the crank. Its length sets how sharply the piston turns round at each end of the stroke.'
+    },
+    crankPin: {
+        name: 'Crank pin',
+        purpose: 'The offset journal the rod\'s big end turns on. It circles the crank axis at the crank throw, half the stroke.'
+    },
+    crankWeb: {
+        name: 'Crank web',
+        purpose: 'The arm joining the main journal to the crank pin, carrying the rod force round as torque.'
+    },
+    counterweight: {
+        name: 'Counterweight',
+        purpose: 'Mass opposite the crank pin that balances the pin, rod and piston so the engine shakes less.'
+    },
+    mainJournal: {
+        name: 'Main journal',
+        purpose: 'The crankshaft\'s axis, turning in the main bearings and taking the engine\'s output to the flywheel.'
+    },
+    intakeValve: {
+        name: 'Intake valve',
+        purpose: 'Opens to let fresh charge into the cylinder, then closes so it can be compressed and burnt.'
+    },
+    exhaustValve: {
+        name: 'Exhaust valve',
+        purpose: 'Opens near the end of the power stroke to let the burnt gas out, and closes just after the piston passes the top.'
+    },
+    valveSpring: {
+        name: 'Valve spring',
+        purpose: 'Pulls the valve shut on its seat once the cam has passed, and keeps it following the cam at speed.'
+    },
+    valveGuide: {
+        name: 'Valve guide',
+        purpose: 'A sleeve in the head that keeps the valve stem moving straight so the valve lands squarely on its seat.'
+    },
+    sparkPlug: {
+        name: 'Spark plug',
+        purpose: 'Fires a spark across its electrodes just before the top of compression, lighting the mixture.'
+    },
+    injector: {
+        name: 'Injector',
+        purpose: 'Sprays diesel fuel into air made hot by compression, where it lights by itself. Injection timing sets when it burns.'
+    }
+};
+
+// How far from a shape the pointer still counts as on it, in drawing units, so thin parts are easy to hit
+const HIT_TOLERANCE = 3;
+
+// Painting calls a part filter passes through only inside the chosen part
+const PART_PAINT_METHODS = new Set(['fill', 'stroke', 'fillRect', 'strokeRect', 'fillText', 'strokeText', 'drawImage', 'clearRect']);
+
+function isSamePart(a, b) {
+    return Boolean(a && b) && a.id === b.id && a.cylinder === b.cylinder;
+}
+
+// Whether a drawn part is the one asked for; a part without a cylinder stands for that part on every cylinder
+function matchesPart(drawn, part) {
+    return Boolean(drawn) && drawn.id === part.id && (part.cylinder === undefined || drawn.cylinder === part.cylinder);
+}
+
+// Records every tagged fill and stroke as polygons in drawing units, for hit-testing. Curves are sampled
+// into short segments; text and clipping are ignored.
+class HitContext extends SvgContext {
+    constructor(width, height) {
+        super(width, height);
+        this.openParts = [];
+        this.shapes = [];
+    }
+
+    beginPart(id, cylinder) {
+        this.openParts.push({ id, cylinder });
+    }
+
+    endPart() {
+        this.openParts.pop();
+    }
+
+    beginPath() {
+        super.beginPath();
+        this.polygons = [];
+    }
+
+    addPoint(command, x, y) {
+        const point = super.addPoint(command, x, y);
+        if (command === 'M' || this.polygons.length === 0) {
+            this.polygons.push([point]);
+        } else {
+            this.polygons[this.polygons.length - 1].push(point);
+        }
+        return point;
+    }
+
+    closePath() {
+        const polygon = this.polygons[this.polygons.length - 1];
+        if (this.current && polygon) {
+            this.lineTo(this.subpathStart.x, this.subpathStart.y);
+        }
+        super.closePath();
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this.current) {
+            this.moveTo(cp1x, cp1y);
+        }
+        const { x: x0, y: y0 } = this.current;
+        for (let i = 1; i <= 12; i++) {
+            const t = i / 12;
+            const u = 1 - t;
+            this.lineTo(
+                u * u * u * x0 + 3 * u * u * t * cp1x + 3 * u * t * t * cp2x + t * t * t * x,
+                u * u * u * y0 + 3 * u * u * t * cp1y + 3 * u * t * t * cp2y + t * t * t * y
+            );
+        }
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this.current) {
+            this.moveTo(cpx, cpy);
+        }
+        const { x: x0, y: y0 } = this.current;
+        for (let i = 1; i <= 8; i++) {
+            const t = i / 8;
+            const u = 1 - t;
+            this.lineTo(u * u * x0 + 2 * u * t * cpx + t * t * x, u * u * y0 + 2 * u * t * cpy + t * t * y);
+        }
+    }
+
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        const sweep = arcSweep(startAngle, endAngle, counterclockwise);
+        const steps = Math.max(2, Math.ceil(Math.abs(sweep) / (Math.PI / 16)));
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        for (let i = 0; i <= steps; i++) {
+            const angle = startAngle + (sweep * i) / steps;
+            const px = x + radiusX * Math.cos(angle) * cos - radiusY * Math.sin(angle) * sin;
+            const py = y + radiusX * Math.cos(angle) * sin + radiusY * Math.sin(angle) * cos;
+            if (i === 0 && !this.current) {
+                this.moveTo(px, py);
+            } else {
+                this.lineTo(px, py);
+            }
+        }
+    }
+
+    // Rounded corners are small next to the tolerance, so the corner point stands in for them
+    arcTo(x1, y1) {
+        this.lineTo(x1, y1);
+    }
+
+    withScratchPath(draw) {
+        const polygons = this.polygons;
+        super.withScratchPath(draw);
+        this.polygons = polygons;
+    }
+
+    record(kind, width) {
+        const part = this.openParts[this.openParts.length - 1];
+        if (!part || this.polygons.length === 0) {
+            return;
+        }
+        this.shapes.push({ ...part, kind, width, polygons: this.polygons.map((polygon) => [...polygon]) });
+    }
+
+    fill() {
+        this.record('fill', 0);
+    }
+
+    stroke() {
+        this.record('stroke', this.lineWidth * this.lengthScale());
+    }
+
+    clip() {}
+
+    fillText() {}
+
+    // The topmost part under a point as { id, cylinder }, or null
+    hitTest(x, y, tolerance = HIT_TOLERANCE) {
+        for (let i = this.shapes.length - 1; i >= 0; i--) {
+            const shape = this.shapes[i];
+            const reach = shape.width / 2 + tolerance;
+            const hit = shape.polygons.some((polygon) => (shape.kind === 'fill' && pointInPolygon(polygon, x, y))
+                || distanceToPolyline(polygon, x, y) <= reach);
+            if (hit) {
+                return { id: shape.id, cylinder: shape.cylinder };
+            }
+        }
+        return null;
+    }
+
+    // Bounding box of everything drawn for one part, or null when it was not drawn
+    partBounds(part) {
+        let bounds = null;
+        for (const shape of this.shapes) {
+            if (!isSamePart(shape, part)) {
+                continue;
+            }
+            for (const polygon of shape.polygons) {
+                for (const point of polygon) {
+                    bounds = bounds || { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+                    bounds.minX = Math.min(bounds.minX, point.x);
+                    bounds.minY = Math.min(bounds.minY, point.y);
+                    bounds.maxX = Math.max(bounds.maxX, point.x);
+                    bounds.maxY = Math.max(bounds.maxY, point.y);
+                }
+            }
+        }
+        return bounds;
+    }
+}
+
+// Even-odd test against a closed polygon
+function pointInPolygon(polygon, x, y) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function distanceToPolyline(points, x, y) {
+    if (points.length === 1) {
+        return Math.hypot(x - points[0].x, y - points[0].y);
+    }
+    let best = Infinity;
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? clamp(((x - a.x) * dx + (y - a.y) * dy) / lengthSquared, 0, 1) : 0;
+        best = Math.min(best, Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy)));
+    }
+    return best;
+}
+
+// Wrap a 2D context so that only the given part (see matchesPart) paints: state, transforms and paths pass through, painting
+// outside the part is dropped. Used to redraw one part over a dimmed or highlighted engine.
+function createPartFilter(ctx, part) {
+    const open = [];
+    const own = {
+        beginPart: (id, cylinder) => open.push({ id, cylinder }),
+        endPart: () => open.pop()
+    };
+    return new Proxy(ctx, {
+        get(target, key) {
+            if (key in own) {
+                return own[key];
+            }
+            const value = target[key];
+            if (typeof value !== 'function') {
+                return value;
+            }
+            if (PART_PAINT_METHODS.has(key)) {
+                return (...args) => (matchesPart(open[open.length - 1], part) ? value.apply(target, args) : undefined);
+            }
+            return value.bind(target);
+        },
+        set(target, key, value) {
+            target[key] = value;
+            return true;
+        }
+    });
+}
+
+// Paint one part of a frame again over what is on the canvas, optionally with a coloured glow
+function redrawPart(animation, frame, part, { glow = null } = {}) {
+    const ctx = animation.ctx;
+    ctx.save();
+    if (glow) {
+        ctx.shadowColor = glow;
+        ctx.shadowBlur = 14;
+    }
+    animation.withContext(createPartFilter(ctx, part), () => animation.drawEngine(frame, { live: false }));
+    ctx.restore();
+}
+
+// Hover, click and isolate on the engine canvas. A tooltip element gets the hovered part's name and purpose;
+// a click pins a callout on the canvas and fills the info box, and the isolate toggle dims the rest.
+class PartInspector {
+    constructor(animation, options = {}) {
+        this.animation = animation;
+        this.canvas = animation.canvas;
+        this.ui = { ...options.ui };
+        this.listeners = [];
+        this.pointer = null;
+        this.hovered = null;
+        this.pinned = null;
+        this.isolate = false;
+        this.hits = null;
+
+        this.listen(this.canvas, 'pointermove', (e) => {
+            this.pointer = this.toDrawing(e);
+            this.pointerClient = { x: e.clientX, y: e.clientY };
+            this.refresh();
+        });
+        this.listen(this.canvas, 'pointerleave', () => {
+            this.pointer = null;
+            this.hovered = null;
+            this.refresh();
+        });
+        this.listen(this.canvas, 'click', (e) => {
+            this.pointer = this.toDrawing(e);
+            const part = this.partAt(this.pointer);
+            this.pin(part && !isSamePart(part, this.pinned) ? part : null);
+        });
+        const { isolateToggle, unpinBtn } = this.ui;
+        if (isolateToggle) {
+            this.listen(isolateToggle, 'change', () => this.setIsolate(isolateToggle.checked));
+        }
+        if (unpinBtn) {
+            this.listen(unpinBtn, 'click', () => this.pin(null));
+        }
+        const forget = () => {
+            // The part may no longer exist, e.g. a spark plug after switching to diesel
+            this.pin(null);
+        };
+        this.unsubscribe = [
+            animation.addOverlay((frame) => this.drawOverlay(frame)),
+            animation.on('cyclemodechange', forget),
+            animation.on('layoutchange', forget)
+        ];
+        this.syncInfo();
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    // Pointer position in drawing units, allowing for the canvas being shown at another size
+    toDrawing(e) {
+        return this.animation.clientToDrawing(e.clientX, e.clientY);
+    }
+
+    // Shapes of the frame on screen, recorded once per rendered frame
+    getHits(frame = this.animation.renderedFrame) {
+        if (!frame) {
+            return null;
+        }
+        if (!this.hits || this.hits.frame !== frame) {
+            const { width, height } = this.animation.viewSize();
+            const hits = new HitContext(width, height);
+            this.animation.withContext(hits, () => this.animation.drawEngine(frame, { live: false }));
+            this.hits = { frame, context: hits };
+        }
+        return this.hits.context;
+    }
+
+    partAt(point, frame) {
+        const hits = point ? this.getHits(frame) : null;
+        return hits ? hits.hitTest(point.x, point.y) : null;
+    }
+
+    pin(part) {
+        this.pinned = part;
+        if (!part) {
+            this.isolate = false;
+        }
+        this.syncInfo();
+        this.refresh();
+    }
+
+    setIsolate(enabled) {
+        this.isolate = Boolean(enabled) && this.pinned !== null;
+        this.syncInfo();
+        this.refresh();
+    }
+
+    // Redraw now when the loop is not running; otherwise the next frame picks the change up
+    refresh() {
+        if (this.animation.animationId === null && !this.animation.destroyed) {
+            this.animation.render();
+        }
+    }
+
+    drawOverlay(frame) {
+        const animation = this.animation;
+        const ctx = animation.ctx;
+        // The part under the pointer moves with the engine, so look again on every frame
+        const hovered = this.pointer ? this.partAt(this.pointer, frame) : null;
+        if (!isSamePart(hovered, this.hovered)) {
+            this.hovered = hovered;
+        }
+        this.syncTooltip();
+        this.canvas.style.cursor = hovered ? 'pointer' : '';
+
+        if (this.pinned && this.isolate) {
+            const { width, height } = animation.viewSize();
+            ctx.save();
+            ctx.fillStyle = 'rgba(249, 249, 249, 0.82)';
+            ctx.fillRect(0, 0, width, height);
+            ctx.restore();
+            redrawPart(animation, frame, this.pinned);
+        }
+        for (const part of [this.pinned, this.hovered]) {
+            if (part) {
+                redrawPart(animation, frame, part, { glow: isSamePart(part, this.hovered) ? '#ffb300' : '#1565c0' });
+            }
+        }
+        if (this.pinned) {
+            this.drawCallout(frame, this.pinned);
+        }
+    }
+
+    // Label with a leader line to the pinned part, on whichever side has more room
+    drawCallout(frame, part) {
+        const bounds = this.getHits(frame).partBounds(part);
+        if (!bounds) {
+            return;
+        }
+        const ctx = this.animation.ctx;
+        const { width } = this.animation.viewSize();
+        const info = PART_INFO[part.id];
+        const label = this.animation.cylinders.length > 1 && part.cylinder ? `${info.name} (cylinder ${part.cylinder})` : info.name;
+        const anchorX = (bounds.minX + bounds.maxX) / 2;
+        const anchorY = (bounds.minY + bounds.maxY) / 2;
+        const side = anchorX < width / 2 ? -1 : 1;
+        ctx.save();
+        ctx.font = '600 14px "Segoe UI", sans-serif';
+        const boxWidth = ctx.measureText(label).width + 16;
+        const edgeX = side < 0 ? Math.max(bounds.minX - 40, boxWidth + 8) : Math.min(bounds.maxX + 40, width - boxWidth - 8);
+        const boxX = side < 0 ? edgeX - boxWidth : edgeX;
+        const boxY = clamp(anchorY - 40, 8, this.animation.viewSize().height - 36);
+        ctx.strokeStyle = '#1565c0';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(anchorX, anchorY);
+        ctx.lineTo(edgeX, boxY + 14);
+        ctx.stroke();
+        ctx.fillStyle = '#1565c0';
+        ctx.beginPath();
+        ctx.arc(anchorX, anchorY, 3.5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+        drawRoundedRect(ctx, boxX, boxY, boxWidth, 28, 6);
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = '#1565c0';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(label, boxX + boxWidth / 2, boxY + 14);
+        ctx.restore();
+    }
+
+    syncTooltip() {
+        const { tooltip } = this.ui;
+        if (!tooltip) {
+            return;
+        }
+        const part = this.hovered;
+        if (!part || !this.pointerClient) {
+            tooltip.hidden = true;
+            return;
+        }
+        const info = PART_INFO[part.id];
+        const title = `<strong>${info.name}</strong>`;
+        if (tooltip.dataset.part !== `${part.id}:${part.cylinder}`) {
+            tooltip.dataset.part = `${part.id}:${part.cylinder}`;
+            tooltip.innerHTML = `${title}<span>${info.purpose}</span>`;
+        }
+        // Position relative to the stage the canvas sits in
+        const rect = this.canvas.getBoundingClientRect();
+        tooltip.style.left = `${this.pointerClient.x - rect.left + this.canvas.offsetLeft + 14}px`;
+        tooltip.style.top = `${this.pointerClient.y - rect.top + this.canvas.offsetTop + 14}px`;
+        tooltip.hidden = false;
+    }
+
+    syncInfo() {
+        const { infoEl, nameEl, purposeEl, isolateToggle } = this.ui;
+        const info = this.pinned ? PART_INFO[this.pinned.id] : null;
+        if (infoEl) {
+            infoEl.hidden = !info;
+        }
+        if (nameEl) {
+            nameEl.textContent = info ? info.name : '';
+        }
+        if (purposeEl) {
+            purposeEl.textContent = info ? info.purpose : '';
+        }
+        if (isolateToggle) {
+            isolateToggle.checked = this.isolate;
+            isolateToggle.disabled = !info;
+        }
+    }
+
+    destroy() {
+        this.unsubscribe.forEach((off) => off());
+        this.unsubscribe = [];
+        for (const { target, type, handler } of this.listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.listeners = [];
+        this.canvas.style.cursor = '';
+    }
+}
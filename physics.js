@@ -0,0 +1,509 @@
+// Engine physics in real units: slider-crank kinematics in millimetres and a
+// single-zone cylinder gas model in bar, cubic centimetres and kelvin.
+
+// Ideal-gas cycle constants
+const GAS_MODEL = {
+    gamma: 1.35,
+    ambientPressure: 1,
+    exhaustPressure: 1.1,
+    intakeTemperature: 320,
+    // Temperature rise from burning a full charge at constant volume
+    combustionTemperatureRise: 1800,
+    // Crank degrees for a spark-lit charge to burn completely
+    burnDegrees: 50,
+    // Wiebe burn-rate shape: `efficiency` sets how complete the burn is, `form` how slowly it starts
+    wiebe: { efficiency: 5, form: 2 },
+    // Heat loss: walls at a fixed temperature (K), and how many millimetres of gas next to the wall
+    // give up their excess heat each crank degree at `referenceRpm`. A crank degree lasts longer at lower
+    // speed, so the loss per degree grows as (referenceRpm / rpm)^0.2 (faster gas scrubs the walls harder,
+    // which makes up most of the difference).
+    wallTemperature: 450,
+    wallHeatTransfer: 0.02,
+    referenceRpm: 3000,
+    // Breathing: flow losses take this much manifold pressure (bar) per (m/s)² of mean piston speed, and charge
+    // pushed back out before a late intake valve closes is rammed back in as piston speed passes `ramSpeed` (m/s)
+    intakeRestriction: 0.0006,
+    ramSpeed: 6,
+    // Friction mean effective pressure (bar) per four-stroke cycle as a + b·Sp + c·Sp², Sp the mean piston speed in m/s
+    friction: [0.3, 0.04, 0.001],
+    // Knock: the unburnt end gas ahead of the flame, squeezed by the burning charge, detonates if it gets this
+    // hot (K) before the flame arrives. Pressure waves then ring round the chamber: peak amplitude as a fraction
+    // of the pressure, period and e-folding decay in crank degrees. At 10:1 the end gas gets this hot from about
+    // 29° of advance, past the 15-20° that gives the most work.
+    knockTemperature: 900,
+    knockRinging: { amplitude: 0.3, period: 5, decay: 8 },
+    // Crank degrees for blowdown pressure to fall by a factor of e once the exhaust opens
+    blowdownDecay: 35
+};
+
+// Piston travel below TDC in millimetres at a cycle angle (0° = intake TDC)
+function pistonDisplacementAt(geometry, degrees) {
+    const r = geometry.stroke / 2;
+    const l = geometry.rodLength;
+    const phi = (degrees * Math.PI) / 180;
+    const sin = Math.sin(phi);
+    return r * (1 - Math.cos(phi)) + l - Math.sqrt(Math.max(l * l - r * r * sin * sin, 0));
+}
+
+// Effective lever arm of the slider-crank in mm: piston travel per radian of crank, so a force on the
+// piston times this is the torque it puts on the crank. Negative while the piston rises.
+function crankLeverArm(geometry, degrees) {
+    const r = geometry.stroke / 2;
+    const l = geometry.rodLength;
+    const phi = (degrees * Math.PI) / 180;
+    const sin = Math.sin(phi);
+    const root = Math.sqrt(Math.max(l * l - r * r * sin * sin, 1e-9));
+    return r * sin + (r * r * sin * Math.cos(phi)) / root;
+}
+
+// Piston velocity in m/s at a cycle angle and crank speed; positive while the piston moves down
+function pistonVelocityAt(geometry, degrees, rpm) {
+    const omega = (rpm * Math.PI) / 30;
+    return (omega * crankLeverArm(geometry, degrees)) / 1000;
+}
+
+// Piston acceleration in m/s² at a cycle angle and crank speed, exact for any rod length
+function pistonAccelerationAt(geometry, degrees, rpm) {
+    const r = geometry.stroke / 2;
+    const l = geometry.rodLength;
+    const phi = (degrees * Math.PI) / 180;
+    const sin = Math.sin(phi);
+    const cos = Math.cos(phi);
+    const inner = Math.max(l * l - r * r * sin * sin, 1e-9);
+    const root = Math.sqrt(inner);
+    const omega = (rpm * Math.PI) / 30;
+    const d2x = r * cos + (r * r * (cos * cos - sin * sin)) / root + (r ** 4 * sin * sin * cos * cos) / (inner * root);
+    return (omega * omega * d2x) / 1000;
+}
+
+// First- and second-order terms of the usual series expansion of piston acceleration (m/s²).
+// The secondary term grows as the rod gets shorter relative to the throw.
+function pistonAccelerationOrders(geometry, degrees, rpm) {
+    const r = geometry.stroke / 2;
+    const phi = (degrees * Math.PI) / 180;
+    const omega = (rpm * Math.PI) / 30;
+    const scale = (omega * omega * r) / 1000;
+    return {
+        primary: scale * Math.cos(phi),
+        secondary: scale * (r / geometry.rodLength) * Math.cos(2 * phi)
+    };
+}
+
+// Crank angle after TDC where the piston moves fastest; always before 90° because the rod angularity
+// speeds the piston up near TDC
+function findPeakPistonVelocity(geometry) {
+    let best = { degrees: 0, speed: 0 };
+    for (let tenths = 0; tenths <= 1800; tenths++) {
+        const degrees = tenths / 10;
+        const speed = pistonVelocityAt(geometry, degrees, 60);
+        if (speed > best.speed) {
+            best = { degrees, speed };
+        }
+    }
+    return best.degrees;
+}
+
+// Average piston speed in m/s: two strokes per revolution
+function meanPistonSpeed(geometry, rpm) {
+    return (2 * geometry.stroke * rpm) / 60000;
+}
+
+// Clearance volume above the piston at TDC, in cm³
+function clearanceVolume(geometry) {
+    return computeDisplacement(geometry) / (geometry.compressionRatio - 1);
+}
+
+// Cylinder volume in cm³ at a cycle angle
+function cylinderVolumeAt(geometry, degrees) {
+    const area = (Math.PI / 4) * geometry.bore ** 2;
+    return clearanceVolume(geometry) + (area * pistonDisplacementAt(geometry, degrees)) / 1000;
+}
+
+// Share of a full charge (0-1) trapped when the cylinder closes at `closeDegrees` (intake valve or two-stroke
+// exhaust port, measured from TDC). Flow losses grow with the square of piston speed. Closing after BDC lets the
+// rising piston push charge back out at low speed; at high speed the moving column rams it back in.
+function volumetricEfficiency(geometry, closeDegrees, rpm, gas = GAS_MODEL) {
+    const speed = meanPistonSpeed(geometry, rpm);
+    const closing = ((closeDegrees % 360) + 360) % 360;
+    const pushedBack = closing > 180
+        ? 1 - cylinderVolumeAt(geometry, closing) / cylinderVolumeAt(geometry, 180)
+        : 0;
+    return clamp(1 - pushedBack * Math.exp(-speed / gas.ramSpeed) - gas.intakeRestriction * speed * speed, 0.2, 1);
+}
+
+// Friction mean effective pressure in bar at a crank speed (see GAS_MODEL.friction)
+function frictionMeanPressure(geometry, rpm, gas = GAS_MODEL) {
+    const speed = meanPistonSpeed(geometry, rpm);
+    const [a, b, c] = gas.friction;
+    return a + b * speed + c * speed * speed;
+}
+
+// Crank output of an engine from its cycle trace: indicated torque (cycle-averaged gas torque), friction
+// torque and brake torque in N·m for all `cylinders`, and brake power in kW. Friction is charged per
+// revolution, so a two-stroke pays the same per turn as a four-stroke.
+function engineOutput(geometry, trace, rpm, { cylinders = 1, revolutions = 2, gas = GAS_MODEL } = {}) {
+    // 1 bar·cm³ is 0.1 J
+    const frictionWork = frictionMeanPressure(geometry, rpm, gas) * computeDisplacement(geometry) * 0.1;
+    const indicatedTorque = (cylinders * trace.netWork) / (2 * Math.PI * revolutions);
+    const frictionTorque = (cylinders * frictionWork) / (4 * Math.PI);
+    const torque = indicatedTorque - frictionTorque;
+    return {
+        rpm,
+        indicatedTorque,
+        frictionTorque,
+        torque,
+        power: (torque * rpm * Math.PI) / 30 / 1000
+    };
+}
+
+// Fraction of the charge burnt `degrees` after ignition (Wiebe function), scaled to reach 1 when a
+// burn lasting `duration` degrees ends. A zero duration burns everything at once.
+function wiebeBurnFraction(degrees, duration, wiebe = GAS_MODEL.wiebe) {
+    if (degrees < 0) {
+        return 0;
+    }
+    if (duration <= 0) {
+        return 1;
+    }
+    const progress = Math.min(degrees / duration, 1);
+    return (1 - Math.exp(-wiebe.efficiency * progress ** (wiebe.form + 1))) / (1 - Math.exp(-wiebe.efficiency));
+}
+
+// Fraction of the gas's excess heat over the wall temperature lost in one crank degree. Head, crown and
+// liner are all wetted, so a squashed charge near TDC loses proportionally more than a tall one.
+function wallHeatLoss(geometry, volume, temperature, gas) {
+    const crownArea = (Math.PI / 4) * geometry.bore ** 2;
+    const height = (volume * 1000) / crownArea;
+    const surface = 2 * crownArea + Math.PI * geometry.bore * height;
+    const fraction = (gas.wallHeatTransfer * surface) / (volume * 1000);
+    return clamp(fraction * (temperature - gas.wallTemperature) / temperature, -0.5, 0.5);
+}
+
+// Step the trapped charge one crank degree at a time from `start` to `end` (integer cycle degrees; `end`
+// may run past the end of the cycle). Each step changes the volume isentropically, releases the heat of the
+// Wiebe burn that starts at `sparkDegrees` and loses some to the walls. When `ignitionTemperature` is given
+// the charge only burns if it is at least that hot at the ignition point; `misfire` stops it burning at all.
+// With `knockTemperature`, end gas that gets that hot detonates: whatever has not burnt goes at once and the
+// recorded pressure rings for a few degrees afterwards.
+function integrateClosedCycle(geometry, gas, {
+    start,
+    end,
+    pressure,
+    temperature,
+    sparkDegrees,
+    burnDegrees,
+    ignitionTemperature,
+    knockTemperature,
+    misfire = false
+}) {
+    const volumeStart = cylinderVolumeAt(geometry, start);
+    // Trapped mass as pV/T (bar·cm³/K), and the heat of a full burn as the pressure rise times volume it gives
+    const charge = (pressure * volumeStart) / temperature;
+    const heat = charge * gas.combustionTemperatureRise;
+    const pressureStart = pressure;
+    const states = [{ degrees: start, pressure, temperature, burnFraction: 0 }];
+    let ignition = null;
+    let knock = null;
+    let burnFraction = 0;
+
+    for (let degrees = start + 1; degrees <= end; degrees++) {
+        const volume = cylinderVolumeAt(geometry, degrees);
+        pressure *= (cylinderVolumeAt(geometry, degrees - 1) / volume) ** gas.gamma;
+        if (!ignition && degrees >= sparkDegrees) {
+            const sparkTemperature = (pressure * volume) / charge;
+            ignition = {
+                pressure,
+                temperature: sparkTemperature,
+                ignited: !misfire && (ignitionTemperature === undefined || sparkTemperature >= ignitionTemperature)
+            };
+        }
+        if (ignition && ignition.ignited && burnFraction < 1) {
+            let burnt = wiebeBurnFraction(degrees - sparkDegrees, burnDegrees, gas.wiebe);
+            // Unburnt gas is compressed isentropically from the trapped state by the rising pressure
+            const endGasTemperature = temperature * (pressure / pressureStart) ** ((gas.gamma - 1) / gas.gamma);
+            if (knockTemperature !== undefined && burnFraction > 0 && endGasTemperature >= knockTemperature) {
+                knock = { degrees, endGasTemperature, burnFraction };
+                burnt = 1;
+            }
+            pressure += (heat * (burnt - burnFraction)) / volume;
+            burnFraction = burnt;
+        }
+        pressure *= 1 - wallHeatLoss(geometry, volume, (pressure * volume) / charge, gas);
+        let recorded = pressure;
+        if (knock) {
+            const { amplitude, period, decay } = gas.knockRinging;
+            const since = degrees - knock.degrees;
+            recorded *= 1 + amplitude * Math.cos((2 * Math.PI * since) / period) * Math.exp(-since / decay);
+        }
+        states.push({ degrees, pressure: recorded, temperature: (recorded * volume) / charge, burnFraction });
+    }
+
+    return {
+        states,
+        knock,
+        ignited: ignition ? ignition.ignited : false,
+        ignitionPressure: ignition ? ignition.pressure : pressure,
+        ignitionTemperature: ignition ? ignition.temperature : (pressure * cylinderVolumeAt(geometry, end)) / charge
+    };
+}
+
+// Gas constants adjusted for crank speed: the same heat loss per second is spread over more crank degrees
+function atSpeed(gas, rpm) {
+    return { ...gas, wallHeatTransfer: gas.wallHeatTransfer * (gas.referenceRpm / rpm) ** 0.2 };
+}
+
+// Single-zone cycle at `rpm` (default GAS_MODEL.referenceRpm) sampled once per crank degree: intake at the
+// pressure the engine breathes at that speed (see volumetricEfficiency), then from IVC the closed
+// charge is compressed, burnt over `burnDegrees` from `sparkDegrees` and expanded with heat lost to the
+// walls (see integrateClosedCycle), then blows down towards exhaust back-pressure from EVO. A diesel passes
+// its ignition point as `sparkDegrees`, its injection as the burn and the temperature it needs to light.
+// `misfire` leaves the charge unburnt. `knock` is null unless the end gas detonated.
+function simulateCycle(geometry, timing, options = {}) {
+    const rpm = options.rpm !== undefined ? options.rpm : GAS_MODEL.referenceRpm;
+    const gas = atSpeed({ ...GAS_MODEL, ...options.gas }, rpm);
+    const intakePressure = gas.ambientPressure * volumetricEfficiency(geometry, timing.intakeClose, rpm, gas);
+    const sparkDegrees = options.sparkDegrees !== undefined ? options.sparkDegrees : 360;
+    const burnDegrees = options.burnDegrees !== undefined ? options.burnDegrees : gas.burnDegrees;
+    // The closed part of the cycle must run IVC → spark → end of burn → EVO; clamp timings that overlap it
+    const ivc = Math.ceil(Math.min(timing.intakeClose, sparkDegrees));
+    const evo = Math.ceil(Math.max(timing.exhaustOpen, sparkDegrees + burnDegrees));
+    const settleSpan = timing.exhaustClose > 0 && timing.exhaustClose < ivc
+        ? timing.exhaustClose
+        : Math.max(Math.min(30, ivc), 1);
+
+    const closed = integrateClosedCycle(geometry, gas, {
+        start: ivc,
+        end: evo,
+        pressure: intakePressure,
+        temperature: gas.intakeTemperature,
+        sparkDegrees,
+        burnDegrees,
+        ignitionTemperature: options.ignitionTemperature,
+        // A diesel has no end gas waiting for the flame: its fuel burns as it arrives
+        knockTemperature: options.ignitionTemperature === undefined ? gas.knockTemperature : undefined,
+        misfire: options.misfire
+    });
+    const volumeIvc = cylinderVolumeAt(geometry, ivc);
+    const pressureEvo = closed.states[closed.states.length - 1].pressure;
+    const exhaustBurnt = closed.ignited ? 1 : 0;
+
+    const samples = [];
+    for (let degrees = 0; degrees <= 720; degrees++) {
+        const volume = cylinderVolumeAt(geometry, degrees);
+        let pressure;
+        let phase;
+        let burnFraction = 0;
+
+        if (degrees < ivc) {
+            // Residual back-pressure bleeds down to manifold pressure across the valve overlap
+            const settle = easeInOut(degrees / settleSpan);
+            pressure = gas.exhaustPressure + (intakePressure - gas.exhaustPressure) * settle;
+            phase = 'intake';
+        } else if (degrees <= evo) {
+            const state = closed.states[degrees - ivc];
+            pressure = state.pressure;
+            burnFraction = state.burnFraction;
+            if (degrees < sparkDegrees) {
+                phase = 'compression';
+            } else {
+                phase = burnFraction > 0 && burnFraction < 1 ? 'combustion' : 'expansion';
+            }
+        } else {
+            const decay = Math.exp(-(degrees - evo) / gas.blowdownDecay);
+            pressure = gas.exhaustPressure + (pressureEvo - gas.exhaustPressure) * decay;
+            phase = 'exhaust';
+            burnFraction = exhaustBurnt;
+        }
+
+        // Temperature from the ideal-gas law, referenced to the trapped charge at IVC
+        const temperature = gas.intakeTemperature * (pressure / intakePressure) * (volume / volumeIvc);
+        samples.push({ degrees, volume, pressure, temperature, phase, burnFraction });
+    }
+
+    return {
+        ...summarizeCycle(geometry, samples),
+        ignited: closed.ignited,
+        ignitionDegrees: sparkDegrees,
+        ignitionPressure: closed.ignitionPressure,
+        ignitionTemperature: closed.ignitionTemperature,
+        knock: closed.knock
+    };
+}
+
+// Crankcase of a reed-valve two-stroke, sampled per crank degree from TDC. The reed admits air whenever
+// the rising piston would pull the crankcase below atmospheric, the falling piston compresses the trapped
+// charge, and the transfer port releases it into the cylinder. `reed` is the reed opening (0-1).
+function simulateCrankcase(geometry, ports, options = {}) {
+    const gas = { ...GAS_MODEL, ...options.gas };
+    const ambient = gas.ambientPressure;
+    const area = (Math.PI / 4) * geometry.bore ** 2;
+    const swept = computeDisplacement(geometry);
+    const minVolume = swept / (CRANKCASE_RATIO - 1);
+    const volumeAt = (degrees) => minVolume + (area * (geometry.stroke - pistonDisplacementAt(geometry, degrees))) / 1000;
+    // Largest volume change per degree, used to scale how wide the reed opens
+    const peakRate = (area * geometry.stroke * Math.PI) / 360 / 1000;
+
+    // Two passes settle the pressure carried over TDC into a repeating cycle
+    let pressure = ambient;
+    let samples = [];
+    for (let pass = 0; pass < 2; pass++) {
+        samples = [];
+        for (let degrees = 0; degrees <= 360; degrees++) {
+            const volume = volumeAt(degrees);
+            let reed = 0;
+            if (degrees > 0) {
+                const previousVolume = volumeAt(degrees - 1);
+                const transferOpen = degrees > ports.transferOpen && degrees < 360 - ports.transferOpen;
+                if (transferOpen) {
+                    // Charge flows up the transfer duct until the crankcase matches the scavenged cylinder
+                    pressure = gas.exhaustPressure + (pressure - gas.exhaustPressure) * Math.exp(-1 / 8);
+                } else {
+                    pressure *= (previousVolume / volume) ** gas.gamma;
+                }
+                if (pressure < ambient) {
+                    pressure = ambient;
+                    reed = clamp((volume - previousVolume) / peakRate, 0, 1);
+                }
+            }
+            samples.push({ degrees, volume, pressure, reed });
+        }
+    }
+
+    const open = samples.find((sample) => sample.reed > 0);
+    return {
+        samples,
+        reedOpen: open ? open.degrees : null,
+        reedClose: 0,
+        peakPressure: Math.max(...samples.map((sample) => sample.pressure))
+    };
+}
+
+// Two-stroke cycle sampled once per crank degree from firing TDC: the charge trapped when the exhaust port
+// closes is compressed, lit `sparkDegrees` after TDC (negative for an advanced spark) and expanded (see
+// integrateClosedCycle) until the exhaust port opens, then blows down and is scavenged while the ports are
+// uncovered. `burnFraction` falls during scavenging as fresh charge from the transfer port displaces the burnt gas.
+function simulateTwoStrokeCycle(geometry, ports, options = {}) {
+    const rpm = options.rpm !== undefined ? options.rpm : GAS_MODEL.referenceRpm;
+    const gas = atSpeed({ ...GAS_MODEL, ...options.gas }, rpm);
+    const exhaustClose = 360 - ports.exhaustOpen;
+    const burnDegrees = options.burnDegrees !== undefined ? options.burnDegrees : gas.burnDegrees;
+    const sparkDegrees = 360 + (options.sparkDegrees || 0);
+
+    // The charge is trapped at exhaust back-pressure, less what the rising piston spills out of the port
+    const pressureTrapped = gas.exhaustPressure * volumetricEfficiency(geometry, exhaustClose, rpm, gas);
+    const volumeTrapped = cylinderVolumeAt(geometry, exhaustClose);
+    // Closed from EPC through TDC to the next EPO, one revolution later
+    const closed = integrateClosedCycle(geometry, gas, {
+        start: Math.ceil(exhaustClose),
+        end: Math.ceil(360 + ports.exhaustOpen),
+        pressure: pressureTrapped,
+        temperature: gas.intakeTemperature,
+        sparkDegrees,
+        burnDegrees,
+        knockTemperature: gas.knockTemperature,
+        misfire: options.misfire
+    });
+    const closedAt = (degrees) => closed.states[degrees - closed.states[0].degrees];
+    // Phase of the trapped charge at a closed-cycle angle (the spark may come before or after TDC)
+    const closedPhase = (degrees, burnFraction) => {
+        if (degrees < sparkDegrees) {
+            return 'compression';
+        }
+        return burnFraction > 0 && burnFraction < 1 ? 'combustion' : 'expansion';
+    };
+    const pressureEpo = closed.states[closed.states.length - 1].pressure;
+    const burntAtEpo = closed.ignited ? 1 : 0;
+
+    const samples = [];
+    for (let degrees = 0; degrees <= 360; degrees++) {
+        const volume = cylinderVolumeAt(geometry, degrees);
+        let pressure;
+        let phase;
+        let burnFraction;
+
+        if (degrees < ports.exhaustOpen) {
+            ({ pressure, burnFraction } = closedAt(degrees + 360));
+            phase = closedPhase(degrees + 360, burnFraction);
+        } else if (degrees < exhaustClose) {
+            const decay = Math.exp(-(degrees - ports.exhaustOpen) / gas.blowdownDecay);
+            pressure = gas.exhaustPressure + (pressureEpo - gas.exhaustPressure) * decay;
+            phase = 'scavenging';
+            burnFraction = burntAtEpo * (1 - clamp((degrees - ports.transferOpen) / (exhaustClose - ports.transferOpen), 0, 1));
+        } else {
+            ({ pressure, burnFraction } = closedAt(degrees));
+            phase = closedPhase(degrees, burnFraction);
+        }
+
+        const temperature = gas.intakeTemperature * (pressure / pressureTrapped) * (volume / volumeTrapped);
+        samples.push({ degrees, volume, pressure, temperature, phase, burnFraction });
+    }
+
+    return {
+        ...summarizeCycle(geometry, samples),
+        ignited: closed.ignited,
+        ignitionDegrees: sparkDegrees - 360,
+        ignitionPressure: closed.ignitionPressure,
+        ignitionTemperature: closed.ignitionTemperature,
+        knock: closed.knock ? { ...closed.knock, degrees: closed.knock.degrees % 360 } : null,
+        crankcase: simulateCrankcase(geometry, ports, options)
+    };
+}
+
+// Net work, IMEP and peak pressure of a sampled closed loop
+function summarizeCycle(geometry, samples) {
+    let netWork = 0;
+    let peak = samples[0];
+    for (let i = 1; i < samples.length; i++) {
+        const a = samples[i - 1];
+        const b = samples[i];
+        // bar·cm³ → joules
+        netWork += ((a.pressure + b.pressure) / 2) * (b.volume - a.volume) * 0.1;
+        if (b.pressure > peak.pressure) {
+            peak = b;
+        }
+    }
+    const displacement = computeDisplacement(geometry);
+
+    return {
+        samples,
+        netWork,
+        // Mean effective pressure in bar: net work spread over the swept volume
+        imep: (netWork / 0.1) / displacement,
+        peakPressure: peak.pressure,
+        peakDegrees: peak.degrees,
+        minVolume: clearanceVolume(geometry),
+        maxVolume: clearanceVolume(geometry) + displacement
+    };
+}
+
+// Linearly interpolate a cycle trace at any cycle angle; works for 720° and 360° traces
+function sampleCycle(trace, degrees) {
+    const span = trace.samples.length - 1;
+    const angle = ((degrees % span) + span) % span;
+    const index = Math.floor(angle);
+    const a = trace.samples[index];
+    const b = trace.samples[index + 1];
+    const t = angle - index;
+    return {
+        degrees: angle,
+        volume: a.volume + (b.volume - a.volume) * t,
+        pressure: a.pressure + (b.pressure - a.pressure) * t,
+        temperature: a.temperature + (b.temperature - a.temperature) * t,
+        burnFraction: a.burnFraction + (b.burnFraction - a.burnFraction) * t,
+        phase: a.phase
+    };
+}
+
+// Crankcase pressure and reed opening at any two-stroke cycle angle
+function sampleCrankcase(crankcase, degrees) {
+    const angle = ((degrees % 360) + 360) % 360;
+    const index = Math.floor(angle);
+    const a = crankcase.samples[index];
+    const b = crankcase.samples[index + 1];
+    const t = angle - index;
+    return {
+        degrees: angle,
+        pressure: a.pressure + (b.pressure - a.pressure) * t,
+        reed: a.reed + (b.reed - a.reed) * t
+    };
+}
@@ -0,0 +1,152 @@
+// Pressure-volume diagram: the modelled spark-ignition or diesel loop with each stroke
+// in its own colour, the enclosed work shaded and a marker that follows the piston.
+
+const PV_PLOT_MARGIN = { left: 44, right: 14, top: 16, bottom: 30 };
+
+class PVDiagram {
+    constructor(animation, canvas, options = {}) {
+        this.animation = animation;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.ui = { ...options.ui };
+
+        this.unsubscribe = [
+            animation.on('frame', () => this.render()),
+            animation.on('geometrychange', () => this.render()),
+            animation.on('timingchange', () => this.render()),
+            animation.on('injectionchange', () => this.render()),
+            animation.on('ignitionchange', () => this.render()),
+            animation.on('cyclemodechange', () => this.render()),
+            animation.on('rpmchange', () => this.render())
+        ];
+        this.render();
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const trace = this.animation.getCycleTrace();
+        const plotLeft = PV_PLOT_MARGIN.left;
+        const plotTop = PV_PLOT_MARGIN.top;
+        const plotWidth = width - PV_PLOT_MARGIN.left - PV_PLOT_MARGIN.right;
+        const plotHeight = height - PV_PLOT_MARGIN.top - PV_PLOT_MARGIN.bottom;
+        const volumeStep = niceAxisStep(trace.maxVolume * 1.05, 5);
+        const pressureStep = niceAxisStep(trace.peakPressure * 1.1, 5);
+        const volumeMax = Math.ceil((trace.maxVolume * 1.05) / volumeStep) * volumeStep;
+        const pressureMax = Math.ceil((trace.peakPressure * 1.1) / pressureStep) * pressureStep;
+        const toX = (volume) => plotLeft + (volume / volumeMax) * plotWidth;
+        const toY = (pressure) => plotTop + (1 - pressure / pressureMax) * plotHeight;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Grid and axis labels
+        ctx.strokeStyle = '#e3e7f1';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#5c6478';
+        ctx.font = '10px "Segoe UI", sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let pressure = 0; pressure <= pressureMax + 1e-9; pressure += pressureStep) {
+            const y = toY(pressure);
+            ctx.beginPath();
+            ctx.moveTo(plotLeft, y);
+            ctx.lineTo(plotLeft + plotWidth, y);
+            ctx.stroke();
+            ctx.fillText(String(Math.round(pressure)), plotLeft - 6, y);
+        }
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let volume = 0; volume <= volumeMax + 1e-9; volume += volumeStep) {
+            const x = toX(volume);
+            ctx.beginPath();
+            ctx.moveTo(x, plotTop);
+            ctx.lineTo(x, plotTop + plotHeight);
+            ctx.stroke();
+            ctx.fillText(String(Math.round(volume)), x, plotTop + plotHeight + 5);
+        }
+        ctx.fillText('volume (cm³)', plotLeft + plotWidth / 2, plotTop + plotHeight + 17);
+        ctx.save();
+        ctx.translate(12, plotTop + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textBaseline = 'middle';
+        ctx.fillText('pressure (bar)', 0, 0);
+        ctx.restore();
+
+        // TDC and BDC volumes
+        ctx.strokeStyle = '#b8c0d6';
+        ctx.setLineDash([4, 4]);
+        for (const volume of [trace.minVolume, trace.maxVolume]) {
+            ctx.beginPath();
+            ctx.moveTo(toX(volume), plotTop);
+            ctx.lineTo(toX(volume), plotTop + plotHeight);
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        // Net work: the area enclosed by the loop
+        ctx.fillStyle = 'rgba(255, 107, 0, 0.12)';
+        ctx.beginPath();
+        trace.samples.forEach((sample, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(sample.volume), toY(sample.pressure));
+            } else {
+                ctx.lineTo(toX(sample.volume), toY(sample.pressure));
+            }
+        });
+        ctx.closePath();
+        ctx.fill();
+
+        // The loop itself, one colour per stroke
+        const { strokes } = this.animation;
+        const strokeDegrees = (trace.samples.length - 1) / strokes.length;
+        ctx.lineWidth = 2.5;
+        ctx.lineJoin = 'round';
+        strokes.forEach((stroke, index) => {
+            ctx.strokeStyle = stroke.color;
+            ctx.beginPath();
+            for (let degrees = index * strokeDegrees; degrees <= (index + 1) * strokeDegrees; degrees++) {
+                const sample = trace.samples[degrees];
+                if (degrees === index * strokeDegrees) {
+                    ctx.moveTo(toX(sample.volume), toY(sample.pressure));
+                } else {
+                    ctx.lineTo(toX(sample.volume), toY(sample.pressure));
+                }
+            }
+            ctx.stroke();
+        });
+
+        // Current state of the gas under the piston
+        const angle = this.animation.getCrankAngle();
+        const state = sampleCycle(trace, angle);
+        const stroke = strokes[Math.min(Math.floor(angle / strokeDegrees), strokes.length - 1)];
+        ctx.fillStyle = stroke.color;
+        ctx.strokeStyle = '#2e3a4f';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(toX(state.volume), toY(state.pressure), 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = '#2e3a4f';
+        ctx.font = '600 11px "Segoe UI", sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(
+            `${state.pressure.toFixed(1)} bar · ${state.volume.toFixed(0)} cm³ · ${state.temperature.toFixed(0)} K`,
+            plotLeft + plotWidth - 4,
+            plotTop + 4
+        );
+
+        if (this.ui.summaryEl) {
+            this.ui.summaryEl.textContent = `Net work ${trace.netWork.toFixed(0)} J · `
+                + `IMEP ${trace.imep.toFixed(1)} bar · `
+                + `peak ${trace.peakPressure.toFixed(1)} bar at ${describeCrankAngle(trace.peakDegrees)}`
+                + (trace.knock ? ` · knock at ${describeCrankAngle(trace.knock.degrees)}` : '');
+        }
+    }
+
+    destroy() {
+        this.unsubscribe.forEach((off) => off());
+        this.unsubscribe = [];
+    }
+}
@@ -0,0 +1,2252 @@
+// Engine simulation with no canvas or page attached: geometry, valve and port timing, kinematics, the cycle
+// clock and the particles. Nothing here touches the DOM, so it runs in Node as well as the browser
+// (see headless.js); engine.js draws it.
+
+// Engine Animation Configuration
+const PARTICLE_LIMITS = {
+    intake: 100,
+    crankcase: 140,
+    chamber: 220,
+    exhaust: 160
+};
+
+// Share of each particle pool kept in reduced-motion mode
+const REDUCED_MOTION_PARTICLE_SHARE = 0.25;
+
+// Longest particle step, in base-speed steps. Faster engines move their particles in several shorter steps, so
+// a fast particle cannot jump through a wall or the piston between two checks.
+const MAX_PARTICLE_DT = 1;
+
+// Radians each particle's wander vector turns per step at base speed; its jitter swings round about once a
+// dozen steps
+const PARTICLE_WANDER_TURN = 0.5;
+
+// Engine geometry in millimetres: a square 86 × 86 mm cylinder with a 143 mm rod at 10:1, as in many 2 litre
+// four-cylinder engines. The compression ratio sets the clearance between the piston crown at TDC and the head;
+// buildEngineLayout scales the drawing to fit the canvas.
+const DEFAULT_GEOMETRY = {
+    bore: 86,
+    stroke: 86,
+    rodLength: 143,
+    compressionRatio: 10
+};
+
+const GEOMETRY_LIMITS = {
+    bore: { min: 40, max: 160, label: 'Bore' },
+    stroke: { min: 30, max: 160, label: 'Stroke' },
+    rodLength: { min: 20, max: 400, label: 'Connecting rod length' },
+    compressionRatio: { min: 1.5, max: 25, label: 'Compression ratio' }
+};
+
+// Smallest gap allowed between the piston crown and the head or an open valve
+const MIN_HEAD_CLEARANCE_MM = 1;
+
+// Fixed on-canvas layout: crank centre, drawing scale and room left for the valve gear above the deck
+const LAYOUT = {
+    centerX: 400,
+    crankY: 480,
+    maxScale: 2,
+    pistonHeight: 60,
+    valveGearHeight: 140,
+    maxBorePx: 300,
+    maxThrowPx: 100
+};
+
+// List problems with an engine geometry as { field, message }; empty when it can be built
+function validateGeometry(geometry) {
+    const errors = [];
+    for (const [key, limit] of Object.entries(GEOMETRY_LIMITS)) {
+        const value = geometry[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < limit.min || value > limit.max) {
+            errors.push({ field: key, message: `${limit.label} must be between ${limit.min} and ${limit.max}.` });
+        }
+    }
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const crankThrow = geometry.stroke / 2;
+    if (geometry.rodLength <= crankThrow) {
+        errors.push({
+            field: 'rodLength',
+            message: `Connecting rod (${geometry.rodLength} mm) must be longer than the crank throw (${crankThrow} mm) or the crank cannot turn.`
+        });
+    }
+    return errors;
+}
+
+// Swept volume of one cylinder in cubic centimetres
+function computeDisplacement(geometry) {
+    return (Math.PI / 4) * geometry.bore ** 2 * geometry.stroke / 1000;
+}
+
+// Convert a geometry in millimetres into the pixel layout the draw functions use.
+// The scale shrinks below 2 px/mm only when a long rod or big bore would not fit the canvas.
+function buildEngineLayout(geometry) {
+    const crankThrow = geometry.stroke / 2;
+    const clearance = geometry.stroke / (geometry.compressionRatio - 1);
+    const verticalRoom = LAYOUT.crankY - LAYOUT.valveGearHeight - LAYOUT.pistonHeight / 2;
+    const scale = Math.min(
+        LAYOUT.maxScale,
+        verticalRoom / (crankThrow + geometry.rodLength + clearance),
+        LAYOUT.maxBorePx / geometry.bore,
+        LAYOUT.maxThrowPx / crankThrow
+    );
+
+    const crankRadius = crankThrow * scale;
+    const rodLength = geometry.rodLength * scale;
+    const clearancePx = clearance * scale;
+    const pistonWidth = geometry.bore * scale;
+    const tdcPistonTop = LAYOUT.crankY - crankRadius - rodLength - LAYOUT.pistonHeight / 2;
+
+    return {
+        scale,
+        cylinderX: LAYOUT.centerX,
+        cylinderY: tdcPistonTop - clearancePx,
+        crownTdcY: tdcPistonTop,
+        cylinderWidth: pistonWidth + 10,
+        cylinderHeight: clearancePx + crankRadius * 2 + 40,
+        pistonWidth,
+        pistonHeight: LAYOUT.pistonHeight,
+        crankRadius,
+        rodLength,
+        crankX: LAYOUT.centerX,
+        crankY: LAYOUT.crankY,
+        valveOffset: pistonWidth * 0.32,
+        valveHeadRadius: pistonWidth * 0.19,
+        // Closed valve heads sit in a 15 mm recess above the deck and open 14 mm
+        valveRecess: 15 * scale,
+        valveTravel: 14 * scale,
+        valveHeadThickness: 5.5 * scale
+    };
+}
+
+// Calculate piston position based on crankshaft angle
+function computePistonPosition(engine, angle) {
+    const crankOffsetX = Math.cos(angle) * engine.crankRadius;
+    const crankOffsetY = Math.sin(angle) * engine.crankRadius;
+
+    const crankX = engine.crankX + crankOffsetX;
+    const crankY = engine.crankY + crankOffsetY;
+
+    // Slider-crank constraint keeps rod length fixed; guard against rounding errors
+    const horizontal = crankOffsetX;
+    const rodVertical = Math.sqrt(Math.max(engine.rodLength ** 2 - horizontal ** 2, 0));
+    const pistonCenterY = crankY - rodVertical;
+    const pistonY = pistonCenterY - engine.pistonHeight / 2;
+
+    return {
+        pistonY,
+        crankX,
+        crankY,
+        pistonCenterY
+    };
+}
+
+// Cycle degrees to the drawn crank angle in radians (0° puts the crank pin at top dead centre)
+function cycleDegreesToCrankAngle(degrees) {
+    return (degrees * Math.PI) / 180 - Math.PI / 2;
+}
+
+// Cylinder arrangements. Inline engines fire evenly, one cycle / cylinders apart in firing-order sequence;
+// the V-twin shares one crank pin, so its second cylinder always lags by 360° plus the bank angle.
+const CYLINDER_ARRANGEMENTS = {
+    single: { label: 'Single', cylinders: 1, firingOrder: [1], bankAngle: 0 },
+    'inline-2': { label: 'Inline twin', cylinders: 2, firingOrder: [1, 2], bankAngle: 0 },
+    'inline-4': { label: 'Inline four', cylinders: 4, firingOrder: [1, 3, 4, 2], bankAngle: 0 },
+    'v-twin': { label: '90° V-twin', cylinders: 2, firingOrder: [1, 2], bankAngle: 90 }
+};
+
+// Horizontal gap between neighbouring cylinder blocks of an inline engine, in pixels
+const CYLINDER_GAP = 24;
+
+// Accept "1-3-4-2", "1,3,4,2", "1 3 4 2" or an array of cylinder numbers
+function parseFiringOrder(value) {
+    if (Array.isArray(value)) {
+        return value.map(Number);
+    }
+    return String(value).trim().split(/[\s,-]+/).filter(Boolean).map(Number);
+}
+
+// List problems with an arrangement and firing order as { field, message }; empty when usable
+function validateCylinderLayout(arrangement, firingOrder) {
+    const layout = CYLINDER_ARRANGEMENTS[arrangement];
+    if (!layout) {
+        return [{
+            field: 'arrangement',
+            message: `Unknown cylinder arrangement "${arrangement}". Use one of: ${Object.keys(CYLINDER_ARRANGEMENTS).join(', ')}.`
+        }];
+    }
+    const order = parseFiringOrder(firingOrder);
+    const expected = Array.from({ length: layout.cylinders }, (_, i) => i + 1);
+    const isPermutation = order.length === expected.length &&
+        expected.every((number) => order.filter((entry) => entry === number).length === 1);
+    if (!isPermutation) {
+        return [{
+            field: 'firingOrder',
+            message: `Firing order must list cylinders ${expected.join(', ')} once each, e.g. ${layout.firingOrder.join('-')}.`
+        }];
+    }
+    return [];
+}
+
+// Place each cylinder for an arrangement: its number, phase lag behind cylinder 1 in cycle degrees,
+// bank tilt in radians about the crank centre and sideways offset in pixels
+function buildCylinderLayout(engine, arrangement, firingOrder, cycleDegrees = 720) {
+    const layout = CYLINDER_ARRANGEMENTS[arrangement];
+    const order = parseFiringOrder(firingOrder);
+    const count = layout.cylinders;
+    const pitch = engine.cylinderWidth + CYLINDER_GAP;
+    const cylinders = [];
+    for (let i = 0; i < count; i++) {
+        const number = i + 1;
+        if (layout.bankAngle > 0) {
+            const side = i === 0 ? -1 : 1;
+            cylinders.push({
+                number,
+                phase: i === 0 ? 0 : (360 + layout.bankAngle) % cycleDegrees,
+                tilt: (side * layout.bankAngle * Math.PI) / 360,
+                offsetX: 0
+            });
+        } else {
+            // Phases are relative to cylinder 1 whatever its place in the order
+            const slot = (order.indexOf(number) - order.indexOf(1) + count) % count;
+            cylinders.push({
+                number,
+                phase: (slot * cycleDegrees) / count,
+                tilt: 0,
+                offsetX: (i - (count - 1) / 2) * pitch
+            });
+        }
+    }
+    return cylinders;
+}
+
+// Default valve timing in cycle degrees (0° = intake TDC, 360° = compression TDC).
+// Intake opens 58° BTDC and closes 50° ABDC; exhaust opens 50° BBDC and closes 58° ATDC.
+const DEFAULT_VALVE_TIMING = {
+    intakeOpen: 662,
+    intakeClose: 230,
+    exhaustOpen: 490,
+    exhaustClose: 58,
+    ramp: 50
+};
+
+// Compression TDC as a fraction of the four-stroke cycle. The spark fires `ignition.advance` degrees
+// before it and stays lit for SPARK_WINDOW crank degrees.
+const SPARK_FRACTION = 0.5;
+const SPARK_WINDOW = 9;
+
+// Spark advance in crank degrees before TDC (negative retards it past TDC), and whether the plug misfires
+const DEFAULT_IGNITION = {
+    advance: 10,
+    misfire: false
+};
+
+const IGNITION_LIMITS = {
+    advance: { min: -10, max: 50, label: 'Spark advance' }
+};
+
+// Crank degrees a detonation stays on screen: the knock flame front crosses the chamber in the first third
+const KNOCK_WINDOW = 24;
+
+// Cylinder pressure (bar) at which the gas pushes particles as hard as the original hand tuning did
+const GAS_PRESSURE_REFERENCE = 10;
+
+// Simulation clock: particles integrate in fixed 60 Hz steps whatever the display refresh rate.
+// At 1x the cycle clock advances 0.02 rad per step, i.e. about 22.9 crank rpm on screen.
+const FIXED_STEP_MS = 1000 / 60;
+const CLOCK_STEP = 0.02;
+const BASE_RPM = (CLOCK_STEP * (1000 / FIXED_STEP_MS) / (Math.PI * 2)) * 2 * 60;
+
+// Modelled engine speed in real rpm. The canvas shows it in slow motion, at 1x for DEFAULT_ENGINE_RPM.
+const DEFAULT_ENGINE_RPM = 3000;
+const ENGINE_RPM_LIMITS = { min: 100, max: 20000 };
+
+function validateEngineRpm(rpm) {
+    if (!Number.isFinite(rpm)) {
+        return [{ field: 'engineRpm', message: 'Engine speed must be a number.' }];
+    }
+    if (rpm < ENGINE_RPM_LIMITS.min || rpm > ENGINE_RPM_LIMITS.max) {
+        return [{
+            field: 'engineRpm',
+            message: `Engine speed must be between ${ENGINE_RPM_LIMITS.min} and ${ENGINE_RPM_LIMITS.max} rpm.`
+        }];
+    }
+    return [];
+}
+
+// Stroke cycle information
+const strokes = [
+    {
+        name: 'Intake',
+        color: '#4CAF50',
+        description: 'Air-fuel mixture enters through the intake valve as the piston moves down.',
+        duration: Math.PI * 2 / 4
+    },
+    {
+        name: 'Compression',
+        color: '#FFB74D',
+        description: 'Both valves close and the piston moves up, compressing the air-fuel mixture.',
+        duration: Math.PI * 2 / 4
+    },
+    {
+        name: 'Power (Combustion)',
+        color: '#FF6B00',
+        description: 'Spark plug ignites the compressed mixture, creating an explosion that drives the piston down.',
+        duration: Math.PI * 2 / 4
+    },
+    {
+        name: 'Exhaust',
+        color: '#757575',
+        description: 'Exhaust valve opens and the piston moves up, pushing burnt gases out.',
+        duration: Math.PI * 2 / 4
+    }
+];
+
+// Two-stroke cycle: one crank revolution from firing TDC (0°) with ports in the cylinder wall
+const TWO_STROKE_STROKES = [
+    {
+        name: 'Power & Exhaust',
+        color: '#FF6B00',
+        description: 'The burning charge drives the piston down. It uncovers the exhaust port first, then the transfer port, and fresh mixture from the crankcase sweeps the burnt gas out.',
+        duration: Math.PI * 2 / 2
+    },
+    {
+        name: 'Compression & Intake',
+        color: '#FFB74D',
+        description: 'The rising piston covers both ports and compresses the charge above it, while the space it leaves in the crankcase draws fresh mixture in through the reed valve.',
+        duration: Math.PI * 2 / 2
+    }
+];
+
+// Diesel cycle: same four strokes, but the charge is air alone and the fuel goes in near TDC
+const DIESEL_STROKES = [
+    {
+        name: 'Intake',
+        color: '#4CAF50',
+        description: 'Only air enters through the intake valve as the piston moves down. There is no fuel in it yet.',
+        duration: Math.PI * 2 / 4
+    },
+    {
+        name: 'Compression',
+        color: '#FFB74D',
+        description: 'Both valves close and the piston squeezes the air so hard that it heats up to several hundred degrees.',
+        duration: Math.PI * 2 / 4
+    },
+    {
+        name: 'Power (Combustion)',
+        color: '#FF6B00',
+        description: 'The injector sprays fuel into the hot air, where it ignites on its own without a spark. It keeps burning while injection lasts and drives the piston down.',
+        duration: Math.PI * 2 / 4
+    },
+    {
+        name: 'Exhaust',
+        color: '#757575',
+        description: 'Exhaust valve opens and the piston moves up, pushing out the burnt gas and the air the fuel never reached.',
+        duration: Math.PI * 2 / 4
+    }
+];
+
+// Injection start in crank degrees before compression TDC, and how many crank degrees it lasts
+const DEFAULT_INJECTION = {
+    timing: 12,
+    duration: 30
+};
+
+const INJECTION_LIMITS = {
+    timing: { min: -10, max: 40, label: 'Injection timing' },
+    duration: { min: 4, max: 60, label: 'Injection duration' }
+};
+
+// Crank degrees between the first fuel reaching the hot air and the flame taking hold
+const DIESEL_IGNITION_DELAY = 6;
+// Compressed air must reach this temperature (K) for the injected fuel to light itself
+const AUTOIGNITION_TEMPERATURE = 700;
+// Share of the chamber particle budget the intake air may take, leaving room for the spray
+const DIESEL_AIR_SHARE = 0.7;
+
+// A diesel needs far more compression than a petrol engine to heat its air that far, so diesel mode starts from
+// a small direct-injection diesel at 17:1. Its valves barely overlap, keeping them clear of the piston crown
+// at TDC in the smaller clearance volume.
+const DIESEL_GEOMETRY = {
+    bore: 82,
+    stroke: 90,
+    rodLength: 145,
+    compressionRatio: 17
+};
+
+// Intake opens 10° BTDC and closes 35° ABDC; exhaust opens 50° BBDC and closes 10° ATDC
+const DIESEL_VALVE_TIMING = {
+    intakeOpen: 710,
+    intakeClose: 215,
+    exhaustOpen: 490,
+    exhaustClose: 10,
+    ramp: 50
+};
+
+// List problems with an injection setting as { field, message }; empty when it is usable
+function validateInjection(injection) {
+    const errors = [];
+    for (const [key, { min, max, label }] of Object.entries(INJECTION_LIMITS)) {
+        const value = injection[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            errors.push({ field: key, message: `${label} must be between ${min}° and ${max}°.` });
+        }
+    }
+    return errors;
+}
+
+// List problems with an ignition setting as { field, message }; empty when it is usable
+function validateIgnition(ignition) {
+    const errors = [];
+    for (const [key, { min, max, label }] of Object.entries(IGNITION_LIMITS)) {
+        const value = ignition[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            errors.push({ field: key, message: `${label} must be between ${min}° and ${max}°.` });
+        }
+    }
+    if (typeof ignition.misfire !== 'boolean') {
+        errors.push({ field: 'misfire', message: 'Misfire must be true or false.' });
+    }
+    return errors;
+}
+
+// Start and end of injection and the ignition point, in cycle degrees (360° = compression TDC)
+function injectionWindow(injection) {
+    const start = 360 - injection.timing;
+    return {
+        start,
+        end: start + injection.duration,
+        ignition: start + DIESEL_IGNITION_DELAY
+    };
+}
+
+// Port timing in crank degrees. The piston crown uncovers the exhaust and transfer ports this far after
+// TDC and covers them again as far before the next TDC. Intake is a reed valve into the crankcase,
+// so it opens on crankcase pressure rather than at a fixed angle (see simulateCrankcase).
+const TWO_STROKE_PORTS = {
+    exhaustOpen: 98,
+    transferOpen: 120
+};
+
+// Primary compression: largest over smallest crankcase volume; sets how hard the falling piston pumps the charge
+const CRANKCASE_RATIO = 1.4;
+
+// Cycle length in degrees, crank revolutions per cycle, strokes and firing TDC, where the spark would fire
+// with no advance (fraction of the cycle; null when nothing sparks), and the geometry and valve timing an
+// engine of that kind starts from
+const CYCLE_MODES = {
+    'four-stroke': {
+        label: 'Four-Stroke',
+        degrees: 720,
+        revolutions: 2,
+        strokes,
+        sparkFraction: SPARK_FRACTION,
+        geometry: DEFAULT_GEOMETRY,
+        valveTiming: DEFAULT_VALVE_TIMING
+    },
+    'two-stroke': {
+        label: 'Two-Stroke',
+        degrees: 360,
+        revolutions: 1,
+        strokes: TWO_STROKE_STROKES,
+        sparkFraction: 0,
+        geometry: DEFAULT_GEOMETRY,
+        valveTiming: DEFAULT_VALVE_TIMING
+    },
+    diesel: {
+        label: 'Diesel',
+        degrees: 720,
+        revolutions: 2,
+        strokes: DIESEL_STROKES,
+        sparkFraction: null,
+        geometry: DIESEL_GEOMETRY,
+        valveTiming: DIESEL_VALVE_TIMING
+    }
+};
+
+// Uncovered fraction (0-1) of the exhaust and transfer ports at a cycle angle (0° = TDC)
+function computePortOpenings(geometry, ports, degrees) {
+    const travel = pistonDisplacementAt(geometry, degrees);
+    const uncovered = (openDegrees) => {
+        const edge = pistonDisplacementAt(geometry, openDegrees);
+        return clamp((travel - edge) / Math.max(geometry.stroke - edge, 1e-6), 0, 1);
+    };
+    return {
+        exhaust: uncovered(ports.exhaustOpen),
+        transfer: uncovered(ports.transferOpen)
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+// Fold a number or string seed into a 32-bit integer (FNV-1a for strings)
+function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Rough black-body ramp for hot gas: dull red at 600 K through orange to yellow-white
+const GLOW_STOPS = [
+    [600, { r: 150, g: 30, b: 20 }],
+    [1100, { r: 230, g: 70, b: 10 }],
+    [1600, { r: 255, g: 130, b: 0 }],
+    [2100, { r: 255, g: 200, b: 40 }],
+    [2700, { r: 255, g: 245, b: 200 }]
+];
+
+function mixColor(a, b, t) {
+    return {
+        r: Math.round(a.r + (b.r - a.r) * t),
+        g: Math.round(a.g + (b.g - a.g) * t),
+        b: Math.round(a.b + (b.b - a.b) * t)
+    };
+}
+
+// Glow colour of gas at a temperature in kelvin
+function temperatureColor(temperature) {
+    if (temperature <= GLOW_STOPS[0][0]) {
+        return { ...GLOW_STOPS[0][1] };
+    }
+    for (let i = 1; i < GLOW_STOPS.length; i++) {
+        const [upper, upperColor] = GLOW_STOPS[i];
+        if (temperature <= upper) {
+            const [lower, lowerColor] = GLOW_STOPS[i - 1];
+            return mixColor(lowerColor, upperColor, (temperature - lower) / (upper - lower));
+        }
+    }
+    return { ...GLOW_STOPS[GLOW_STOPS.length - 1][1] };
+}
+
+// Seedable PRNG (mulberry32); the same seed always yields the same sequence in [0, 1)
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Express a cycle angle relative to the nearest dead centre, e.g. "15.0° BTDC"
+function describeCrankAngle(degrees) {
+    const withinRevolution = ((degrees % 360) + 360) % 360;
+    if (withinRevolution < 0.05 || withinRevolution > 359.95) {
+        return 'TDC';
+    }
+    if (Math.abs(withinRevolution - 180) < 0.05) {
+        return 'BDC';
+    }
+    return withinRevolution < 180
+        ? `${withinRevolution.toFixed(1)}° ATDC`
+        : `${(360 - withinRevolution).toFixed(1)}° BTDC`;
+}
+
+// List problems with a valve timing set as { field, message }; empty when it is usable
+function validateValveTiming(timing) {
+    const errors = [];
+    const events = [
+        ['intakeOpen', 'Intake opening (IVO)'],
+        ['intakeClose', 'Intake closing (IVC)'],
+        ['exhaustOpen', 'Exhaust opening (EVO)'],
+        ['exhaustClose', 'Exhaust closing (EVC)']
+    ];
+    for (const [key, label] of events) {
+        const value = timing[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value >= 720) {
+            errors.push({ field: key, message: `${label} must be between 0° and 720°.` });
+        }
+    }
+    if (typeof timing.ramp !== 'number' || !Number.isFinite(timing.ramp) || timing.ramp < 0 || timing.ramp > 180) {
+        errors.push({ field: 'ramp', message: 'Ramp length must be between 0° and 180°.' });
+    }
+    if (timing.intakeOpen === timing.intakeClose) {
+        errors.push({ field: 'intakeClose', message: 'Intake valve must open and close at different angles.' });
+    }
+    if (timing.exhaustOpen === timing.exhaustClose) {
+        errors.push({ field: 'exhaustClose', message: 'Exhaust valve must open and close at different angles.' });
+    }
+    return errors;
+}
+
+// Normalised intake and exhaust lift (0-1) at a cycle angle for a timing set in cycle degrees
+function computeValveLifts(timing, degrees) {
+    const fraction = degrees / 720;
+    return {
+        intake: computeValveLift(fraction, timing.intakeOpen / 720, timing.intakeClose / 720, timing.ramp / 720),
+        exhaust: computeValveLift(fraction, timing.exhaustOpen / 720, timing.exhaustClose / 720, timing.ramp / 720)
+    };
+}
+
+// Sweep the cycle looking for the first angle where an open valve comes within
+// MIN_HEAD_CLEARANCE_MM of the piston crown; null when the pair never touch
+function findValveContact(geometry, timing) {
+    const layout = buildEngineLayout(geometry);
+    const seatY = layout.cylinderY - layout.valveRecess + layout.valveHeadThickness;
+    for (let degrees = 0; degrees < 720; degrees++) {
+        const { pistonY } = computePistonPosition(layout, cycleDegreesToCrankAngle(degrees));
+        const lifts = computeValveLifts(timing, degrees);
+        for (const valve of ['intake', 'exhaust']) {
+            const gap = (pistonY - (seatY + lifts[valve] * layout.valveTravel)) / layout.scale;
+            if (gap < MIN_HEAD_CLEARANCE_MM) {
+                return { valve, degrees, gap };
+            }
+        }
+    }
+    return null;
+}
+
+// Validate geometry and valve timing together, including piston-to-valve clearance.
+// A two-stroke has no poppet valves, so only the four-stroke mode checks clearance.
+function validateEngineConfig(geometry, timing, cycleMode = 'four-stroke') {
+    const errors = [...validateGeometry(geometry), ...validateValveTiming(timing)];
+    if (errors.length > 0 || cycleMode === 'two-stroke') {
+        return errors;
+    }
+    const contact = findValveContact(geometry, timing);
+    if (contact) {
+        errors.push({
+            field: 'clearance',
+            message: `The piston would hit the open ${contact.valve} valve at ${contact.degrees}° ` +
+                `(${contact.gap.toFixed(1)} mm gap). Lower the compression ratio or retime the valve.`
+        });
+    }
+    return errors;
+}
+
+function cycleDistance(a, b) {
+    const diff = Math.abs(a - b);
+    return Math.min(diff, 1 - diff);
+}
+
+function easeInOut(t) {
+    const clamped = clamp(t, 0, 1);
+    return clamped * clamped * (3 - 2 * clamped);
+}
+
+function computeValveLift(fraction, openStart, openEnd, ramp = 0.08) {
+    const normalizedFraction = (fraction % 1 + 1) % 1;
+    const normalizedStart = (openStart % 1 + 1) % 1;
+    const normalizedEnd = (openEnd % 1 + 1) % 1;
+
+    let duration;
+    let local;
+
+    if (normalizedStart === normalizedEnd) {
+        return 1;
+    }
+
+    if (normalizedStart < normalizedEnd) {
+        if (normalizedFraction < normalizedStart || normalizedFraction > normalizedEnd) {
+            return 0;
+        }
+        duration = normalizedEnd - normalizedStart;
+        local = normalizedFraction - normalizedStart;
+    } else {
+        duration = (1 - normalizedStart) + normalizedEnd;
+        if (normalizedFraction >= normalizedStart) {
+            local = normalizedFraction - normalizedStart;
+        } else if (normalizedFraction <= normalizedEnd) {
+            local = (1 - normalizedStart) + normalizedFraction;
+        } else {
+            return 0;
+        }
+    }
+
+    const rampDuration = Math.min(Math.max(ramp, 0), duration / 2);
+    if (rampDuration <= 0) {
+        return 1;
+    }
+
+    if (local < rampDuration) {
+        return easeInOut(local / rampDuration);
+    }
+    if (local > duration - rampDuration) {
+        const closingProgress = (local - (duration - rampDuration)) / rampDuration;
+        return 1 - easeInOut(closingProgress);
+    }
+
+    return 1;
+}
+
+// Cycle degrees to the internal cycle clock, where 2π is one full cycle (720° four-stroke, 360° two-stroke)
+function cycleDegreesToTime(degrees, cycleDegrees = 720) {
+    return (degrees / cycleDegrees) * Math.PI * 2;
+}
+
+function timeToCycleDegrees(value, cycleDegrees = 720) {
+    const cycleTime = ((value % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    return (cycleTime / (Math.PI * 2)) * cycleDegrees;
+}
+
+// The engine's configuration, clock, events and particle pools, stepped at a fixed rate. EngineAnimation
+// draws one on a canvas; on its own it can be stepped and inspected anywhere.
+class EngineSimulation {
+    constructor(options = {}) {
+        this.handlers = new Map();
+        this.cycleMode = options.cycleMode || 'four-stroke';
+        if (!CYCLE_MODES[this.cycleMode]) {
+            throw new RangeError(`Unknown cycle mode "${this.cycleMode}". Use one of: ${Object.keys(CYCLE_MODES).join(', ')}.`);
+        }
+        this.cycle = CYCLE_MODES[this.cycleMode];
+        this.geometry = { ...this.cycle.geometry, ...options.geometry };
+        this.valveTiming = { ...this.cycle.valveTiming, ...options.valveTiming };
+        this.injection = { ...DEFAULT_INJECTION, ...options.injection };
+        this.ignition = { ...DEFAULT_IGNITION, ...options.ignition };
+        this.strokes = this.cycle.strokes;
+        this.arrangement = options.arrangement || 'single';
+        this.firingOrder = options.firingOrder !== undefined
+            ? parseFiringOrder(options.firingOrder)
+            : (CYLINDER_ARRANGEMENTS[this.arrangement] || CYLINDER_ARRANGEMENTS.single).firingOrder;
+        this.engineRpm = options.engineRpm !== undefined ? options.engineRpm : DEFAULT_ENGINE_RPM;
+        const configErrors = [
+            ...validateEngineConfig(this.geometry, this.valveTiming, this.cycleMode),
+            ...validateEngineRpm(this.engineRpm),
+            ...validateInjection(this.injection),
+            ...validateIgnition(this.ignition),
+            ...validateCylinderLayout(this.arrangement, this.firingOrder)
+        ];
+        if (configErrors.length > 0) {
+            throw new RangeError(configErrors.map((error) => error.message).join(' '));
+        }
+        this.engine = buildEngineLayout(this.geometry);
+        this.cycleTrace = null;
+        this.particleLimits = { ...PARTICLE_LIMITS, ...options.particleLimits };
+        this.seed = options.seed !== undefined && options.seed !== null && options.seed !== ''
+            ? options.seed
+            : Math.floor(Math.random() * 4294967296);
+        this.random = createRandom(this.seed);
+
+        // Simulation state
+        this.isPlaying = options.autoPlay !== false;
+        if (options.rpm !== undefined) {
+            this.animationSpeed = options.rpm / BASE_RPM;
+        } else if (options.speed !== undefined) {
+            this.animationSpeed = options.speed;
+        } else {
+            this.animationSpeed = this.engineRpm / DEFAULT_ENGINE_RPM;
+        }
+        this.time = 0;
+        this.accumulator = 0;
+        this.autoPauseEnabled = options.autoPause !== undefined ? Boolean(options.autoPause) : true;
+        this.lastStrokeIndex = null;
+        this.lastSignals = null;
+        this.destroyed = false;
+        this.reducedMotion = Boolean(options.reducedMotion);
+        this.particleBudget = 1;
+
+        this.buildCylinders();
+    }
+
+    // Subscribe to animation events; returns a function that removes the handler.
+    // Events: strokechange, spark, misfire, knock, intakeopen, intakeclose, exhaustopen, exhaustclose,
+    // injectionstart, injectionend, cyclecomplete
+    on(type, handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError(`Handler for "${type}" must be a function`);
+        }
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, new Set());
+        }
+        this.handlers.get(type).add(handler);
+        return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+        const set = this.handlers.get(type);
+        if (set) {
+            set.delete(handler);
+        }
+    }
+
+    emit(type, detail = {}) {
+        const set = this.handlers.get(type);
+        if (!set || set.size === 0) {
+            return;
+        }
+        const event = { type, target: this, ...detail };
+        for (const handler of [...set]) {
+            try {
+                handler(event);
+            } catch (error) {
+                // A failing subscriber must not stop the animation loop
+                console.error(`${this.constructor.name} "${type}" handler failed`, error);
+            }
+        }
+    }
+
+    // Called after a change that page controls show; EngineAnimation updates its controls
+    syncControls() {}
+
+    // Called after a change that should be seen without waiting for the next step; EngineAnimation redraws
+    refresh() {}
+
+    play() {
+        this.isPlaying = true;
+        this.syncControls();
+    }
+
+    pause() {
+        this.isPlaying = false;
+        this.syncControls();
+    }
+
+    reset() {
+        this.time = 0;
+        this.isPlaying = true;
+        this.random = createRandom(this.seed);
+        this.clearParticles();
+        this.lastStrokeIndex = null;
+        this.lastSignals = null;
+        this.syncControls();
+    }
+
+    // Reseed the particle generator and restart the run so it can be reproduced exactly
+    setSeed(seed) {
+        if (seed === undefined || seed === null || seed === '') {
+            throw new TypeError('A seed is required');
+        }
+        this.seed = seed;
+        this.reset();
+    }
+
+    setSpeed(speed) {
+        const value = Number(speed);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new RangeError(`Invalid animation speed: ${speed}`);
+        }
+        this.animationSpeed = value;
+        this.syncControls();
+    }
+
+    // Run the modelled engine at `rpm` real crank revolutions per minute; throws RangeError when out of range.
+    // The replay speed follows, so the canvas keeps showing the engine in the same slow motion.
+    setEngineRpm(rpm) {
+        const value = Number(rpm);
+        const errors = validateEngineRpm(value);
+        if (errors.length > 0) {
+            throw new RangeError(errors[0].message);
+        }
+        this.engineRpm = value;
+        this.animationSpeed = value / DEFAULT_ENGINE_RPM;
+        this.cycleTrace = null;
+        this.syncControls();
+        this.emit('rpmchange', { engineRpm: value });
+    }
+
+    // Replace some or all of the valve events (cycle degrees); throws RangeError listing every problem
+    setValveTiming(changes) {
+        const next = { ...this.valveTiming, ...changes };
+        const errors = validateEngineConfig(this.geometry, next, this.cycleMode);
+        if (errors.length > 0) {
+            throw new RangeError(errors.map((error) => error.message).join(' '));
+        }
+        this.valveTiming = next;
+        this.cycleTrace = null;
+        this.emit('timingchange', { valveTiming: { ...next } });
+        this.refresh();
+    }
+
+    // Replace the diesel injection timing (° BTDC) and/or duration (crank °); throws RangeError listing every problem.
+    // Kept in every mode but only used by the diesel cycle.
+    setInjection(changes) {
+        const next = { ...this.injection, ...changes };
+        const errors = validateInjection(next);
+        if (errors.length > 0) {
+            throw new RangeError(errors.map((error) => error.message).join(' '));
+        }
+        this.injection = next;
+        this.cycleTrace = null;
+        this.emit('injectionchange', { injection: { ...next } });
+        this.refresh();
+    }
+
+    // Replace the spark advance (° BTDC) and/or the misfire switch; throws RangeError listing every problem.
+    // Kept in every mode but ignored by the diesel cycle, which has no spark.
+    setIgnition(changes) {
+        const next = { ...this.ignition, ...changes };
+        const errors = validateIgnition(next);
+        if (errors.length > 0) {
+            throw new RangeError(errors.map((error) => error.message).join(' '));
+        }
+        this.ignition = next;
+        this.cycleTrace = null;
+        this.emit('ignitionchange', { ignition: { ...next } });
+        this.refresh();
+    }
+
+    // Replace some or all of bore, stroke, rod length and compression ratio (mm);
+    // throws RangeError listing every problem. Particles are cleared because their bounds move.
+    setGeometry(changes) {
+        const next = { ...this.geometry, ...changes };
+        const errors = validateEngineConfig(next, this.valveTiming, this.cycleMode);
+        if (errors.length > 0) {
+            throw new RangeError(errors.map((error) => error.message).join(' '));
+        }
+        this.geometry = next;
+        this.engine = buildEngineLayout(next);
+        this.cycleTrace = null;
+        this.buildCylinders();
+        this.emit('geometrychange', { geometry: { ...next } });
+        this.refresh();
+    }
+
+    // Switch between single, inline-2, inline-4 and V-twin layouts. The firing order defaults to the
+    // arrangement's usual one; throws RangeError when it is not a permutation of the cylinder numbers.
+    setArrangement(arrangement, firingOrder) {
+        const layout = CYLINDER_ARRANGEMENTS[arrangement];
+        const order = firingOrder !== undefined
+            ? parseFiringOrder(firingOrder)
+            : (layout ? layout.firingOrder : []);
+        const errors = validateCylinderLayout(arrangement, order);
+        if (errors.length > 0) {
+            throw new RangeError(errors.map((error) => error.message).join(' '));
+        }
+        this.arrangement = arrangement;
+        this.firingOrder = order;
+        this.buildCylinders();
+        this.emit('layoutchange', { arrangement, firingOrder: [...order] });
+        this.refresh();
+    }
+
+    // Lay out the cylinders for the current geometry and arrangement, each with its own particle pools
+    buildCylinders() {
+        const layout = buildCylinderLayout(this.engine, this.arrangement, this.firingOrder, this.cycle.degrees);
+        this.cylinders = layout.map((cylinder) => ({
+            ...cylinder,
+            particles: createParticlePools((kind) => this.particleLimits[kind] / layout.length, () => this.random()),
+            lastPistonY: null
+        }));
+    }
+
+    // Switch between the four-stroke, two-stroke and diesel cycles. The crank returns to the start of the
+    // cycle; throws RangeError when the current geometry cannot run the requested mode. Moving between spark
+    // and compression ignition swaps in that kind of engine's geometry and valve timing instead.
+    setCycleMode(mode) {
+        if (!CYCLE_MODES[mode]) {
+            throw new RangeError(`Unknown cycle mode "${mode}". Use one of: ${Object.keys(CYCLE_MODES).join(', ')}.`);
+        }
+        const { geometry, valveTiming } = CYCLE_MODES[mode];
+        if (geometry !== this.cycle.geometry || valveTiming !== this.cycle.valveTiming) {
+            this.configure({ cycleMode: mode, geometry, valveTiming });
+            return;
+        }
+        const errors = validateEngineConfig(this.geometry, this.valveTiming, mode);
+        if (errors.length > 0) {
+            throw new RangeError(errors.map((error) => error.message).join(' '));
+        }
+        this.cycleMode = mode;
+        this.cycle = CYCLE_MODES[mode];
+        this.strokes = this.cycle.strokes;
+        this.cycleTrace = null;
+        this.time = Math.floor(this.time / (Math.PI * 2)) * Math.PI * 2;
+        this.lastStrokeIndex = null;
+        this.lastSignals = null;
+        this.buildCylinders();
+        this.syncControls();
+        this.emit('cyclemodechange', { cycleMode: mode });
+        this.refresh();
+    }
+
+    // Change any of cycleMode, geometry, valveTiming, injection, ignition, arrangement, firingOrder and
+    // engineRpm in one go. They are checked together, so a two-stroke geometry can arrive with its cycle
+    // mode; throws RangeError listing every problem and changes nothing. Emits each group's change event.
+    configure(changes) {
+        const next = {
+            cycleMode: changes.cycleMode !== undefined ? changes.cycleMode : this.cycleMode,
+            geometry: { ...this.geometry, ...changes.geometry },
+            valveTiming: { ...this.valveTiming, ...changes.valveTiming },
+            injection: { ...this.injection, ...changes.injection },
+            ignition: { ...this.ignition, ...changes.ignition },
+            arrangement: changes.arrangement !== undefined ? changes.arrangement : this.arrangement,
+            engineRpm: changes.engineRpm !== undefined ? Number(changes.engineRpm) : this.engineRpm
+        };
+        if (changes.firingOrder !== undefined) {
+            next.firingOrder = parseFiringOrder(changes.firingOrder);
+        } else if (changes.arrangement !== undefined && CYLINDER_ARRANGEMENTS[changes.arrangement]) {
+            next.firingOrder = CYLINDER_ARRANGEMENTS[changes.arrangement].firingOrder;
+        } else {
+            next.firingOrder = this.firingOrder;
+        }
+        if (!CYCLE_MODES[next.cycleMode]) {
+            throw new RangeError(`Unknown cycle mode "${next.cycleMode}". Use one of: ${Object.keys(CYCLE_MODES).join(', ')}.`);
+        }
+        const errors = [
+            ...validateEngineConfig(next.geometry, next.valveTiming, next.cycleMode),
+            ...validateEngineRpm(next.engineRpm),
+            ...validateInjection(next.injection),
+            ...validateIgnition(next.ignition),
+            ...validateCylinderLayout(next.arrangement, next.firingOrder)
+        ];
+        if (errors.length > 0) {
+            throw new RangeError(errors.map((error) => error.message).join(' '));
+        }
+
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const changed = {
+            cycleMode: next.cycleMode !== this.cycleMode,
+            geometry: !same(next.geometry, this.geometry),
+            valveTiming: !same(next.valveTiming, this.valveTiming),
+            injection: !same(next.injection, this.injection),
+            ignition: !same(next.ignition, this.ignition),
+            layout: next.arrangement !== this.arrangement || !same(next.firingOrder, this.firingOrder),
+            engineRpm: next.engineRpm !== this.engineRpm
+        };
+        Object.assign(this, next);
+        if (changed.cycleMode) {
+            this.cycle = CYCLE_MODES[next.cycleMode];
+            this.strokes = this.cycle.strokes;
+            this.time = Math.floor(this.time / (Math.PI * 2)) * Math.PI * 2;
+            this.lastStrokeIndex = null;
+            this.lastSignals = null;
+        }
+        if (changed.engineRpm) {
+            this.animationSpeed = next.engineRpm / DEFAULT_ENGINE_RPM;
+        }
+        this.engine = buildEngineLayout(next.geometry);
+        this.cycleTrace = null;
+        this.buildCylinders();
+        this.syncControls();
+
+        if (changed.cycleMode) {
+            this.emit('cyclemodechange', { cycleMode: next.cycleMode });
+        }
+        if (changed.geometry) {
+            this.emit('geometrychange', { geometry: { ...next.geometry } });
+        }
+        if (changed.valveTiming) {
+            this.emit('timingchange', { valveTiming: { ...next.valveTiming } });
+        }
+        if (changed.injection) {
+            this.emit('injectionchange', { injection: { ...next.injection } });
+        }
+        if (changed.ignition) {
+            this.emit('ignitionchange', { ignition: { ...next.ignition } });
+        }
+        if (changed.layout) {
+            this.emit('layoutchange', { arrangement: next.arrangement, firingOrder: [...next.firingOrder] });
+        }
+        if (changed.engineRpm) {
+            this.emit('rpmchange', { engineRpm: next.engineRpm });
+        }
+        this.refresh();
+    }
+
+    // Normalised intake and exhaust lift (0-1) at a cycle angle
+    valveLiftAt(degrees) {
+        return computeValveLifts(this.valveTiming, degrees);
+    }
+
+    // Open fraction (0-1) of every valve or port at a cycle angle in the current mode
+    openingsAt(degrees) {
+        if (this.cycleMode === 'diesel') {
+            const { start, end } = injectionWindow(this.injection);
+            // The needle snaps open and shut within a couple of degrees
+            const needle = computeValveLift(degrees / 720, start / 720, end / 720, 2 / 720);
+            return { ...this.valveLiftAt(degrees), injection: needle };
+        }
+        if (this.cycleMode !== 'two-stroke') {
+            return this.valveLiftAt(degrees);
+        }
+        const crankcase = sampleCrankcase(this.getCycleTrace().crankcase, degrees);
+        return { ...computePortOpenings(this.geometry, TWO_STROKE_PORTS, degrees), intake: crankcase.reed };
+    }
+
+    // Opening and closing angles of each valve or port, in cycle degrees, for plots and the timeline
+    getTimingEvents() {
+        if (this.cycleMode === 'two-stroke') {
+            const ports = TWO_STROKE_PORTS;
+            const { reedOpen, reedClose } = this.getCycleTrace().crankcase;
+            return [
+                { key: 'intake', label: 'Reed valve', color: '#4CAF50', open: reedOpen, close: reedClose, labels: ['RVO', 'RVC'] },
+                { key: 'transfer', label: 'Transfer', color: '#26A69A', open: ports.transferOpen, close: 360 - ports.transferOpen, labels: ['TPO', 'TPC'] },
+                { key: 'exhaust', label: 'Exhaust port', color: '#f44336', open: ports.exhaustOpen, close: 360 - ports.exhaustOpen, labels: ['EPO', 'EPC'] }
+            ];
+        }
+        const timing = this.valveTiming;
+        const events = [
+            { key: 'intake', label: 'Intake', color: '#4CAF50', open: timing.intakeOpen, close: timing.intakeClose, labels: ['IVO', 'IVC'] },
+            { key: 'exhaust', label: 'Exhaust', color: '#f44336', open: timing.exhaustOpen, close: timing.exhaustClose, labels: ['EVO', 'EVC'] }
+        ];
+        if (this.cycleMode === 'diesel') {
+            const { start, end } = injectionWindow(this.injection);
+            events.push({ key: 'injection', label: 'Injection', color: '#8D6E63', open: start, close: end, labels: ['SOI', 'EOI'] });
+        }
+        return events;
+    }
+
+    // Cycle angle at which the plug fires, or null on a diesel
+    getSparkAngle() {
+        const { sparkFraction, degrees } = this.cycle;
+        if (sparkFraction === null) {
+            return null;
+        }
+        return (((sparkFraction * degrees - this.ignition.advance) % degrees) + degrees) % degrees;
+    }
+
+    // Cylinder pressure and volume across one cycle (see physics.js) at the engine speed, rebuilt after
+    // geometry, timing, injection, ignition, speed or mode changes
+    getCycleTrace() {
+        if (!this.cycleTrace) {
+            this.cycleTrace = this.simulateCycleAt(this.engineRpm);
+        }
+        return this.cycleTrace;
+    }
+
+    // Model one cycle of the current engine at any speed
+    simulateCycleAt(rpm) {
+        const { advance, misfire } = this.ignition;
+        if (this.cycleMode === 'two-stroke') {
+            return simulateTwoStrokeCycle(this.geometry, TWO_STROKE_PORTS, { sparkDegrees: -advance, misfire, rpm });
+        }
+        if (this.cycleMode === 'diesel') {
+            // The Wiebe burn starts once the ignition delay has passed and lasts as long as the injection
+            return simulateCycle(this.geometry, this.valveTiming, {
+                sparkDegrees: injectionWindow(this.injection).ignition,
+                burnDegrees: this.injection.duration,
+                ignitionTemperature: AUTOIGNITION_TEMPERATURE,
+                rpm
+            });
+        }
+        return simulateCycle(this.geometry, this.valveTiming, {
+            sparkDegrees: SPARK_FRACTION * 720 - advance,
+            misfire,
+            rpm
+        });
+    }
+
+    // Torque on the crank in N·m at a cycle angle of cylinder 1: every cylinder's gas force times the
+    // slider-crank lever arm at its own point in the cycle. Negative while the gas resists the crank.
+    crankTorqueAt(degrees) {
+        return this.cylinders.reduce((sum, cylinder) => {
+            const local = degrees - cylinder.phase;
+            return sum + (this.gasStateAt(local).force * crankLeverArm(this.geometry, local)) / 1000;
+        }, 0);
+    }
+
+    // Cycle-averaged crank output at a speed (the engine speed by default): indicated, friction and brake
+    // torque in N·m and brake power in kW for the whole engine (see engineOutput)
+    getEngineOutput(rpm = this.engineRpm) {
+        const trace = rpm === this.engineRpm ? this.getCycleTrace() : this.simulateCycleAt(rpm);
+        return engineOutput(this.geometry, trace, rpm, {
+            cylinders: this.cylinders.length,
+            revolutions: this.cycle.revolutions
+        });
+    }
+
+    // Modelled cylinder gas at a cycle angle: pressure (bar), temperature (K), volume (cm³), the fraction of
+    // the charge burnt, the cycle phase and the net gas force on the piston crown in newtons (positive pushes
+    // the piston down). Under the piston is the two-stroke's crankcase pressure or, otherwise, atmospheric.
+    // `knock` counts the crank degrees since the end gas detonated, for KNOCK_WINDOW degrees; otherwise null.
+    gasStateAt(degrees) {
+        const trace = this.getCycleTrace();
+        const { pressure, temperature, volume, burnFraction, phase } = sampleCycle(trace, degrees);
+        const cycleDegrees = this.cycle.degrees;
+        const sinceKnock = trace.knock
+            ? (((degrees - trace.knock.degrees) % cycleDegrees) + cycleDegrees) % cycleDegrees
+            : null;
+        const below = this.cycleMode === 'two-stroke' ? sampleCrankcase(trace.crankcase, degrees).pressure : 1;
+        const crownArea = (Math.PI / 4) * this.geometry.bore ** 2;
+        return {
+            pressure,
+            temperature,
+            volume,
+            burnFraction,
+            phase,
+            knock: sinceKnock !== null && sinceKnock < KNOCK_WINDOW ? sinceKnock : null,
+            // 1 bar acting on 1 mm² is 0.1 N
+            force: (pressure - below) * crownArea * 0.1
+        };
+    }
+
+    // Diesel chamber at a cycle angle: how far compression has heated the trapped air towards the
+    // autoignition point (0-1), whether fuel is being injected and how much of it has burnt
+    dieselStateAt(degrees, needleLift = this.openingsAt(degrees).injection, gas = this.gasStateAt(degrees)) {
+        const trace = this.getCycleTrace();
+        const intakeTemperature = GAS_MODEL.intakeTemperature;
+        const burn = gas.burnFraction;
+        return {
+            heat: clamp((gas.temperature - intakeTemperature) / (AUTOIGNITION_TEMPERATURE - intakeTemperature), 0, 1),
+            injecting: needleLift > 0,
+            ignited: trace.ignited,
+            burning: burn > 0 && burn < 1,
+            burn
+        };
+    }
+
+    // Crank revolutions per minute as seen on screen
+    getRpm() {
+        return this.animationSpeed * BASE_RPM;
+    }
+
+    setRpm(rpm) {
+        const value = Number(rpm);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new RangeError(`Invalid rpm: ${rpm}`);
+        }
+        this.setSpeed(value / BASE_RPM);
+    }
+
+    // Calmer drawing for viewers sensitive to motion, and lighter work for slow machines: no flashes or
+    // flickering flame, a quarter of the particles, drawn as flat dots
+    setReducedMotion(enabled) {
+        this.reducedMotion = Boolean(enabled);
+        this.trimParticles();
+        this.syncControls();
+        this.emit('reducedmotionchange', { reducedMotion: this.reducedMotion });
+        this.refresh();
+    }
+
+    setAutoPause(enabled) {
+        this.autoPauseEnabled = Boolean(enabled);
+        if (!this.autoPauseEnabled) {
+            this.isPlaying = true;
+        }
+        this.syncControls();
+    }
+
+    // Jump to a crank position expressed in cycle degrees (0° = intake TDC, 720° = one full cycle;
+    // a two-stroke cycle is 360° from firing TDC).
+    // The completed-cycle count is kept so seeking never fires a spurious cyclecomplete.
+    seek(degrees) {
+        const value = Number(degrees);
+        if (!Number.isFinite(value)) {
+            throw new RangeError(`Invalid crank angle: ${degrees}`);
+        }
+        const span = this.cycle.degrees;
+        const cycleStart = Math.floor(this.time / (Math.PI * 2)) * Math.PI * 2;
+        this.time = cycleStart + cycleDegreesToTime(((value % span) + span) % span, span);
+        for (const cylinder of this.cylinders) {
+            cylinder.lastPistonY = null;
+        }
+        this.lastStrokeIndex = null;
+        this.lastSignals = null;
+        this.refresh();
+    }
+
+    // Pause and move the crank by a signed number of cycle degrees
+    stepBy(degrees) {
+        this.pause();
+        this.seek(this.getCrankAngle() + Number(degrees));
+    }
+
+    getCrankAngle() {
+        return timeToCycleDegrees(this.time, this.cycle.degrees);
+    }
+
+    destroy() {
+        this.destroyed = true;
+        this.handlers.clear();
+        this.clearParticles();
+    }
+
+    clearParticles() {
+        for (const cylinder of this.cylinders) {
+            for (const pool of Object.values(cylinder.particles)) {
+                pool.clear();
+            }
+            cylinder.lastPistonY = null;
+        }
+    }
+
+    // Drop the newest particles from any pool over its current limit
+    trimParticles() {
+        for (const cylinder of this.cylinders) {
+            for (const [kind, pool] of Object.entries(cylinder.particles)) {
+                pool.truncate(this.particleLimit(kind));
+            }
+        }
+    }
+
+    // Each cylinder gets an equal share of the particle budget, cut down in reduced-motion mode and scaled by
+    // the adaptive budget
+    particleLimit(kind) {
+        const share = (this.reducedMotion ? REDUCED_MOTION_PARTICLE_SHARE : 1) * this.particleBudget;
+        return Math.ceil((this.particleLimits[kind] * share) / this.cylinders.length);
+    }
+
+    rand(min, max) {
+        return this.random() * (max - min) + min;
+    }
+
+    createMixtureColor() {
+        const palette = [
+            { r: 70, g: 170, b: 220 },
+            { r: 60, g: 190, b: 200 },
+            { r: 80, g: 180, b: 210 },
+            { r: 90, g: 200, b: 240 }
+        ];
+        const base = palette[Math.floor(this.random() * palette.length)];
+        return {
+            r: base.r + Math.floor(this.rand(-10, 10)),
+            g: base.g + Math.floor(this.rand(-15, 15)),
+            b: base.b + Math.floor(this.rand(-10, 10))
+        };
+    }
+
+    // Diesel intake charge: clean air, drawn pale so the fuel spray stands out against it
+    createAirColor() {
+        return {
+            r: 190 + Math.floor(this.rand(-10, 10)),
+            g: 215 + Math.floor(this.rand(-10, 10)),
+            b: 240 + Math.floor(this.rand(-10, 10))
+        };
+    }
+
+    // Get current stroke based on time
+    getCurrentStroke() {
+        const cycleTime = this.time % (Math.PI * 2);
+        const strokeIndex = Math.floor(cycleTime / (Math.PI * 2 / this.strokes.length));
+        return this.strokes[strokeIndex];
+    }
+
+    spawnIntakeParticles(particles, lift, pistonVelocity, speedFactor, airOnly = false) {
+        const engine = this.engine;
+        if (lift <= 0) {
+            return;
+        }
+        const intake = particles.intake;
+        const available = this.particleLimit('intake') - intake.count;
+        if (available <= 0) {
+            return;
+        }
+
+        const spawnMultiplier = speedFactor >= 1 ? speedFactor : 1;
+        const baseSpawn = Math.ceil(lift * 6 * spawnMultiplier);
+        const spawnCount = Math.min(Math.max(baseSpawn, 1), available);
+        const intakeX = engine.cylinderX - engine.valveOffset;
+        const startY = engine.cylinderY - 55;
+
+        for (let n = 0; n < spawnCount; n++) {
+            const i = intake.add('intake');
+            intake.x[i] = intakeX + this.rand(-9, 9);
+            intake.y[i] = startY + this.rand(-12, 6);
+            intake.vx[i] = this.rand(0.25, 0.9);
+            intake.vy[i] = this.rand(1.8, 2.8) + Math.max(pistonVelocity, 0) * 0.02 * speedFactor;
+            intake.radius[i] = this.rand(1.6, 2.4);
+            intake.alpha[i] = this.rand(0.5, 0.8);
+            intake.maxLife[i] = 120;
+            intake.setColor(i, airOnly ? this.createAirColor() : this.createMixtureColor());
+            intake.spin[i] = this.rand(-0.018, 0.018);
+        }
+    }
+
+    // Injector spray: droplets fanned out sideways from the nozzle, since near TDC the chamber is
+    // far wider than it is tall
+    spawnFuelParticles(particles, speedFactor) {
+        const engine = this.engine;
+        const chamber = particles.chamber;
+        const available = this.particleLimit('chamber') - chamber.count;
+        if (available <= 0) {
+            return;
+        }
+        const spawnCount = Math.min(Math.ceil(4 * Math.max(speedFactor, 1)), available);
+        for (let n = 0; n < spawnCount; n++) {
+            const side = n % 2 === 0 ? 1 : -1;
+            const angle = this.rand(0.2, 0.8);
+            const speed = this.rand(2.4, 3.6);
+            const i = chamber.add('fuel');
+            chamber.x[i] = engine.cylinderX + this.rand(-2, 2);
+            chamber.y[i] = engine.cylinderY + 4;
+            chamber.vx[i] = side * Math.cos(angle) * speed;
+            chamber.vy[i] = Math.sin(angle) * speed;
+            chamber.radius[i] = this.rand(1, 1.6);
+            chamber.alpha[i] = this.rand(0.75, 0.95);
+            chamber.maxLife[i] = 280;
+            chamber.setColor(i, {
+                r: 215 + Math.floor(this.random() * 30),
+                g: 175 + Math.floor(this.random() * 30),
+                b: 40 + Math.floor(this.random() * 30)
+            });
+            chamber.spin[i] = this.rand(-0.018, 0.018);
+        }
+    }
+
+    // Four-stroke and diesel chamber gas. Petrol goes 'mixture' → 'ignited' → 'burnt'; a diesel draws
+    // in 'air', sprays in 'fuel', and burns the fuel plus whatever air the flame reaches.
+    // `diesel` is null for a spark-ignition engine.
+    updateParticles(particles, {
+        intakeLift,
+        exhaustLift,
+        sparkActive,
+        strokeIndex,
+        pistonY,
+        pistonVelocity,
+        speedFactor,
+        gas,
+        diesel = null
+    }) {
+        const engine = this.engine;
+        const dt = Math.max(speedFactor, 0.01);
+        // Hotter gas jiggles harder (molecular speed goes as √T) and higher pressure pushes harder
+        const agitation = Math.sqrt(gas.temperature / GAS_MODEL.intakeTemperature);
+        const pressureScale = clamp(gas.pressure / GAS_PRESSURE_REFERENCE, 0.2, 4);
+        const blowdown = 1 + Math.max(gas.pressure - GAS_MODEL.exhaustPressure, 0) / GAS_PRESSURE_REFERENCE;
+        const flameFronts = this.flameFronts(gas, pistonY);
+        const gasColor = temperatureColor(gas.temperature);
+        for (const pool of Object.values(particles)) {
+            pool.turnWander(PARTICLE_WANDER_TURN * dt);
+        }
+        if (intakeLift > 0.05 && pistonVelocity > 0) {
+            this.spawnIntakeParticles(particles, intakeLift, pistonVelocity, dt, Boolean(diesel));
+        }
+        if (diesel && diesel.injecting) {
+            this.spawnFuelParticles(particles, dt);
+        }
+
+        const chargeLimit = diesel
+            ? Math.floor(this.particleLimit('chamber') * DIESEL_AIR_SHARE)
+            : this.particleLimit('chamber');
+        const intake = particles.intake;
+        const chamber = particles.chamber;
+        const exhaust = particles.exhaust;
+        {
+            const { x, y, vx, vy, life, maxLife, wanderX, wanderY } = intake;
+            let write = 0;
+            for (let i = 0; i < intake.count; i++) {
+                life[i] += dt;
+                const jitterX = wanderX[i] * 0.02 * dt;
+                const jitterY = (0.015 + wanderY[i] * 0.025) * dt;
+                x[i] += vx[i] * dt + jitterX;
+                y[i] += vy[i] * dt + jitterY;
+
+                if (y[i] >= engine.cylinderY + 6) {
+                    if (chamber.count < chargeLimit) {
+                        const initialFill = this.random();
+                        const j = chamber.add(diesel ? 'air' : 'mixture');
+                        chamber.x[j] = x[i] + this.rand(-10, 10);
+                        chamber.y[j] = engine.cylinderY + this.rand(8, 38);
+                        chamber.vx[j] = this.rand(-0.25, 0.25);
+                        chamber.vy[j] = this.rand(-0.18, 0.18);
+                        chamber.radius[j] = intake.radius[i] * this.rand(0.95, 1.6);
+                        chamber.alpha[j] = this.rand(0.45, 0.7);
+                        chamber.maxLife[j] = 280;
+                        const color = diesel ? this.createAirColor() : this.createMixtureColor();
+                        chamber.setColor(j, color);
+                        chamber.setBaseColor(j, color);
+                        chamber.spin[j] = Number.isNaN(intake.spin[i]) ? this.rand(-0.018, 0.018) : intake.spin[i];
+                        chamber.fillRatio[j] = initialFill;
+                        chamber.baseFill[j] = initialFill;
+                        chamber.spreadBias[j] = this.rand(-1, 1);
+                    }
+                    continue;
+                }
+
+                if (life[i] < maxLife[i]) {
+                    intake.move(i, write++);
+                }
+            }
+            intake.count = write;
+        }
+
+        const minX = engine.cylinderX - engine.pistonWidth / 2 + 12;
+        const maxX = engine.cylinderX + engine.pistonWidth / 2 - 12;
+        const minY = engine.cylinderY + 8;
+        const maxY = pistonY - 10;
+        const exhaustValveX = engine.cylinderX + engine.valveOffset;
+        const exhaustValveY = engine.cylinderY - engine.valveRecess + exhaustLift * engine.valveTravel;
+        const exhaustExitX = exhaustValveX + 140;
+        // Gas leaves whenever the exhaust valve is open after combustion, so an early EVO shows blowdown
+        const allowExhaustExit = exhaustLift > 0.08 && strokeIndex >= 2;
+        const valveCorridorWidth = 44;
+        const valveCorridorHalf = valveCorridorWidth / 2;
+        const valveCorridorTop = engine.cylinderY - 32;
+        const valveCorridorBottom = engine.cylinderY + 68;
+        const inValveCorridor = (px, py) => (
+            allowExhaustExit &&
+            px >= exhaustValveX - valveCorridorHalf &&
+            px <= exhaustValveX + valveCorridorHalf &&
+            py >= valveCorridorTop &&
+            py <= valveCorridorBottom
+        );
+        const chamberCenterX = engine.cylinderX;
+        const chamberCenterY = engine.cylinderY + (pistonY - engine.cylinderY) * 0.42;
+        const exhaustSuctionScale = allowExhaustExit
+            ? clamp((engine.cylinderY + engine.cylinderHeight - pistonY) / engine.cylinderHeight, 0.05, 1)
+            : 0;
+        const exhaustPressureFactor = blowdown * (strokeIndex === 3
+            ? 1 + clamp(-pistonVelocity, 0, 22) * 0.1 + exhaustSuctionScale * 1.8 + exhaustLift * 0.5
+            : 1);
+
+        {
+            const { x, y, vx, vy, life, maxLife, alpha, spin, fillRatio, baseFill, spreadBias, wanderX, wanderY } = chamber;
+            let write = 0;
+            for (let i = 0; i < chamber.count; i++) {
+                const state = chamber.stateName(i);
+                life[i] += dt;
+                vx[i] += wanderX[i] * 0.025 * agitation * dt;
+                vy[i] += (wanderY[i] * 0.035 * agitation + pistonVelocity * 0.0025) * dt;
+                x[i] += vx[i] * dt;
+                y[i] += vy[i] * dt;
+
+                if (state === 'fuel') {
+                    // Spray droplets lose their momentum quickly in the dense air
+                    vx[i] *= Math.pow(0.93, dt);
+                    vy[i] *= Math.pow(0.93, dt);
+                }
+
+                if (strokeIndex === 3) {
+                    const pressureMagnitude = clamp(-pistonVelocity, 0, 18);
+                    if (pressureMagnitude > 0) {
+                        const gx = x[i] - chamberCenterX;
+                        const gy = y[i] - chamberCenterY;
+                        const distance = Math.max(Math.hypot(gx, gy), 1);
+                        const radialPush = pressureMagnitude * 0.0022 * exhaustPressureFactor * dt;
+                        vx[i] += (gx / distance) * radialPush;
+                        vy[i] += (gy / distance) * radialPush;
+                        const turbulence = pressureMagnitude * exhaustPressureFactor * dt;
+                        vx[i] += wanderY[i] * 0.0022 * turbulence;
+                        vy[i] += wanderX[i] * 0.0022 * turbulence;
+                    }
+                }
+
+                let corridorNow = inValveCorridor(x[i], y[i]);
+
+                if (allowExhaustExit) {
+                    const seatX = exhaustValveX;
+                    const seatY = engine.cylinderY + 24;
+                    const dx = seatX - x[i];
+                    const dy = seatY - y[i];
+                    const distance = Math.max(Math.hypot(dx, dy), 1);
+                    const suctionBase = exhaustLift * (0.007 + exhaustSuctionScale * 0.011) * exhaustPressureFactor * dt;
+                    vx[i] += (dx / distance) * suctionBase;
+                    vy[i] += (dy / distance) * suctionBase;
+
+                    const upwardAssist = (0.05 + exhaustSuctionScale * 0.14) * exhaustLift * exhaustPressureFactor * dt;
+                    vy[i] -= upwardAssist;
+
+                    if (corridorNow) {
+                        const exitDirX = 0.1;
+                        const exitDirY = -0.995;
+                        const mag = Math.max(Math.hypot(exitDirX, exitDirY), 0.001);
+                        const exitPush = 0.1 * exhaustLift * (1 + exhaustSuctionScale * 1.9) * exhaustPressureFactor * dt;
+                        vx[i] += (exitDirX / mag) * exitPush;
+                        vy[i] += (exitDirY / mag) * exitPush;
+                        if (y[i] > engine.cylinderY) {
+                            vy[i] -= 0.085 * exhaustLift * (1 + exhaustSuctionScale * 1.2) * exhaustPressureFactor * dt;
+                        }
+                    }
+                }
+
+                if (x[i] < minX) {
+                    x[i] = minX;
+                    vx[i] *= -0.45;
+                } else if (x[i] > maxX && !corridorNow) {
+                    x[i] = maxX;
+                    vx[i] *= -0.45;
+                }
+
+                if (y[i] < minY && !(corridorNow && x[i] >= exhaustValveX - valveCorridorHalf)) {
+                    y[i] = minY;
+                    vy[i] *= -0.45;
+                } else if (y[i] > maxY) {
+                    y[i] = maxY;
+                    vy[i] *= -0.45;
+                }
+
+                corridorNow = inValveCorridor(x[i], y[i]);
+
+                const isPressurized = (
+                    state === 'mixture' ||
+                    state === 'air' ||
+                    state === 'ignited' ||
+                    (state === 'fuel' && life[i] > 20) ||
+                    (state === 'burnt' && strokeIndex < 3)
+                );
+                if (isPressurized) {
+                    if (Number.isNaN(spin[i])) {
+                        spin[i] = this.rand(-0.016, 0.016);
+                    }
+                    if (Number.isNaN(fillRatio[i])) {
+                        fillRatio[i] = this.random();
+                    }
+                    if (Number.isNaN(baseFill[i])) {
+                        baseFill[i] = fillRatio[i];
+                    }
+                    if (Number.isNaN(spreadBias[i])) {
+                        spreadBias[i] = this.rand(-1, 1);
+                    }
+
+                    const chamberHeight = Math.max(pistonY - engine.cylinderY - 22, 28);
+
+                    let targetFill = fillRatio[i];
+                    if (strokeIndex === 0) {
+                        targetFill += wanderY[i] * 0.01;
+                    } else if (strokeIndex === 1) {
+                        targetFill -= Math.min(pistonVelocity, 0) * 0.005;
+                    } else if (strokeIndex === 2) {
+                        const expansion = Math.max(pistonVelocity, 0);
+                        targetFill = clamp(
+                            baseFill[i] * (0.75 + expansion * 0.04) +
+                                fillRatio[i] * 0.15 +
+                                wanderY[i] * 0.03,
+                            0,
+                            1
+                        );
+                    }
+                    targetFill = clamp(targetFill, 0, 1);
+                    fillRatio[i] = clamp((fillRatio[i] * 4 + targetFill) / 5, 0, 1);
+
+                    const desiredY = engine.cylinderY + 12 + fillRatio[i] * chamberHeight;
+                    const dy = desiredY - y[i];
+                    vy[i] += clamp(dy, -180, 180) * 0.00135 * dt;
+
+                    const spreadRadius = engine.pistonWidth / 2 - 18;
+                    const desiredX = engine.cylinderX + spreadBias[i] * spreadRadius;
+                    const dx = desiredX - x[i];
+                    vx[i] += clamp(dx, -150, 150) * 0.0012 * dt;
+
+                    if (strokeIndex === 0) {
+                        vx[i] += spin[i] * 0.5 * dt;
+                        spreadBias[i] = clamp(spreadBias[i] + spin[i] * 0.015 * dt, -1, 1);
+                    } else if (strokeIndex === 1) {
+                        vy[i] += pistonVelocity * 0.01 * dt;
+                    } else if (strokeIndex === 2) {
+                        vx[i] += spin[i] * 0.35 * dt;
+                        const expansion = Math.max(pistonVelocity, 0);
+                        const upwardBias = 1 - fillRatio[i];
+                        vy[i] += expansion * 0.006 * dt;
+                        vy[i] -= upwardBias * expansion * 0.012 * dt;
+                        const ignitionX = engine.cylinderX;
+                        const ignitionY = engine.cylinderY + 12;
+                        const gx = x[i] - ignitionX;
+                        const gy = y[i] - ignitionY;
+                        const distance = Math.max(Math.hypot(gx, gy), 1);
+                        const pressurePush = 0.06 * pressureScale * clamp(1 - distance / (engine.pistonWidth * 0.6), 0.12, 1) * dt;
+                        vx[i] += (gx / distance) * pressurePush;
+                        vy[i] += (gy / distance) * pressurePush;
+                    }
+                }
+
+                // Mixture lights as the flame front reaches it. A diesel burns all of its fuel, but only some
+                // of the air the flame passes through.
+                const inFlame = this.inFlame(x[i], y[i], flameFronts);
+                const ignites = state === 'mixture'
+                    ? inFlame
+                    : Boolean(diesel && diesel.burning &&
+                        (state === 'fuel' || (state === 'air' && inFlame && this.random() < 0.06 * dt)));
+                if (ignites) {
+                    this.igniteParticle(chamber, i);
+                } else if (!sparkActive && state === 'ignited' && strokeIndex === 3) {
+                    chamber.setState(i, 'burnt');
+                    chamber.setColor(i, { r: 110, g: 110, b: 110 });
+                    alpha[i] = 0.55;
+                }
+                const nextState = chamber.stateName(i);
+                if (nextState === 'ignited') {
+                    // Burning gas dims from yellow-white towards red as expansion cools it
+                    chamber.setColor(i, mixColor(chamber.baseColor(i), gasColor, 0.5));
+                }
+
+                if (nextState === 'air') {
+                    // Compression heats the air: shade it from pale blue towards a warm peach
+                    const warmth = diesel ? diesel.heat * 0.75 : 0;
+                    chamber.r[i] = chamber.baseR[i] + (255 - chamber.baseR[i]) * warmth;
+                    chamber.g[i] = chamber.baseG[i] + (170 - chamber.baseG[i]) * warmth;
+                    chamber.b[i] = chamber.baseB[i] + (120 - chamber.baseB[i]) * warmth;
+                }
+
+                if (nextState === 'mixture' || nextState === 'air') {
+                    alpha[i] = clamp(alpha[i] + (0.0025 + wanderX[i] * 0.0125) * dt, 0.35, 0.7);
+                } else if (nextState === 'fuel') {
+                    alpha[i] = clamp(alpha[i] - 0.002 * dt, 0.45, 0.95);
+                } else if (nextState === 'ignited') {
+                    alpha[i] = clamp(alpha[i] - 0.004 * dt, 0.45, 0.9);
+                } else if (nextState === 'burnt') {
+                    alpha[i] = clamp(alpha[i] - 0.003 * dt, 0.25, 0.6);
+                }
+
+                const exitWindowX = valveCorridorHalf * 0.6;
+                const exitWindowY = engine.cylinderY - 4;
+                const readyToExit = allowExhaustExit &&
+                    exhaust.count < this.particleLimit('exhaust') &&
+                    corridorNow &&
+                    Math.abs(x[i] - exhaustValveX) <= exitWindowX &&
+                    (y[i] <= exitWindowY || (y[i] <= engine.cylinderY + 2 && vy[i] <= -0.12));
+
+                if (readyToExit) {
+                    const pressureBoost = exhaustPressureFactor;
+                    const exitVx = Math.max(vx[i], 0.35) + 0.28 * exhaustLift * pressureBoost;
+                    const exitVy = vy[i] * 0.45 - (0.32 + exhaustLift * 0.12) * pressureBoost;
+                    const j = exhaust.add('exhaust');
+                    exhaust.x[j] = x[i] + this.rand(-3, 3);
+                    exhaust.y[j] = y[i] + this.rand(-3, 3);
+                    exhaust.vx[j] = exitVx + this.rand(0.3, 0.8);
+                    exhaust.vy[j] = exitVy + this.rand(-0.85, 0.05);
+                    exhaust.radius[j] = chamber.radius[i] * this.rand(0.9, 1.35);
+                    exhaust.alpha[j] = this.rand(0.5, 0.72);
+                    exhaust.maxLife[j] = 160;
+                    exhaust.setColor(j, this.exhaustColor(chamber, i));
+                    continue;
+                }
+
+                if (life[i] < maxLife[i]) {
+                    chamber.move(i, write++);
+                }
+            }
+            chamber.count = write;
+        }
+
+        {
+            const { x, y, vx, vy, life, maxLife, alpha, wanderX, wanderY } = exhaust;
+            let write = 0;
+            for (let i = 0; i < exhaust.count; i++) {
+                life[i] += dt;
+                vx[i] += 0.018 * dt;
+                vy[i] += -0.012 * dt;
+                x[i] += (vx[i] + wanderX[i] * 0.05) * dt;
+                y[i] += (vy[i] + wanderY[i] * 0.08) * dt;
+                alpha[i] *= Math.pow(0.965, dt);
+
+                if (
+                    life[i] < maxLife[i] &&
+                    alpha[i] > 0.06 &&
+                    y[i] > engine.cylinderY - 200 &&
+                    x[i] < exhaustExitX + 160
+                ) {
+                    exhaust.move(i, write++);
+                }
+            }
+            exhaust.count = write;
+        }
+    }
+
+    // Where the flame starts: the spark plug electrode, or a diesel's injector nozzle
+    flameOrigin() {
+        const engine = this.engine;
+        return {
+            x: engine.cylinderX,
+            y: this.cycleMode === 'diesel' ? engine.cylinderY + 4 : engine.cylinderY + 12
+        };
+    }
+
+    // Flame fronts as { x, y, reach, knock } circles in px. The main front spreads from the flame origin across
+    // the chamber as the charge burns; there is none outside combustion and expansion, so fresh charge entering
+    // over burnt gas never lights. A detonation stops it where it was and adds a second front racing out from
+    // the end gas by the piston crown, across the chamber within the first third of KNOCK_WINDOW.
+    flameFronts(gas, pistonY) {
+        const engine = this.engine;
+        const fronts = [];
+        if (gas.burnFraction > 0 && (gas.phase === 'combustion' || gas.phase === 'expansion')) {
+            const origin = this.flameOrigin();
+            const spread = gas.knock !== null
+                ? Math.min(gas.burnFraction, this.getCycleTrace().knock.burnFraction)
+                : gas.burnFraction;
+            fronts.push({
+                ...origin,
+                // Measured to the edge of the particle spread, so the share of lit particles follows the burn
+                reach: 6 + spread * Math.hypot(engine.pistonWidth / 2 - 18, pistonY - origin.y),
+                knock: false
+            });
+        }
+        if (gas.knock !== null) {
+            const x = engine.cylinderX - engine.pistonWidth / 2 + 10;
+            const y = pistonY - 8;
+            const crossing = Math.hypot(engine.pistonWidth, pistonY - engine.cylinderY);
+            fronts.push({ x, y, reach: 8 + crossing * clamp(gas.knock / (KNOCK_WINDOW / 3), 0, 1), knock: true });
+        }
+        return fronts;
+    }
+
+    inFlame(x, y, fronts) {
+        return fronts.some((front) => Math.hypot(x - front.x, y - front.y) <= front.reach);
+    }
+
+    // Light a chamber particle, remembering its own flame colour so it can cool with the gas later
+    igniteParticle(pool, i) {
+        const flameColor = {
+            r: 220 + Math.floor(this.random() * 35),
+            g: 140 + Math.floor(this.random() * 60),
+            b: 30 + Math.floor(this.random() * 45)
+        };
+        pool.setState(i, 'ignited');
+        pool.setBaseColor(i, flameColor);
+        pool.setColor(i, flameColor);
+        pool.radius[i] *= this.rand(1.2, 1.6);
+        pool.alpha[i] = this.rand(0.72, 0.9);
+    }
+
+    // Colour of a chamber particle once it is out of the exhaust valve: unburnt air and mixture go out as they
+    // came in, unburnt fuel as white smoke
+    exhaustColor(pool, i) {
+        const state = pool.stateName(i);
+        if (state === 'ignited') {
+            return { r: 230 + Math.floor(this.random() * 15), g: 120 + Math.floor(this.random() * 30), b: 60 + Math.floor(this.random() * 30) };
+        }
+        if (state === 'mixture') {
+            return pool.color(i);
+        }
+        if (state === 'air') {
+            return pool.baseColor(i);
+        }
+        if (state === 'fuel') {
+            return { r: 235, g: 235, b: 225 };
+        }
+        return { r: 80 + Math.floor(this.random() * 30), g: 80 + Math.floor(this.random() * 30), b: 80 + Math.floor(this.random() * 30) };
+    }
+
+    // Two-stroke gas path: reed valve → crankcase → transfer duct → cylinder → exhaust port.
+    // Fresh charge loops up the transfer side and across the head, pushing burnt gas out of the exhaust.
+    updateTwoStrokeParticles(particles, { openings, gas, pistonY, pistonVelocity, speedFactor }) {
+        const engine = this.engine;
+        const layout = this.getPortLayout();
+        const dt = Math.max(speedFactor, 0.01);
+        const agitation = Math.sqrt(gas.temperature / GAS_MODEL.intakeTemperature);
+        const blowdown = 1 + Math.max(gas.pressure - GAS_MODEL.exhaustPressure, 0) / GAS_PRESSURE_REFERENCE;
+        const flameFronts = this.flameFronts(gas, pistonY);
+        const gasColor = temperatureColor(gas.temperature);
+        const intake = particles.intake;
+        const crankcase = particles.crankcase;
+        const chamber = particles.chamber;
+        const exhaust = particles.exhaust;
+        for (const pool of Object.values(particles)) {
+            pool.turnWander(PARTICLE_WANDER_TURN * dt);
+        }
+
+        if (openings.intake > 0.05) {
+            const available = this.particleLimit('intake') - intake.count;
+            const spawnCount = Math.min(Math.ceil(openings.intake * 2 * Math.max(dt, 1)), available);
+            for (let n = 0; n < spawnCount; n++) {
+                const i = intake.add('intake');
+                intake.x[i] = layout.caseLeft - 38 + this.rand(0, 6);
+                intake.y[i] = layout.reedY + this.rand(-9, 9);
+                intake.vx[i] = this.rand(1.2, 2.2) * openings.intake;
+                intake.vy[i] = this.rand(-0.2, 0.2);
+                intake.radius[i] = this.rand(1.6, 2.4);
+                intake.alpha[i] = this.rand(0.5, 0.8);
+                intake.maxLife[i] = 120;
+                intake.setColor(i, this.createMixtureColor());
+            }
+        }
+
+        {
+            const { x, y, vx, vy, life, maxLife, wanderY } = intake;
+            let write = 0;
+            for (let i = 0; i < intake.count; i++) {
+                life[i] += dt;
+                x[i] += vx[i] * dt;
+                y[i] += (vy[i] + wanderY[i] * 0.05) * dt;
+                if (x[i] >= layout.caseLeft + 8) {
+                    if (crankcase.count < this.particleLimit('crankcase')) {
+                        const j = crankcase.addCopy(intake, i, 'charge');
+                        crankcase.vx[j] = vx[i] * 0.5;
+                        crankcase.life[j] = 0;
+                        crankcase.maxLife[j] = 900;
+                    }
+                    continue;
+                }
+                if (life[i] < maxLife[i]) {
+                    intake.move(i, write++);
+                }
+            }
+            intake.count = write;
+        }
+
+        const transferOpen = openings.transfer > 0.05;
+        const inletY = layout.caseTop + 12;
+        const transferPortY = (layout.transferTop + Math.min(pistonY, layout.portBottom)) / 2;
+        {
+            const { x, y, vx, vy, life, maxLife, inDuct, wanderX, wanderY } = crankcase;
+            let write = 0;
+            for (let i = 0; i < crankcase.count; i++) {
+                life[i] += dt;
+
+                if (inDuct[i]) {
+                    // Carried up the duct while the port is open, waiting in it while it is closed
+                    x[i] = layout.ductX + this.rand(-3, 3);
+                    if (transferOpen) {
+                        y[i] -= (1.6 + openings.transfer * 3) * dt;
+                    }
+                    y[i] = Math.max(y[i], layout.transferTop + 3);
+                    if (transferOpen && y[i] <= transferPortY) {
+                        if (chamber.count < this.particleLimit('chamber')) {
+                            const j = chamber.addCopy(crankcase, i, 'mixture');
+                            chamber.x[j] = layout.leftWall + 8;
+                            chamber.vx[j] = this.rand(0.4, 0.9);
+                            chamber.vy[j] = this.rand(-2.6, -1.8);
+                            chamber.life[j] = 0;
+                            chamber.maxLife[j] = 320;
+                            chamber.inDuct[j] = 0;
+                            chamber.fillRatio[j] = this.random();
+                            chamber.spreadBias[j] = this.rand(-1, 1);
+                        }
+                        continue;
+                    }
+                    crankcase.move(i, write++);
+                    continue;
+                }
+
+                vx[i] = (vx[i] + wanderX[i] * 0.05 * dt) * Math.pow(0.97, dt);
+                vy[i] = (vy[i] + wanderY[i] * 0.05 * dt + pistonVelocity * 0.002 * dt) * Math.pow(0.97, dt);
+                if (transferOpen) {
+                    const dx = layout.ductX - x[i];
+                    const dy = inletY - y[i];
+                    const distance = Math.max(Math.hypot(dx, dy), 1);
+                    const pull = 0.12 * openings.transfer * dt;
+                    vx[i] += (dx / distance) * pull;
+                    vy[i] += (dy / distance) * pull;
+                    if (distance < 12) {
+                        inDuct[i] = 1;
+                    }
+                }
+                x[i] += vx[i] * dt;
+                y[i] += vy[i] * dt;
+                if (x[i] < layout.caseLeft + 10 || x[i] > layout.caseRight - 10) {
+                    x[i] = clamp(x[i], layout.caseLeft + 10, layout.caseRight - 10);
+                    vx[i] *= -0.45;
+                }
+                if (y[i] < layout.caseTop + 8 || y[i] > layout.caseBottom - 10) {
+                    y[i] = clamp(y[i], layout.caseTop + 8, layout.caseBottom - 10);
+                    vy[i] *= -0.45;
+                }
+                if (life[i] < maxLife[i]) {
+                    crankcase.move(i, write++);
+                }
+            }
+            crankcase.count = write;
+        }
+
+        const minX = layout.leftWall + 8;
+        const maxX = layout.rightWall - 8;
+        const minY = engine.cylinderY + 6;
+        const maxY = pistonY - 6;
+        const exhaustOpen = openings.exhaust > 0.05;
+        const exhaustBottom = Math.min(pistonY, layout.portBottom);
+        const exhaustY = (layout.exhaustTop + exhaustBottom) / 2;
+        const centerX = engine.cylinderX;
+        const centerY = (minY + maxY) / 2;
+
+        {
+            const { x, y, vx, vy, life, maxLife, alpha, fillRatio, spreadBias, wanderX, wanderY } = chamber;
+            let write = 0;
+            for (let i = 0; i < chamber.count; i++) {
+                const state = chamber.stateName(i);
+                life[i] += dt;
+                vx[i] = (vx[i] + wanderX[i] * 0.08 * agitation * dt) * Math.pow(0.96, dt);
+                vy[i] = (vy[i] + (wanderY[i] * 0.08 * agitation + pistonVelocity * 0.01) * dt) * Math.pow(0.96, dt);
+
+                if (transferOpen && state === 'mixture') {
+                    // Loop scavenging: up the transfer wall, across the head and down towards the exhaust
+                    const gx = x[i] - centerX;
+                    const gy = y[i] - centerY;
+                    const distance = Math.max(Math.hypot(gx, gy), 1);
+                    vx[i] += (-gy / distance) * 0.14 * dt;
+                    vy[i] += (gx / distance) * 0.14 * dt;
+                }
+                if (exhaustOpen && state !== 'mixture') {
+                    const dx = layout.rightWall - x[i];
+                    const dy = exhaustY - y[i];
+                    const distance = Math.max(Math.hypot(dx, dy), 1);
+                    const pull = 0.6 * openings.exhaust * blowdown * dt;
+                    vx[i] += (dx / distance) * pull;
+                    vy[i] += (dy / distance) * pull;
+                } else {
+                    // Otherwise each particle settles towards its own spot so the charge fills the chamber
+                    const desiredX = engine.cylinderX + spreadBias[i] * (engine.pistonWidth / 2 - 18);
+                    const desiredY = minY + 6 + fillRatio[i] * Math.max(maxY - minY - 12, 0);
+                    vx[i] += clamp(desiredX - x[i], -150, 150) * 0.004 * dt;
+                    vy[i] += clamp(desiredY - y[i], -150, 150) * 0.004 * dt;
+                }
+                x[i] += vx[i] * dt;
+                y[i] += vy[i] * dt;
+
+                const atPort = exhaustOpen && y[i] >= layout.exhaustTop && y[i] <= exhaustBottom;
+                if (x[i] > maxX && atPort && exhaust.count < this.particleLimit('exhaust')) {
+                    const j = exhaust.add('exhaust');
+                    exhaust.x[j] = layout.rightWall;
+                    exhaust.y[j] = y[i];
+                    exhaust.vx[j] = this.rand(1.4, 2.6);
+                    exhaust.vy[j] = this.rand(-0.3, 0.3);
+                    exhaust.radius[j] = chamber.radius[i] * this.rand(0.9, 1.35);
+                    exhaust.alpha[j] = this.rand(0.5, 0.72);
+                    exhaust.maxLife[j] = 160;
+                    exhaust.setColor(j, state === 'mixture'
+                        ? chamber.color(i)
+                        : { r: 80 + Math.floor(this.random() * 30), g: 80 + Math.floor(this.random() * 30), b: 80 + Math.floor(this.random() * 30) });
+                    continue;
+                }
+                if (x[i] < minX || x[i] > maxX) {
+                    x[i] = clamp(x[i], minX, maxX);
+                    vx[i] *= -0.45;
+                }
+                if (y[i] < minY || y[i] > maxY) {
+                    y[i] = clamp(y[i], minY, Math.max(maxY, minY));
+                    vy[i] *= -0.45;
+                }
+
+                if (state === 'mixture' && this.inFlame(x[i], y[i], flameFronts)) {
+                    this.igniteParticle(chamber, i);
+                } else if (state === 'ignited' && exhaustOpen) {
+                    chamber.setState(i, 'burnt');
+                    chamber.setColor(i, { r: 110, g: 110, b: 110 });
+                    alpha[i] = 0.55;
+                }
+                const nextState = chamber.stateName(i);
+                if (nextState === 'ignited') {
+                    chamber.setColor(i, mixColor(chamber.baseColor(i), gasColor, 0.5));
+                }
+
+                if (nextState === 'ignited') {
+                    alpha[i] = clamp(alpha[i] - 0.004 * dt, 0.45, 0.9);
+                } else if (nextState === 'burnt') {
+                    alpha[i] = clamp(alpha[i] - 0.003 * dt, 0.25, 0.6);
+                }
+
+                if (life[i] < maxLife[i]) {
+                    chamber.move(i, write++);
+                }
+            }
+            chamber.count = write;
+        }
+
+        {
+            const { x, y, vx, vy, life, maxLife, alpha, wanderX, wanderY } = exhaust;
+            let write = 0;
+            for (let i = 0; i < exhaust.count; i++) {
+                life[i] += dt;
+                vx[i] += 0.015 * dt;
+                x[i] += (vx[i] + wanderX[i] * 0.05) * dt;
+                y[i] += (vy[i] + wanderY[i] * 0.08) * dt;
+                alpha[i] *= Math.pow(0.965, dt);
+                if (life[i] < maxLife[i] && alpha[i] > 0.06 && x[i] < layout.rightWall + 220) {
+                    exhaust.move(i, write++);
+                }
+            }
+            exhaust.count = write;
+        }
+    }
+
+    getPistonPosition(angle) {
+        return computePistonPosition(this.engine, angle);
+    }
+
+    // Two-stroke port edges, transfer duct and crankcase housing in one cylinder's local frame.
+    // Port tops sit where the piston crown is at the opening angle, so the piston covers them exactly.
+    getPortLayout() {
+        const engine = this.engine;
+        const crownAt = (degrees) => engine.crownTdcY + pistonDisplacementAt(this.geometry, degrees) * engine.scale;
+        const leftWall = engine.cylinderX - engine.cylinderWidth / 2;
+        const rightWall = engine.cylinderX + engine.cylinderWidth / 2;
+        const cylinderBottom = engine.cylinderY + engine.cylinderHeight;
+        const caseHalfWidth = Math.max(engine.cylinderWidth / 2 + 24, engine.crankRadius + 36);
+        return {
+            leftWall,
+            rightWall,
+            exhaustTop: crownAt(TWO_STROKE_PORTS.exhaustOpen),
+            transferTop: crownAt(TWO_STROKE_PORTS.transferOpen),
+            portBottom: crownAt(180) + 4,
+            ductX: leftWall - 9,
+            ductWidth: 18,
+            caseLeft: engine.crankX - caseHalfWidth,
+            caseRight: engine.crankX + caseHalfWidth,
+            caseTop: cylinderBottom - 2,
+            caseBottom: engine.crankY + Math.max(engine.crankRadius + 16, engine.crankRadius * 0.55 + 30),
+            reedY: engine.crankY - 12
+        };
+    }
+
+    // Fire edge-triggered events by comparing this frame's signals with the previous frame
+    emitSignalEvents({ intakeLift, exhaustLift, sparkActive, misfire = false, knock = null, injectionLift = 0 }) {
+        const signals = {
+            cycle: Math.floor(this.time / (Math.PI * 2)),
+            sparkActive,
+            misfire,
+            knocking: knock !== null,
+            intakeOpen: intakeLift > 0,
+            exhaustOpen: exhaustLift > 0,
+            injecting: injectionLift > 0
+        };
+        const previous = this.lastSignals;
+        this.lastSignals = signals;
+        if (!previous) {
+            return;
+        }
+
+        const detail = { crankAngle: this.getCrankAngle(), cycle: signals.cycle };
+        if (signals.cycle > previous.cycle) {
+            this.emit('cyclecomplete', { ...detail, cycle: previous.cycle });
+        }
+        if (signals.intakeOpen !== previous.intakeOpen) {
+            this.emit(signals.intakeOpen ? 'intakeopen' : 'intakeclose', detail);
+        }
+        if (signals.exhaustOpen !== previous.exhaustOpen) {
+            this.emit(signals.exhaustOpen ? 'exhaustopen' : 'exhaustclose', detail);
+        }
+        if (signals.sparkActive && !previous.sparkActive) {
+            this.emit('spark', detail);
+        }
+        if (signals.misfire && !previous.misfire) {
+            this.emit('misfire', detail);
+        }
+        if (signals.knocking && !previous.knocking) {
+            this.emit('knock', { ...detail, pressure: this.getCycleTrace().peakPressure });
+        }
+        if (signals.injecting !== previous.injecting) {
+            this.emit(signals.injecting ? 'injectionstart' : 'injectionend', detail);
+        }
+    }
+
+    // Derive kinematics, stroke and valve state for one cylinder, which runs `phase` cycle degrees behind cylinder 1
+    computeCylinderState(cylinder, time) {
+        const fullCycle = Math.PI * 2;
+        const { degrees: cycleDegrees, revolutions } = this.cycle;
+        const strokeLength = fullCycle / this.strokes.length;
+        const localTime = time - cycleDegreesToTime(cylinder.phase, cycleDegrees);
+        const cycleTime = ((localTime % fullCycle) + fullCycle) % fullCycle;
+
+        // Calculate crank angle (two crank revolutions per four-stroke cycle, one per two-stroke cycle)
+        const crankAngle = (cycleTime * revolutions) - Math.PI / 2;
+        const pos = this.getPistonPosition(crankAngle);
+
+        // Get current stroke
+        const cycleFraction = cycleTime / fullCycle;
+        const strokeIndex = Math.floor(cycleTime / strokeLength);
+        const stroke = this.strokes[strokeIndex];
+        const strokePhase = (cycleTime % strokeLength) / strokeLength;
+
+        // Valve lift with smooth timing overlap, or how far the piston has uncovered each port
+        const openings = this.openingsAt(cycleFraction * cycleDegrees);
+        // The plug is due for SPARK_WINDOW degrees from the spark angle; a misfire leaves it dark
+        const sparkAngle = this.getSparkAngle();
+        const sparkDue = sparkAngle !== null &&
+            (((cycleFraction * cycleDegrees - sparkAngle) % cycleDegrees) + cycleDegrees) % cycleDegrees < SPARK_WINDOW;
+        const gas = this.gasStateAt(cycleFraction * cycleDegrees);
+
+        return {
+            cylinder,
+            crankAngle,
+            pos,
+            stroke,
+            cycleFraction,
+            strokeIndex,
+            strokePhase,
+            openings,
+            intakeLift: openings.intake,
+            exhaustLift: openings.exhaust,
+            sparkActive: sparkDue && !this.ignition.misfire,
+            misfire: sparkDue && this.ignition.misfire,
+            gas,
+            diesel: this.cycleMode === 'diesel'
+                ? this.dieselStateAt(cycleFraction * cycleDegrees, openings.injection, gas)
+                : null
+        };
+    }
+
+    // State of every cylinder at a clock value. Cylinder 1's fields are repeated at the top level
+    // because events, the timeline and the stroke readout all follow cylinder 1.
+    computeFrameState(time = this.time) {
+        const cylinders = this.cylinders.map((cylinder) => this.computeCylinderState(cylinder, time));
+        return { ...cylinders[0], cylinders };
+    }
+
+    // Which stroke each cylinder is on, in cylinder order
+    getCylinderStrokes(frame = this.computeFrameState()) {
+        return frame.cylinders.map(({ cylinder, stroke, strokeIndex }) => ({
+            number: cylinder.number,
+            strokeIndex,
+            stroke
+        }));
+    }
+
+    // Cycle clock advance per fixed step. A two-stroke cycle is one revolution, so its clock runs
+    // twice as fast to keep the crank turning at the same rpm in both modes.
+    clockStep() {
+        return CLOCK_STEP * this.animationSpeed * (2 / this.cycle.revolutions);
+    }
+
+    // Advance the simulation by one fixed step: clock, stroke events and particles
+    step() {
+        // Update time
+        const wasPlaying = this.isPlaying;
+        if (this.isPlaying) {
+            this.time += this.clockStep();
+        }
+
+        const frame = this.computeFrameState();
+        const { stroke, strokeIndex, intakeLift, exhaustLift, sparkActive, misfire, gas, openings } = frame;
+
+        const previousStrokeIndex = this.lastStrokeIndex;
+        const strokeChanged = previousStrokeIndex !== null && strokeIndex !== previousStrokeIndex;
+        if (strokeChanged && this.autoPauseEnabled && wasPlaying) {
+            this.pause();
+        }
+        this.lastStrokeIndex = strokeIndex;
+
+        if (strokeChanged) {
+            this.emit('strokechange', {
+                index: strokeIndex,
+                previousIndex: previousStrokeIndex,
+                stroke,
+                crankAngle: this.getCrankAngle()
+            });
+        }
+        this.emitSignalEvents({
+            intakeLift,
+            exhaustLift,
+            sparkActive,
+            misfire,
+            knock: gas.knock,
+            injectionLift: openings.injection
+        });
+
+        const substeps = Math.max(Math.ceil(this.animationSpeed / MAX_PARTICLE_DT), 1);
+        const speedFactor = this.animationSpeed / substeps;
+        if (wasPlaying) {
+            for (const state of frame.cylinders) {
+                const { cylinder, pos } = state;
+                const pistonDelta = cylinder.lastPistonY !== null ? pos.pistonY - cylinder.lastPistonY : 0;
+                const pistonVelocity = this.animationSpeed > 0 ? pistonDelta / this.animationSpeed : 0;
+                for (let n = 0; n < substeps; n++) {
+                    if (this.cycleMode === 'two-stroke') {
+                        this.updateTwoStrokeParticles(cylinder.particles, {
+                            openings: state.openings,
+                            gas: state.gas,
+                            pistonY: pos.pistonY,
+                            pistonVelocity,
+                            speedFactor
+                        });
+                        continue;
+                    }
+                    this.updateParticles(cylinder.particles, {
+                        intakeLift: state.intakeLift,
+                        exhaustLift: state.exhaustLift,
+                        sparkActive: state.sparkActive,
+                        strokeIndex: state.strokeIndex,
+                        pistonY: pos.pistonY,
+                        pistonVelocity,
+                        speedFactor,
+                        gas: state.gas,
+                        diesel: state.diesel
+                    });
+                }
+            }
+        }
+
+        for (const { cylinder, pos } of frame.cylinders) {
+            cylinder.lastPistonY = pos.pistonY;
+        }
+    }
+
+    // Move the simulation on by `ms` of real time in fixed steps; the remainder carries over to the next call
+    advance(ms) {
+        this.accumulator += Math.max(ms, 0);
+
+        while (this.accumulator >= FIXED_STEP_MS) {
+            this.step();
+            this.accumulator -= FIXED_STEP_MS;
+        }
+    }
+}
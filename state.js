@@ -0,0 +1,406 @@
+// Shareable state: the crank position, replay settings and every engine parameter, saved as JSON or in the
+// URL hash and restored from either. Input is upgraded from older versions and checked against a schema
+// before anything is applied.
+
+const STATE_VERSION = 1;
+
+const numberFields = (defaults) => Object.fromEntries(Object.keys(defaults).map((key) => [key, { type: 'number' }]));
+
+// Shape of a version 1 state. Ranges and cross-field rules come from the engine's own validators.
+const STATE_SCHEMA = {
+    version: { type: 'integer' },
+    time: { type: 'number', min: 0 },
+    animationSpeed: { type: 'number', min: 0 },
+    autoPauseEnabled: { type: 'boolean' },
+    paused: { type: 'boolean' },
+    seed: { type: 'seed' },
+    engineRpm: { type: 'number' },
+    cycleMode: { type: 'enum', values: Object.keys(CYCLE_MODES) },
+    arrangement: { type: 'enum', values: Object.keys(CYLINDER_ARRANGEMENTS) },
+    firingOrder: { type: 'integers' },
+    geometry: { type: 'object', fields: numberFields(DEFAULT_GEOMETRY) },
+    valveTiming: { type: 'object', fields: numberFields(DEFAULT_VALVE_TIMING) },
+    injection: { type: 'object', fields: numberFields(DEFAULT_INJECTION) },
+    ignition: { type: 'object', fields: { advance: { type: 'number' }, misfire: { type: 'boolean' } } }
+};
+
+// Upgrades, indexed by the version they start from
+const STATE_MIGRATIONS = [
+    // 0: the EngineAnimation constructor options, as pages already embed them. Options that only
+    // concern the host page (ui, autoStart, pixelRatio, responsive, particleLimits, adaptiveParticles, strokeLabel) are dropped.
+    (options) => {
+        const { speed, rpm, autoPause, autoPlay, ui, autoStart, pixelRatio, responsive, particleLimits, adaptiveParticles, strokeLabel, ...rest } = options;
+        const state = { ...rest, version: 1 };
+        if (rpm !== undefined) {
+            state.animationSpeed = Number(rpm) / BASE_RPM;
+        } else if (speed !== undefined) {
+            state.animationSpeed = speed;
+        }
+        if (autoPause !== undefined) {
+            state.autoPauseEnabled = Boolean(autoPause);
+        }
+        if (autoPlay !== undefined) {
+            state.paused = autoPlay === false;
+        }
+        // The constructor also takes a firing order written out, as in "1-3-4-2"
+        if (typeof state.firingOrder === 'string') {
+            state.firingOrder = parseFiringOrder(state.firingOrder);
+        }
+        return state;
+    }
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkStateField(spec, value, path, errors) {
+    const fail = (message) => errors.push({ field: path, message: `${path} ${message}.` });
+    switch (spec.type) {
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                fail('must be a number');
+            } else if (spec.type === 'integer' && !Number.isInteger(value)) {
+                fail('must be a whole number');
+            } else if (spec.min !== undefined && value < spec.min) {
+                fail(`must be at least ${spec.min}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                fail('must be true or false');
+            }
+            break;
+        case 'seed':
+            if (!(typeof value === 'string' && value !== '') && !(typeof value === 'number' && Number.isFinite(value))) {
+                fail('must be a number or a non-empty string');
+            }
+            break;
+        case 'enum':
+            if (!spec.values.includes(value)) {
+                fail(`must be one of ${spec.values.join(', ')}`);
+            }
+            break;
+        case 'integers':
+            if (!Array.isArray(value) || !value.every(Number.isInteger)) {
+                fail('must be a list of cylinder numbers');
+            }
+            break;
+        case 'object':
+            if (!isPlainObject(value)) {
+                fail('must be an object');
+                break;
+            }
+            for (const [key, entry] of Object.entries(value)) {
+                if (spec.fields[key]) {
+                    checkStateField(spec.fields[key], entry, `${path}.${key}`, errors);
+                } else {
+                    errors.push({ field: `${path}.${key}`, message: `Unknown setting "${path}.${key}".` });
+                }
+            }
+            break;
+        default:
+            break;
+    }
+}
+
+// List schema problems with a current-version state as { field, message }; every field is optional
+function validateState(state) {
+    if (!isPlainObject(state)) {
+        return [{ field: 'state', message: 'A saved state must be a JSON object.' }];
+    }
+    const errors = [];
+    for (const [key, value] of Object.entries(state)) {
+        if (STATE_SCHEMA[key]) {
+            checkStateField(STATE_SCHEMA[key], value, key, errors);
+        } else {
+            errors.push({ field: key, message: `Unknown setting "${key}".` });
+        }
+    }
+    return errors;
+}
+
+// Bring a saved state up to STATE_VERSION; a state without a version is a set of constructor options
+function migrateState(data) {
+    if (!isPlainObject(data)) {
+        throw new RangeError('A saved state must be a JSON object.');
+    }
+    let state = data;
+    let version = state.version !== undefined ? state.version : 0;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new RangeError(`Unknown state version: ${state.version}`);
+    }
+    if (version > STATE_VERSION) {
+        throw new RangeError(`This state was saved by a newer version (${version}); this page reads up to version ${STATE_VERSION}.`);
+    }
+    while (version < STATE_VERSION) {
+        state = STATE_MIGRATIONS[version](state);
+        version = state.version;
+    }
+    return state;
+}
+
+// Migrate and check a saved state, filling anything left out with the defaults; throws RangeError
+// listing every problem
+function parseState(data) {
+    const state = migrateState(data);
+    const errors = validateState(state);
+    if (errors.length > 0) {
+        throw new RangeError(errors.map((error) => error.message).join(' '));
+    }
+    const engineRpm = state.engineRpm !== undefined ? state.engineRpm : DEFAULT_ENGINE_RPM;
+    const arrangement = state.arrangement || 'single';
+    const mode = CYCLE_MODES[state.cycleMode || 'four-stroke'];
+    return {
+        version: STATE_VERSION,
+        time: 0,
+        animationSpeed: engineRpm / DEFAULT_ENGINE_RPM,
+        autoPauseEnabled: true,
+        paused: false,
+        engineRpm,
+        cycleMode: 'four-stroke',
+        arrangement,
+        firingOrder: [...CYLINDER_ARRANGEMENTS[arrangement].firingOrder],
+        ...state,
+        geometry: { ...mode.geometry, ...state.geometry },
+        valveTiming: { ...mode.valveTiming, ...state.valveTiming },
+        injection: { ...DEFAULT_INJECTION, ...state.injection },
+        ignition: { ...DEFAULT_IGNITION, ...state.ignition }
+    };
+}
+
+// Everything needed to bring an animation back to where it is now
+function captureState(animation) {
+    const cycleTime = Math.PI * 2;
+    return {
+        version: STATE_VERSION,
+        time: Number((((animation.time % cycleTime) + cycleTime) % cycleTime).toFixed(6)),
+        animationSpeed: animation.animationSpeed,
+        autoPauseEnabled: animation.autoPauseEnabled,
+        paused: !animation.isPlaying,
+        seed: animation.seed,
+        engineRpm: animation.engineRpm,
+        cycleMode: animation.cycleMode,
+        arrangement: animation.arrangement,
+        firingOrder: [...animation.firingOrder],
+        geometry: { ...animation.geometry },
+        valveTiming: { ...animation.valveTiming },
+        injection: { ...animation.injection },
+        ignition: { ...animation.ignition }
+    };
+}
+
+// Apply a saved state (any version) to an animation; throws RangeError, leaving the animation as it was,
+// when the state fails the schema or the engine's own checks
+function restoreState(animation, data) {
+    const state = parseState(data);
+    animation.configure({
+        cycleMode: state.cycleMode,
+        geometry: state.geometry,
+        valveTiming: state.valveTiming,
+        injection: state.injection,
+        ignition: state.ignition,
+        arrangement: state.arrangement,
+        firingOrder: state.firingOrder,
+        engineRpm: state.engineRpm
+    });
+    if (state.seed !== undefined && state.seed !== animation.seed) {
+        animation.setSeed(state.seed);
+    }
+    animation.setSpeed(state.animationSpeed);
+    animation.setAutoPause(state.autoPauseEnabled);
+    animation.seek(timeToCycleDegrees(state.time, animation.cycle.degrees));
+    if (state.paused) {
+        animation.pause();
+    } else {
+        animation.play();
+    }
+    return state;
+}
+
+// URL hash form: flat, readable key=value pairs ("#v=1&time=3.1416&paused=1&geometry.bore=86").
+// Engine settings still at their defaults are left out to keep links short. Geometry and valve timing are
+// compared with the cycle's own defaults, which parseState fills back in.
+function encodeStateHash(state) {
+    const params = new URLSearchParams();
+    const defaults = {
+        ...parseState({ version: STATE_VERSION, cycleMode: state.cycleMode }),
+        cycleMode: 'four-stroke',
+        firingOrder: CYLINDER_ARRANGEMENTS[state.arrangement].firingOrder
+    };
+    params.set('v', String(state.version));
+    for (const [key, spec] of Object.entries(STATE_SCHEMA)) {
+        const value = state[key];
+        if (key === 'version' || value === undefined) {
+            continue;
+        }
+        if (spec.type === 'object') {
+            for (const [field, entry] of Object.entries(value)) {
+                if (entry !== defaults[key][field]) {
+                    params.set(`${key}.${field}`, typeof entry === 'boolean' ? (entry ? '1' : '0') : String(entry));
+                }
+            }
+        } else if (['engineRpm', 'cycleMode', 'arrangement', 'firingOrder'].includes(key)
+            && JSON.stringify(value) === JSON.stringify(defaults[key])) {
+            continue;
+        } else if (spec.type === 'boolean') {
+            params.set(key, value ? '1' : '0');
+        } else if (spec.type === 'integers') {
+            params.set(key, value.join('-'));
+        } else if (key === 'time') {
+            params.set(key, String(Number(value.toFixed(4))));
+        } else if (key === 'seed' && typeof value === 'string' && String(Number(value)) === value) {
+            // Quoted so a numeric-looking string seed is not read back as a number, which seeds differently
+            params.set(key, JSON.stringify(value));
+        } else {
+            params.set(key, String(value));
+        }
+    }
+    return params.toString();
+}
+
+// Read a hash written by encodeStateHash back into a state object for parseState, or null when the
+// hash holds no state. Values are converted by the schema; anything unreadable is left for it to report.
+function decodeStateHash(hash) {
+    const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+    if (!params.has('v')) {
+        return null;
+    }
+    const convert = (spec, text) => {
+        switch (spec ? spec.type : null) {
+            case 'number':
+            case 'integer':
+                return text.trim() === '' ? NaN : Number(text);
+            case 'boolean':
+                return text === '1' || text === 'true' ? true : text === '0' || text === 'false' ? false : text;
+            case 'integers':
+                return parseFiringOrder(text);
+            case 'seed':
+                if (text.startsWith('"')) {
+                    try {
+                        return JSON.parse(text);
+                    } catch (error) {
+                        return text;
+                    }
+                }
+                return text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : text;
+            default:
+                return text;
+        }
+    };
+    const state = {};
+    for (const [key, text] of params) {
+        const [group, field] = key === 'v' ? ['version'] : key.split('.');
+        const spec = STATE_SCHEMA[group];
+        if (field === undefined) {
+            state[group] = convert(spec, text);
+        } else {
+            const fieldSpec = spec && spec.type === 'object' ? spec.fields[field] : null;
+            state[group] = isPlainObject(state[group]) ? state[group] : {};
+            state[group][field] = convert(fieldSpec, text);
+        }
+    }
+    return state;
+}
+
+// Share card: copy a link to the current state, save it as JSON, or load a JSON file. Restores from the
+// page's URL hash when it starts and whenever the hash changes.
+class SharePanel {
+    constructor(animation, options = {}) {
+        this.animation = animation;
+        this.ui = { ...options.ui };
+        this.listeners = [];
+        const { copyLinkBtn, downloadBtn, fileInput } = this.ui;
+        if (copyLinkBtn) {
+            this.listen(copyLinkBtn, 'click', () => this.copyLink());
+        }
+        if (downloadBtn) {
+            this.listen(downloadBtn, 'click', () => this.download());
+        }
+        if (fileInput) {
+            this.listen(fileInput, 'change', () => this.loadFile(fileInput));
+        }
+        if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+            this.listen(window, 'hashchange', () => this.restoreFromHash());
+        }
+        this.restoreFromHash();
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    setStatus(text) {
+        if (this.ui.statusEl) {
+            this.ui.statusEl.textContent = text;
+        }
+    }
+
+    showError(message) {
+        const { errorEl } = this.ui;
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = !message;
+        }
+    }
+
+    // Apply a saved state, reporting rather than throwing problems with it
+    restore(data, source) {
+        try {
+            restoreState(this.animation, data);
+            this.showError('');
+            this.setStatus(`Restored the state from ${source}.`);
+            return true;
+        } catch (error) {
+            this.showError(`Could not restore the state from ${source}: ${error.message}`);
+            return false;
+        }
+    }
+
+    restoreFromHash() {
+        const state = decodeStateHash(window.location.hash);
+        return state ? this.restore(state, 'the link') : false;
+    }
+
+    // Put the state in the address bar without a history entry, and on the clipboard where allowed
+    async copyLink() {
+        const hash = encodeStateHash(captureState(this.animation));
+        history.replaceState(null, '', `#${hash}`);
+        this.showError('');
+        const url = window.location.href;
+        try {
+            await navigator.clipboard.writeText(url);
+            this.setStatus('Link copied to the clipboard.');
+        } catch (error) {
+            this.setStatus('The link is in the address bar.');
+        }
+    }
+
+    download() {
+        const json = `${JSON.stringify(captureState(this.animation), null, 2)}\n`;
+        downloadBlob(new Blob([json], { type: 'application/json' }), 'engine-state.json');
+        this.setStatus('Saved engine-state.json.');
+    }
+
+    async loadFile(fileInput) {
+        const [file] = fileInput.files || [];
+        if (!file) {
+            return;
+        }
+        try {
+            this.restore(JSON.parse(await file.text()), file.name);
+        } catch (error) {
+            this.showError(`${file.name} is not valid JSON: ${error.message}`);
+        }
+        fileInput.value = '';
+    }
+
+    destroy() {
+        for (const { target, type, handler } of this.listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.listeners = [];
+    }
+}
@@ -0,0 +1,474 @@
+// SVG drawing backend: implements the part of the canvas 2D context API the engine's draw methods use,
+// so the same drawing code can write vector output. Paths are flattened into page coordinates as they
+// are built, as a canvas does; gradients and text carry the transform that was current when they were
+// drawn. Shadows and composite modes are ignored, and clearRect() draws nothing.
+
+const SVG_STATE_FIELDS = [
+    'fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'miterLimit', 'globalAlpha', 'font',
+    'textAlign', 'textBaseline', 'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY',
+    'globalCompositeOperation', 'lineDashOffset', 'matrix', 'dash'
+];
+
+// Canvas baselines as a fraction of the font size to move an alphabetic baseline by
+const SVG_BASELINE_SHIFT = {
+    top: 0.8,
+    hanging: 0.8,
+    middle: 0.35,
+    alphabetic: 0,
+    ideographic: -0.2,
+    bottom: -0.2
+};
+
+// Numbers in the output carry at most two decimals
+function svgNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Split an rgba() colour into an opaque colour and its alpha, which SVG keeps in a separate attribute
+function splitSvgColor(color) {
+    const match = /^rgba\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/.exec(String(color).trim());
+    if (!match) {
+        return { color: String(color), alpha: 1 };
+    }
+    return { color: `rgb(${match[1]}, ${match[2]}, ${match[3]})`, alpha: Number(match[4]) };
+}
+
+// Signed angle an arc turns through, the way canvas arc() and ellipse() read their angles: at most one
+// full turn, clockwise unless `counterclockwise`
+function arcSweep(startAngle, endAngle, counterclockwise) {
+    const full = Math.PI * 2;
+    if (!counterclockwise && endAngle - startAngle >= full) {
+        return full;
+    }
+    if (counterclockwise && startAngle - endAngle >= full) {
+        return -full;
+    }
+    if (counterclockwise) {
+        return -((((startAngle - endAngle) % full) + full) % full);
+    }
+    return (((endAngle - startAngle) % full) + full) % full;
+}
+
+class SvgGradient {
+    constructor(type, coords) {
+        this.type = type;
+        this.coords = coords;
+        this.stops = [];
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push({ offset, color });
+    }
+}
+
+class SvgContext {
+    constructor(width = 300, height = 150) {
+        // Stand-in for the canvas so code that reads ctx.canvas.width still works
+        this.canvas = { width, height };
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.miterLimit = 10;
+        this.globalAlpha = 1;
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.shadowColor = 'rgba(0, 0, 0, 0)';
+        this.shadowBlur = 0;
+        this.shadowOffsetX = 0;
+        this.shadowOffsetY = 0;
+        this.globalCompositeOperation = 'source-over';
+        this.lineDashOffset = 0;
+        this.matrix = [1, 0, 0, 1, 0, 0];
+        this.dash = [];
+        this.stack = [];
+        this.openGroups = 0;
+        this.elements = [];
+        this.defs = [];
+        this.nextId = 1;
+        this.bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        this.beginPath();
+    }
+
+    // State
+
+    save() {
+        const state = { openGroups: this.openGroups };
+        for (const field of SVG_STATE_FIELDS) {
+            state[field] = this[field];
+        }
+        this.stack.push(state);
+        this.openGroups = 0;
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (!state) {
+            return;
+        }
+        // Close the clip groups opened since the matching save()
+        for (; this.openGroups > 0; this.openGroups--) {
+            this.elements.push('</g>');
+        }
+        for (const field of SVG_STATE_FIELDS) {
+            this[field] = state[field];
+        }
+        this.openGroups = state.openGroups;
+    }
+
+    setLineDash(segments) {
+        this.dash = [...segments];
+    }
+
+    getLineDash() {
+        return [...this.dash];
+    }
+
+    // Transforms
+
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    transform(a, b, c, d, e, f) {
+        const [m0, m1, m2, m3, m4, m5] = this.matrix;
+        this.matrix = [
+            m0 * a + m2 * b,
+            m1 * a + m3 * b,
+            m0 * c + m2 * d,
+            m1 * c + m3 * d,
+            m0 * e + m2 * f + m4,
+            m1 * e + m3 * f + m5
+        ];
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    // Page coordinates of a point in the current user space
+    apply(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return { x: a * x + c * y + e, y: b * x + d * y + f };
+    }
+
+    // How much the current transform stretches lengths; the engine only scales uniformly
+    lengthScale() {
+        const [a, b, c, d] = this.matrix;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    include(x, y, margin = 0) {
+        const bounds = this.bounds;
+        bounds.minX = Math.min(bounds.minX, x - margin);
+        bounds.minY = Math.min(bounds.minY, y - margin);
+        bounds.maxX = Math.max(bounds.maxX, x + margin);
+        bounds.maxY = Math.max(bounds.maxY, y + margin);
+    }
+
+    // Paths
+
+    beginPath() {
+        this.path = [];
+        this.pathPoints = [];
+        this.current = null;
+        this.subpathStart = null;
+    }
+
+    addPoint(command, x, y) {
+        const point = this.apply(x, y);
+        this.path.push(`${command}${svgNumber(point.x)} ${svgNumber(point.y)}`);
+        this.pathPoints.push(point);
+        this.current = { x, y };
+        return point;
+    }
+
+    moveTo(x, y) {
+        this.addPoint('M', x, y);
+        this.subpathStart = { x, y };
+    }
+
+    lineTo(x, y) {
+        if (!this.current) {
+            this.moveTo(x, y);
+            return;
+        }
+        this.addPoint('L', x, y);
+    }
+
+    closePath() {
+        if (this.current) {
+            this.path.push('Z');
+            this.current = this.subpathStart;
+        }
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this.current) {
+            this.moveTo(cp1x, cp1y);
+        }
+        const c1 = this.apply(cp1x, cp1y);
+        const c2 = this.apply(cp2x, cp2y);
+        const end = this.apply(x, y);
+        this.path.push(`C${svgNumber(c1.x)} ${svgNumber(c1.y)} ${svgNumber(c2.x)} ${svgNumber(c2.y)} ${svgNumber(end.x)} ${svgNumber(end.y)}`);
+        this.pathPoints.push(c1, c2, end);
+        this.current = { x, y };
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this.current) {
+            this.moveTo(cpx, cpy);
+        }
+        const control = this.apply(cpx, cpy);
+        const end = this.apply(x, y);
+        this.path.push(`Q${svgNumber(control.x)} ${svgNumber(control.y)} ${svgNumber(end.x)} ${svgNumber(end.y)}`);
+        this.pathPoints.push(control, end);
+        this.current = { x, y };
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+    }
+
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        const sweep = arcSweep(startAngle, endAngle, counterclockwise);
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const at = (angle) => ({
+            x: x + radiusX * Math.cos(angle) * cos - radiusY * Math.sin(angle) * sin,
+            y: y + radiusX * Math.cos(angle) * sin + radiusY * Math.sin(angle) * cos
+        });
+        const start = at(startAngle);
+        if (this.current) {
+            this.lineTo(start.x, start.y);
+        } else {
+            this.moveTo(start.x, start.y);
+        }
+        if (sweep === 0) {
+            return;
+        }
+        const scale = this.lengthScale();
+        const [a, b] = this.matrix;
+        const axisRotation = ((rotation + Math.atan2(b, a)) * 180) / Math.PI;
+        // A full turn needs two arc commands; SVG cannot draw one arc back to its own start
+        const pieces = Math.abs(sweep) > Math.PI * 1.999 ? 2 : 1;
+        for (let i = 1; i <= pieces; i++) {
+            const angle = startAngle + (sweep * i) / pieces;
+            const end = at(angle);
+            const page = this.apply(end.x, end.y);
+            const largeArc = Math.abs(sweep / pieces) > Math.PI ? 1 : 0;
+            this.path.push(`A${svgNumber(radiusX * scale)} ${svgNumber(radiusY * scale)} ${svgNumber(axisRotation)} `
+                + `${largeArc} ${sweep > 0 ? 1 : 0} ${svgNumber(page.x)} ${svgNumber(page.y)}`);
+            this.current = end;
+        }
+        // Bounds take in the whole ellipse, which is close enough for framing the drawing
+        this.pathPoints.push({ ...this.apply(x, y), reach: Math.max(radiusX, radiusY) * scale });
+    }
+
+    arcTo(x1, y1, x2, y2, radius) {
+        if (!this.current) {
+            this.moveTo(x1, y1);
+        }
+        const { x: x0, y: y0 } = this.current;
+        const ax = x0 - x1;
+        const ay = y0 - y1;
+        const bx = x2 - x1;
+        const by = y2 - y1;
+        const lengthA = Math.hypot(ax, ay);
+        const lengthB = Math.hypot(bx, by);
+        const cross = ax * by - ay * bx;
+        if (radius === 0 || lengthA === 0 || lengthB === 0 || Math.abs(cross) < 1e-9) {
+            this.lineTo(x1, y1);
+            return;
+        }
+        const angle = Math.acos(clamp((ax * bx + ay * by) / (lengthA * lengthB), -1, 1));
+        const tangent = radius / Math.tan(angle / 2);
+        this.lineTo(x1 + (ax / lengthA) * tangent, y1 + (ay / lengthA) * tangent);
+        const endX = x1 + (bx / lengthB) * tangent;
+        const endY = y1 + (by / lengthB) * tangent;
+        const end = this.apply(endX, endY);
+        const r = radius * this.lengthScale();
+        this.path.push(`A${svgNumber(r)} ${svgNumber(r)} 0 0 ${cross < 0 ? 1 : 0} ${svgNumber(end.x)} ${svgNumber(end.y)}`);
+        this.pathPoints.push(end);
+        this.current = { x: endX, y: endY };
+    }
+
+    // Painting
+
+    // Fill or stroke attributes for a colour or gradient, with globalAlpha folded in
+    paint(style, kind) {
+        if (style instanceof SvgGradient) {
+            const id = `g${this.nextId++}`;
+            const tag = style.type === 'linear' ? 'linearGradient' : 'radialGradient';
+            const c = style.coords.map(svgNumber);
+            // Radial gradients run from the focal circle (fx, fy, fr) out to the circle (cx, cy, r)
+            const coords = style.type === 'linear'
+                ? `x1="${c[0]}" y1="${c[1]}" x2="${c[2]}" y2="${c[3]}"`
+                : `fx="${c[0]}" fy="${c[1]}" fr="${c[2]}" cx="${c[3]}" cy="${c[4]}" r="${c[5]}"`;
+            const stops = style.stops.map(({ offset, color }) => {
+                const { color: stopColor, alpha } = splitSvgColor(color);
+                return `<stop offset="${svgNumber(offset)}" stop-color="${escapeXml(stopColor)}"${alpha < 1 ? ` stop-opacity="${svgNumber(alpha)}"` : ''}/>`;
+            }).join('');
+            const matrix = this.matrix.map(svgNumber).join(' ');
+            this.defs.push(`<${tag} id="${id}" gradientUnits="userSpaceOnUse" gradientTransform="matrix(${matrix})" ${coords}>${stops}</${tag}>`);
+            return `${kind}="url(#${id})"${this.globalAlpha < 1 ? ` ${kind}-opacity="${svgNumber(this.globalAlpha)}"` : ''}`;
+        }
+        const { color, alpha } = splitSvgColor(style);
+        const opacity = alpha * this.globalAlpha;
+        return `${kind}="${escapeXml(color)}"${opacity < 1 ? ` ${kind}-opacity="${svgNumber(opacity)}"` : ''}`;
+    }
+
+    strokeAttributes() {
+        const scale = this.lengthScale();
+        let attributes = `${this.paint(this.strokeStyle, 'stroke')} stroke-width="${svgNumber(this.lineWidth * scale)}"`;
+        if (this.lineCap !== 'butt') {
+            attributes += ` stroke-linecap="${this.lineCap}"`;
+        }
+        if (this.lineJoin !== 'miter') {
+            attributes += ` stroke-linejoin="${this.lineJoin}"`;
+        }
+        if (this.dash.length > 0) {
+            attributes += ` stroke-dasharray="${this.dash.map((length) => svgNumber(length * scale)).join(' ')}"`;
+        }
+        return attributes;
+    }
+
+    emitPath(path, points, attributes, margin) {
+        if (path.length === 0) {
+            return;
+        }
+        for (const point of points) {
+            this.include(point.x, point.y, margin + (point.reach || 0));
+        }
+        this.elements.push(`<path d="${path.join('')}" ${attributes}/>`);
+    }
+
+    fill() {
+        this.emitPath(this.path, this.pathPoints, `${this.paint(this.fillStyle, 'fill')} stroke="none"`, 0);
+    }
+
+    stroke() {
+        this.emitPath(this.path, this.pathPoints, `fill="none" ${this.strokeAttributes()}`, (this.lineWidth * this.lengthScale()) / 2);
+    }
+
+    // Make the current path clip everything drawn until the matching restore()
+    clip() {
+        const id = `c${this.nextId++}`;
+        this.defs.push(`<clipPath id="${id}"><path d="${this.path.join('')}"/></clipPath>`);
+        this.elements.push(`<g clip-path="url(#${id})">`);
+        this.openGroups++;
+    }
+
+    // Rectangles draw through a scratch path so the current one survives, as on a canvas
+    withScratchPath(draw) {
+        const saved = { path: this.path, pathPoints: this.pathPoints, current: this.current, subpathStart: this.subpathStart };
+        this.beginPath();
+        draw();
+        Object.assign(this, saved);
+    }
+
+    fillRect(x, y, width, height) {
+        this.withScratchPath(() => {
+            this.rect(x, y, width, height);
+            this.fill();
+        });
+    }
+
+    strokeRect(x, y, width, height) {
+        this.withScratchPath(() => {
+            this.rect(x, y, width, height);
+            this.stroke();
+        });
+    }
+
+    clearRect() {}
+
+    createLinearGradient(x0, y0, x1, y1) {
+        return new SvgGradient('linear', [x0, y0, x1, y1]);
+    }
+
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        return new SvgGradient('radial', [x0, y0, r0, x1, y1, r1]);
+    }
+
+    // Text
+
+    fontSize() {
+        const match = /(\d+(?:\.\d+)?)px/.exec(this.font);
+        return match ? Number(match[1]) : 10;
+    }
+
+    // No font metrics here, so widths are estimated from the font size
+    measureText(text) {
+        return { width: String(text).length * this.fontSize() * 0.56 };
+    }
+
+    fillText(text, x, y) {
+        const size = this.fontSize();
+        const width = this.measureText(text).width;
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+        const baselineY = y + (SVG_BASELINE_SHIFT[this.textBaseline] || 0) * size;
+        const left = anchor === 'middle' ? x - width / 2 : anchor === 'end' ? x - width : x;
+        for (const [cornerX, cornerY] of [[left, baselineY - size], [left + width, baselineY - size], [left, baselineY + size * 0.25], [left + width, baselineY + size * 0.25]]) {
+            const corner = this.apply(cornerX, cornerY);
+            this.include(corner.x, corner.y);
+        }
+        const matrix = this.matrix.map(svgNumber).join(' ');
+        this.elements.push(`<text x="${svgNumber(x)}" y="${svgNumber(baselineY)}" transform="matrix(${matrix})" `
+            + `style="font: ${escapeXml(this.font)}" text-anchor="${anchor}" ${this.paint(this.fillStyle, 'fill')}>${escapeXml(text)}</text>`);
+    }
+
+    // The finished document, cropped to what was drawn plus `padding`, with an optional `background` fill
+    toSvg({ padding = 12, background = null, title = null } = {}) {
+        const drawn = Number.isFinite(this.bounds.minX);
+        const minX = (drawn ? this.bounds.minX : 0) - padding;
+        const minY = (drawn ? this.bounds.minY : 0) - padding;
+        const width = (drawn ? this.bounds.maxX - this.bounds.minX : this.canvas.width) + padding * 2;
+        const height = (drawn ? this.bounds.maxY - this.bounds.minY : this.canvas.height) + padding * 2;
+        const box = [minX, minY, width, height].map(svgNumber).join(' ');
+        const closing = '</g>'.repeat(this.openGroups + this.stack.reduce((sum, state) => sum + state.openGroups, 0));
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${svgNumber(width)}" height="${svgNumber(height)}" viewBox="${box}">`,
+            title ? `<title>${escapeXml(title)}</title>` : '',
+            this.defs.length > 0 ? `<defs>${this.defs.join('')}</defs>` : '',
+            background ? `<rect x="${svgNumber(minX)}" y="${svgNumber(minY)}" width="${svgNumber(width)}" height="${svgNumber(height)}" fill="${escapeXml(background)}"/>` : '',
+            ...this.elements,
+            closing,
+            '</svg>',
+            ''
+        ].filter((line) => line !== '').join('\n');
+    }
+}
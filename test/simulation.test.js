@@ -0,0 +1,286 @@
+// Kinematics, valve lift, stroke lookup and particles, run in Node without a canvas
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    EngineSimulation,
+    CYCLE_MODES,
+    DEFAULT_GEOMETRY,
+    buildEngineLayout,
+    computeValveLift,
+    cycleDistance,
+    cycleDegreesToCrankAngle,
+    pistonDisplacementAt
+} = require('../headless');
+
+const close = (actual, expected, tolerance = 1e-9) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+};
+
+test('getPistonPosition', async (t) => {
+    const simulation = new EngineSimulation({ seed: 1 });
+    const engine = simulation.engine;
+
+    await t.test('puts the crown at its TDC height at top dead centre', () => {
+        const pos = simulation.getPistonPosition(cycleDegreesToCrankAngle(0));
+        close(pos.pistonY, engine.crownTdcY);
+        close(pos.crankX, engine.crankX);
+        close(pos.crankY, engine.crankY - engine.crankRadius);
+    });
+
+    await t.test('moves the crown down one full stroke by bottom dead centre', () => {
+        const pos = simulation.getPistonPosition(cycleDegreesToCrankAngle(180));
+        close(pos.pistonY - engine.crownTdcY, DEFAULT_GEOMETRY.stroke * engine.scale);
+        close(pos.crankY, engine.crankY + engine.crankRadius);
+    });
+
+    await t.test('keeps the rod length between the crank pin and the piston pin', () => {
+        for (let degrees = 0; degrees < 360; degrees += 15) {
+            const pos = simulation.getPistonPosition(cycleDegreesToCrankAngle(degrees));
+            close(Math.hypot(pos.crankX - engine.crankX, pos.crankY - pos.pistonCenterY), engine.rodLength, 1e-6);
+        }
+    });
+
+    await t.test('is symmetric about top dead centre', () => {
+        for (const degrees of [10, 45, 90, 135]) {
+            const before = simulation.getPistonPosition(cycleDegreesToCrankAngle(-degrees));
+            const after = simulation.getPistonPosition(cycleDegreesToCrankAngle(degrees));
+            close(before.pistonY, after.pistonY, 1e-9);
+        }
+    });
+
+    await t.test('agrees with the physics model in millimetres', () => {
+        for (let degrees = 0; degrees < 360; degrees += 30) {
+            const pos = simulation.getPistonPosition(cycleDegreesToCrankAngle(degrees));
+            close((pos.pistonY - engine.crownTdcY) / engine.scale, pistonDisplacementAt(DEFAULT_GEOMETRY, degrees), 1e-6);
+        }
+    });
+
+    await t.test('follows a changed geometry', () => {
+        const geometry = { ...DEFAULT_GEOMETRY, stroke: 60, rodLength: 110 };
+        const layout = buildEngineLayout(geometry);
+        simulation.setGeometry(geometry);
+        const pos = simulation.getPistonPosition(cycleDegreesToCrankAngle(180));
+        close(pos.pistonY - layout.crownTdcY, 60 * layout.scale);
+    });
+});
+
+test('computeValveLift', async (t) => {
+    await t.test('is closed outside the opening window and fully open in the middle of it', () => {
+        assert.equal(computeValveLift(0.1, 0.2, 0.6), 0);
+        assert.equal(computeValveLift(0.7, 0.2, 0.6), 0);
+        assert.equal(computeValveLift(0.4, 0.2, 0.6), 1);
+    });
+
+    await t.test('eases open and closed over the ramp', () => {
+        assert.equal(computeValveLift(0.2, 0.2, 0.6), 0);
+        close(computeValveLift(0.24, 0.2, 0.6), 0.5);
+        close(computeValveLift(0.56, 0.2, 0.6), 0.5);
+        let previous = 0;
+        for (let fraction = 0.2; fraction <= 0.28; fraction += 0.01) {
+            const lift = computeValveLift(fraction, 0.2, 0.6);
+            assert.ok(lift >= previous, `lift fell from ${previous} to ${lift} while opening`);
+            previous = lift;
+        }
+    });
+
+    await t.test('opens and closes symmetrically', () => {
+        for (const offset of [0.01, 0.03, 0.05, 0.07]) {
+            close(computeValveLift(0.2 + offset, 0.2, 0.6), computeValveLift(0.6 - offset, 0.2, 0.6));
+        }
+    });
+
+    await t.test('handles a window that wraps past the end of the cycle', () => {
+        assert.equal(computeValveLift(0, 0.9, 0.1), 1);
+        assert.equal(computeValveLift(0.5, 0.9, 0.1), 0);
+        close(computeValveLift(0.94, 0.9, 0.1, 0.08), computeValveLift(0.06, 0.9, 0.1, 0.08));
+    });
+
+    await t.test('wraps fractions outside 0-1 into the cycle', () => {
+        assert.equal(computeValveLift(1.4, 0.2, 0.6), computeValveLift(0.4, 0.2, 0.6));
+        assert.equal(computeValveLift(-0.6, 0.2, 0.6), computeValveLift(0.4, 0.2, 0.6));
+    });
+
+    await t.test('stays open for the whole cycle when the window is empty, and snaps open with no ramp', () => {
+        assert.equal(computeValveLift(0.3, 0.5, 0.5), 1);
+        assert.equal(computeValveLift(0.2, 0.2, 0.6, 0), 1);
+    });
+
+    await t.test('keeps the ramp within half of a short window', () => {
+        close(computeValveLift(0.5, 0.45, 0.55, 0.2), 1);
+    });
+});
+
+test('cycleDistance', async (t) => {
+    await t.test('is the plain difference inside the cycle', () => {
+        close(cycleDistance(0.2, 0.5), 0.3);
+        assert.equal(cycleDistance(0.4, 0.4), 0);
+    });
+
+    await t.test('takes the short way round the end of the cycle', () => {
+        close(cycleDistance(0.9, 0.1), 0.2);
+        close(cycleDistance(0, 0.75), 0.25);
+    });
+
+    await t.test('is symmetric and never more than half a cycle', () => {
+        for (let a = 0; a < 1; a += 0.125) {
+            for (let b = 0; b < 1; b += 0.125) {
+                close(cycleDistance(a, b), cycleDistance(b, a));
+                assert.ok(cycleDistance(a, b) <= 0.5);
+            }
+        }
+    });
+});
+
+test('stroke lookup', async (t) => {
+    await t.test('names each four-stroke stroke across the cycle', () => {
+        const simulation = new EngineSimulation({ seed: 1 });
+        const names = [90, 270, 450, 630].map((degrees) => {
+            simulation.seek(degrees);
+            return simulation.getCurrentStroke().name;
+        });
+        assert.deepEqual(names, ['Intake', 'Compression', 'Power (Combustion)', 'Exhaust']);
+    });
+
+    await t.test('has two strokes in one revolution on a two-stroke', () => {
+        const simulation = new EngineSimulation({ seed: 1, cycleMode: 'two-stroke' });
+        simulation.seek(90);
+        assert.equal(simulation.getCurrentStroke().name, 'Power & Exhaust');
+        simulation.seek(270);
+        assert.equal(simulation.getCurrentStroke().name, 'Compression & Intake');
+    });
+
+    await t.test('follows each cylinder of an inline four through its firing order', () => {
+        const simulation = new EngineSimulation({ seed: 1, arrangement: 'inline-4' });
+        simulation.seek(90);
+        const strokes = simulation.getCylinderStrokes().map(({ number, stroke }) => [number, stroke.name]);
+        assert.deepEqual(strokes, [
+            [1, 'Intake'],
+            [2, 'Compression'],
+            [3, 'Exhaust'],
+            [4, 'Power (Combustion)']
+        ]);
+    });
+
+    await t.test('emits strokechange and pauses at each stroke when auto-pause is on', () => {
+        const simulation = new EngineSimulation({ seed: 1 });
+        const changes = [];
+        simulation.on('strokechange', ({ index }) => changes.push(index));
+        for (let i = 0; i < 200 && simulation.isPlaying; i++) {
+            simulation.step();
+        }
+        assert.deepEqual(changes, [1]);
+        assert.equal(simulation.isPlaying, false);
+        assert.equal(simulation.getCurrentStroke().name, 'Compression');
+    });
+});
+
+test('cycle modes', async (t) => {
+    await t.test('start a diesel on its own geometry, which compresses the air enough to light the fuel', () => {
+        const simulation = new EngineSimulation({ seed: 1, cycleMode: 'diesel' });
+        assert.deepEqual(simulation.geometry, CYCLE_MODES.diesel.geometry);
+        assert.equal(simulation.getCycleTrace().ignited, true);
+    });
+
+    await t.test('leave a diesel unlit at a petrol compression ratio', () => {
+        const simulation = new EngineSimulation({ seed: 1, cycleMode: 'diesel', geometry: { compressionRatio: 10 } });
+        assert.equal(simulation.getCycleTrace().ignited, false);
+    });
+
+    await t.test('keep the geometry between spark-ignition cycles and swap it for a diesel', () => {
+        const simulation = new EngineSimulation({ seed: 1 });
+        simulation.setGeometry({ stroke: 80 });
+        simulation.setCycleMode('two-stroke');
+        assert.equal(simulation.geometry.stroke, 80);
+        simulation.setCycleMode('diesel');
+        assert.deepEqual(simulation.geometry, CYCLE_MODES.diesel.geometry);
+        assert.deepEqual(simulation.valveTiming, CYCLE_MODES.diesel.valveTiming);
+        assert.equal(simulation.getCycleTrace().ignited, true);
+        simulation.setCycleMode('four-stroke');
+        assert.deepEqual(simulation.geometry, DEFAULT_GEOMETRY);
+    });
+});
+
+test('knock', async (t) => {
+    const knocks = (advance, compressionRatio = DEFAULT_GEOMETRY.compressionRatio) => {
+        const simulation = new EngineSimulation({ seed: 1, geometry: { compressionRatio }, ignition: { advance } });
+        return simulation.getCycleTrace().knock !== null;
+    };
+
+    await t.test('depends on spark advance at the default compression ratio', () => {
+        assert.equal(knocks(10), false);
+        assert.equal(knocks(20), false);
+        assert.equal(knocks(40), true);
+    });
+
+    await t.test('comes at less advance as the compression ratio rises', () => {
+        assert.equal(knocks(25, 10), false);
+        assert.equal(knocks(25, 12), true);
+        assert.equal(knocks(50, 6), false);
+    });
+});
+
+test('particles', async (t) => {
+    const run = (options, steps) => {
+        const simulation = new EngineSimulation({ seed: 7, autoPause: false, ...options });
+        simulation.advance(steps * (1000 / 60));
+        return simulation;
+    };
+    const counts = (simulation) => simulation.cylinders.map(({ particles }) => (
+        Object.fromEntries(Object.entries(particles).map(([kind, pool]) => [kind, pool.count]))
+    ));
+
+    await t.test('fill the intake, chamber and exhaust over a cycle', () => {
+        const simulation = run({}, 400);
+        const { intake, chamber, exhaust } = simulation.cylinders[0].particles;
+        assert.ok(chamber.count > 0);
+        assert.ok(intake.count + exhaust.count > 0);
+        for (let i = 0; i < chamber.count; i++) {
+            assert.ok(Number.isFinite(chamber.x[i]) && Number.isFinite(chamber.y[i]));
+        }
+    });
+
+    await t.test('replay exactly from the same seed', () => {
+        for (const cycleMode of ['four-stroke', 'two-stroke', 'diesel']) {
+            const a = run({ cycleMode }, 300);
+            const b = run({ cycleMode }, 300);
+            assert.deepEqual(counts(a), counts(b));
+            const poolA = a.cylinders[0].particles.chamber;
+            const poolB = b.cylinders[0].particles.chamber;
+            assert.deepEqual(poolA.x.subarray(0, poolA.count), poolB.x.subarray(0, poolB.count));
+        }
+    });
+
+    await t.test('stay within each pool limit', () => {
+        const simulation = run({ arrangement: 'inline-4', reducedMotion: true }, 600);
+        for (const { particles } of simulation.cylinders) {
+            for (const [kind, pool] of Object.entries(particles)) {
+                assert.ok(pool.count <= simulation.particleLimit(kind), `${kind} has ${pool.count} particles`);
+            }
+        }
+    });
+
+    await t.test('move in steps no longer than one at base speed, however fast the engine turns', () => {
+        for (const cycleMode of ['four-stroke', 'two-stroke']) {
+            const simulation = new EngineSimulation({ seed: 7, autoPause: false, cycleMode, engineRpm: 20000 });
+            const steps = [];
+            const update = cycleMode === 'two-stroke' ? 'updateTwoStrokeParticles' : 'updateParticles';
+            const original = simulation[update];
+            simulation[update] = function (particles, options) {
+                steps.push(options.speedFactor);
+                return original.call(this, particles, options);
+            };
+            simulation.advance(10 * (1000 / 60));
+            assert.ok(simulation.animationSpeed > 6);
+            assert.ok(steps.length >= 70, `${steps.length} particle steps`);
+            assert.ok(steps.every((step) => step <= 1), cycleMode);
+        }
+    });
+
+    await t.test('are cleared by reset', () => {
+        const simulation = run({}, 300);
+        simulation.reset();
+        assert.ok(counts(simulation).every((pools) => Object.values(pools).every((count) => count === 0)));
+    });
+});
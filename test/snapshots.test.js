@@ -0,0 +1,123 @@
+// Pixel snapshots of the drawing at fixed crank angles, drawn with @napi-rs/canvas (Skia, prebuilt for every
+// platform, so every machine draws the same pixels). The tests are skipped when it is not installed. A missing
+// snapshot fails; record new ones, or all of them again after an intended change to the drawing, with
+// UPDATE_SNAPSHOTS=1.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+let skia = null;
+try {
+    skia = require('@napi-rs/canvas');
+} catch (error) {
+    // Reported as skipped tests below
+}
+const { EngineAnimation, setCanvasFactory } = require('../headless');
+
+// The particle sprites have to come from the same library as the canvas they are drawn into
+if (skia) {
+    setCanvasFactory(skia.createCanvas);
+}
+
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+const UPDATE = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+// A pixel has changed when any channel moves by more than CHANNEL_TOLERANCE, and a snapshot fails when more
+// than MAX_CHANGED of its pixels have, which leaves room for anti-aliasing and fonts to differ between machines
+const CHANNEL_TOLERANCE = 16;
+const MAX_CHANGED = 0.002;
+
+// `degrees` parks a still engine at a cycle angle; `steps` instead runs it that many fixed steps from 0°, so the
+// particles are drawn too
+const SNAPSHOTS = [
+    { name: 'four-stroke-tdc', degrees: 0 },
+    { name: 'four-stroke-intake', degrees: 120 },
+    { name: 'four-stroke-spark', degrees: 352 },
+    { name: 'four-stroke-exhaust', degrees: 560 },
+    { name: 'two-stroke-ports-open', degrees: 150, options: { cycleMode: 'two-stroke' } },
+    { name: 'diesel-injection', degrees: 358, options: { cycleMode: 'diesel' } },
+    { name: 'inline-4', degrees: 90, options: { arrangement: 'inline-4' } },
+    { name: 'v-twin', degrees: 90, options: { arrangement: 'v-twin' } },
+    { name: 'four-stroke-particles', steps: 400 },
+    { name: 'two-stroke-particles', steps: 300, options: { cycleMode: 'two-stroke' } }
+];
+
+function draw({ degrees, steps, options }) {
+    const canvas = skia.createCanvas(800, 600);
+    const animation = new EngineAnimation(canvas, {
+        seed: 1,
+        autoStart: false,
+        autoPlay: steps !== undefined,
+        autoPause: false,
+        reducedMotion: false,
+        adaptiveParticles: false,
+        ...options
+    });
+    if (steps !== undefined) {
+        for (let i = 0; i < steps; i++) {
+            animation.step();
+        }
+        animation.pause();
+    } else {
+        animation.seek(degrees);
+    }
+    animation.render();
+    animation.destroy();
+    return canvas;
+}
+
+async function pixels(png) {
+    const image = await skia.loadImage(png);
+    const canvas = skia.createCanvas(image.width, image.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, image.width, image.height);
+}
+
+// Share of pixels that differ by more than CHANNEL_TOLERANCE in any channel
+function changedShare(actual, expected) {
+    let changed = 0;
+    for (let i = 0; i < actual.data.length; i += 4) {
+        for (let channel = 0; channel < 4; channel++) {
+            if (Math.abs(actual.data[i + channel] - expected.data[i + channel]) > CHANNEL_TOLERANCE) {
+                changed += 1;
+                break;
+            }
+        }
+    }
+    return changed / (actual.width * actual.height);
+}
+
+test('pixel snapshots', { skip: skia ? false : '@napi-rs/canvas is not installed (npm install)' }, async (t) => {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    for (const snapshot of SNAPSHOTS) {
+        await t.test(snapshot.name, async () => {
+            const file = path.join(SNAPSHOT_DIR, `${snapshot.name}.png`);
+            const actualFile = path.join(SNAPSHOT_DIR, `${snapshot.name}.actual.png`);
+            const png = draw(snapshot).toBuffer('image/png');
+            if (UPDATE) {
+                fs.writeFileSync(file, png);
+                fs.rmSync(actualFile, { force: true });
+                return;
+            }
+            if (!fs.existsSync(file)) {
+                fs.writeFileSync(actualFile, png);
+                assert.fail(`${path.relative(process.cwd(), file)} has not been recorded; check this run's drawing in `
+                    + `${path.relative(process.cwd(), actualFile)} and record it with UPDATE_SNAPSHOTS=1 npm test`);
+            }
+            const actual = await pixels(png);
+            const expected = await pixels(fs.readFileSync(file));
+            assert.deepEqual([actual.width, actual.height], [expected.width, expected.height]);
+            const share = changedShare(actual, expected);
+            if (share > MAX_CHANGED) {
+                fs.writeFileSync(actualFile, png);
+                assert.fail(`${(share * 100).toFixed(2)}% of pixels differ from ${path.relative(process.cwd(), file)}; `
+                    + `this run's drawing is in ${path.relative(process.cwd(), actualFile)}`);
+            }
+            fs.rmSync(actualFile, { force: true });
+        });
+    }
+});
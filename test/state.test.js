@@ -0,0 +1,61 @@
+// Saved state and share links: parsing, migration and the URL hash round trip, run in Node without a canvas
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    EngineSimulation,
+    STATE_VERSION,
+    parseState,
+    captureState,
+    encodeStateHash,
+    decodeStateHash
+} = require('../headless');
+
+const roundTrip = (state) => parseState(decodeStateHash(encodeStateHash(state)));
+
+test('URL hash', async (t) => {
+    await t.test('round-trips a four-stroke state', () => {
+        const simulation = new EngineSimulation({ seed: 3, geometry: { stroke: 80 }, ignition: { advance: 20 } });
+        const state = captureState(simulation);
+        assert.deepEqual(roundTrip(state), parseState(state));
+    });
+
+    await t.test('round-trips a diesel whose settings match the petrol defaults', () => {
+        const simulation = new EngineSimulation({ seed: 3, cycleMode: 'diesel', geometry: { rodLength: 143 } });
+        const state = captureState(simulation);
+        const restored = roundTrip(state);
+        assert.equal(restored.geometry.rodLength, 143);
+        assert.deepEqual(restored, parseState(state));
+    });
+
+    await t.test('leaves out the settings the cycle starts from', () => {
+        const hash = encodeStateHash(captureState(new EngineSimulation({ seed: 3, cycleMode: 'diesel' })));
+        assert.ok(hash.includes('cycleMode=diesel'), hash);
+        assert.ok(!hash.includes('geometry.') && !hash.includes('valveTiming.'), hash);
+    });
+});
+
+test('parseState', async (t) => {
+    await t.test('fills geometry and valve timing from the cycle', () => {
+        const state = parseState({ version: STATE_VERSION, cycleMode: 'diesel', geometry: { bore: 80 } });
+        assert.equal(state.geometry.bore, 80);
+        assert.equal(state.geometry.compressionRatio, 17);
+    });
+});
+
+test('constructor options as a saved state', async (t) => {
+    await t.test('read a firing order written as text', () => {
+        const state = parseState({ arrangement: 'inline-4', firingOrder: '1-2-4-3' });
+        assert.deepEqual(state.firingOrder, [1, 2, 4, 3]);
+        const simulation = new EngineSimulation({ seed: 1, arrangement: 'inline-4', firingOrder: '1-2-4-3' });
+        assert.deepEqual(state.firingOrder, simulation.firingOrder);
+    });
+
+    await t.test('turn rpm and autoPlay into replay speed and the paused flag', () => {
+        const state = parseState({ rpm: 46, autoPlay: false, autoPause: false });
+        assert.equal(state.paused, true);
+        assert.equal(state.autoPauseEnabled, false);
+        assert.ok(state.animationSpeed > 0);
+    });
+});
@@ -0,0 +1,213 @@
+// Crank-angle timeline: a draggable scrubber across one cycle (0-720°, or 0-360° for a two-stroke)
+// under the engine canvas showing stroke boundaries, valve, port or injection events and the spark point.
+
+const TIMELINE_PADDING = 24;
+
+class CrankTimeline {
+    constructor(animation, canvas, options = {}) {
+        this.animation = animation;
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.ui = { ...options.ui };
+        this.stepSize = options.stepSize !== undefined ? options.stepSize : 5;
+        this.dragging = false;
+        this.resumeAfterDrag = false;
+        this.listeners = [];
+
+        this.unsubscribeFrame = animation.on('frame', () => this.render());
+        this.bindControls();
+        this.render();
+    }
+
+    bindControls() {
+        const { stepBackBtn, stepForwardBtn, stepSizeSelect } = this.ui;
+
+        this.listen(this.canvas, 'pointerdown', (e) => {
+            this.dragging = true;
+            this.resumeAfterDrag = this.animation.isPlaying;
+            this.animation.pause();
+            if (this.canvas.setPointerCapture) {
+                this.canvas.setPointerCapture(e.pointerId);
+            }
+            this.seekToPointer(e);
+        });
+        this.listen(this.canvas, 'pointermove', (e) => {
+            if (this.dragging) {
+                this.seekToPointer(e);
+            }
+        });
+        const endDrag = (e) => {
+            if (!this.dragging) {
+                return;
+            }
+            this.dragging = false;
+            if (this.canvas.releasePointerCapture) {
+                this.canvas.releasePointerCapture(e.pointerId);
+            }
+            if (this.resumeAfterDrag) {
+                this.animation.play();
+            }
+        };
+        this.listen(this.canvas, 'pointerup', endDrag);
+        this.listen(this.canvas, 'pointercancel', endDrag);
+
+        if (stepBackBtn) {
+            this.listen(stepBackBtn, 'click', () => this.step(-1));
+        }
+        if (stepForwardBtn) {
+            this.listen(stepForwardBtn, 'click', () => this.step(1));
+        }
+        if (stepSizeSelect) {
+            stepSizeSelect.value = String(this.stepSize);
+            this.listen(stepSizeSelect, 'change', () => {
+                this.setStepSize(parseFloat(stepSizeSelect.value));
+            });
+        }
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    setStepSize(degrees) {
+        const value = Number(degrees);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new RangeError(`Invalid step size: ${degrees}`);
+        }
+        this.stepSize = value;
+    }
+
+    step(direction) {
+        this.animation.stepBy(direction * this.stepSize);
+        this.render();
+    }
+
+    angleToX(degrees) {
+        const usable = this.canvas.width - TIMELINE_PADDING * 2;
+        return TIMELINE_PADDING + (degrees / this.animation.cycle.degrees) * usable;
+    }
+
+    xToAngle(x) {
+        const usable = this.canvas.width - TIMELINE_PADDING * 2;
+        return clamp((x - TIMELINE_PADDING) / usable, 0, 1) * this.animation.cycle.degrees;
+    }
+
+    seekToPointer(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+        this.animation.seek(this.xToAngle(x));
+        this.render();
+    }
+
+    // Valve or port open spans in cycle degrees, split in two when they wrap past the end of the cycle
+    valveSpans(start, end) {
+        const cycleDegrees = this.animation.cycle.degrees;
+        return start <= end ? [[start, end]] : [[start, cycleDegrees], [0, end]];
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const trackY = height * 0.56;
+        const trackHeight = 18;
+        const { cycle, strokes } = this.animation;
+        const strokeDegrees = cycle.degrees / strokes.length;
+        const angle = this.animation.getCrankAngle();
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Stroke segments
+        strokes.forEach((stroke, index) => {
+            const x0 = this.angleToX(index * strokeDegrees);
+            const x1 = this.angleToX((index + 1) * strokeDegrees);
+            ctx.save();
+            ctx.globalAlpha = 0.3;
+            ctx.fillStyle = stroke.color;
+            ctx.fillRect(x0, trackY - trackHeight / 2, x1 - x0, trackHeight);
+            ctx.restore();
+
+            ctx.fillStyle = '#2e3a4f';
+            ctx.font = '600 11px "Segoe UI", sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(stroke.name.replace(' (Combustion)', '').toUpperCase(), (x0 + x1) / 2, trackY);
+        });
+
+        // Stroke boundaries with angle ticks
+        ctx.strokeStyle = '#5c6478';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#5c6478';
+        ctx.font = '10px "Segoe UI", sans-serif';
+        ctx.textBaseline = 'top';
+        for (let degrees = 0; degrees <= cycle.degrees; degrees += 180) {
+            const x = this.angleToX(degrees);
+            ctx.beginPath();
+            ctx.moveTo(x, trackY - trackHeight / 2 - 4);
+            ctx.lineTo(x, trackY + trackHeight / 2 + 4);
+            ctx.stroke();
+            ctx.fillText(`${degrees}°`, x, trackY + trackHeight / 2 + 6);
+        }
+
+        // Valve or port open durations above the track, one row each
+        ctx.font = '600 9px "Segoe UI", sans-serif';
+        ctx.textBaseline = 'bottom';
+        this.animation.getTimingEvents().forEach((row, index) => {
+            const y = trackY - 22 - index * 8;
+            ctx.fillStyle = row.color;
+            for (const [start, end] of this.valveSpans(row.open, row.close)) {
+                const x0 = this.angleToX(start);
+                ctx.fillRect(x0, y - 2, this.angleToX(end) - x0, 4);
+            }
+            [row.open, row.close].forEach((degrees, i) => {
+                const x = this.angleToX(degrees);
+                ctx.fillRect(x - 1, y - 5, 2, 10);
+                ctx.fillText(row.labels[i], x, y - 6);
+            });
+        });
+
+        // Spark point, greyed out while the plug misfires; a diesel has none, its injection row above shows
+        // when it fires
+        const sparkAngle = this.animation.getSparkAngle();
+        if (sparkAngle !== null) {
+            const sparkX = this.angleToX(sparkAngle);
+            ctx.fillStyle = this.animation.ignition.misfire ? '#b0b6c3' : '#f5b400';
+            ctx.beginPath();
+            ctx.moveTo(sparkX + 3, trackY - trackHeight / 2 - 12);
+            ctx.lineTo(sparkX - 3, trackY - trackHeight / 2 - 3);
+            ctx.lineTo(sparkX + 1, trackY - trackHeight / 2 - 3);
+            ctx.lineTo(sparkX - 3, trackY - trackHeight / 2 + 6);
+            ctx.lineTo(sparkX + 5, trackY - trackHeight / 2 - 6);
+            ctx.lineTo(sparkX + 1, trackY - trackHeight / 2 - 6);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        // Current crank position
+        const cursorX = this.angleToX(angle);
+        ctx.strokeStyle = '#2e3a4f';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(cursorX, 4);
+        ctx.lineTo(cursorX, trackY + trackHeight / 2 + 2);
+        ctx.stroke();
+        ctx.fillStyle = '#667eea';
+        ctx.beginPath();
+        ctx.arc(cursorX, trackY, 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.stroke();
+
+        if (this.ui.angleValue) {
+            this.ui.angleValue.textContent = `${angle.toFixed(1)}° (${describeCrankAngle(angle)})`;
+        }
+    }
+
+    destroy() {
+        this.unsubscribeFrame();
+        for (const { target, type, handler } of this.listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.listeners = [];
+    }
+}
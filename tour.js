@@ -0,0 +1,473 @@
+// Guided tours: lesson scripts in JSON whose steps move the crank, light up parts and explain what is
+// happening in the info panel, waiting for Next between steps.
+//
+// {
+//     "version": 1,
+//     "title": "The four-stroke cycle",
+//     "setup": { "cycleMode": "four-stroke" },
+//     "steps": [
+//         { "title": "Top dead centre", "text": "...", "seek": 0, "highlight": ["piston"] },
+//         { "title": "Intake", "text": "...", "play": { "from": 0, "to": 180, "speed": 0.3 } }
+//     ]
+// }
+//
+// `setup` is an optional saved state (see state.js) applied when the tour starts; settings it leaves out take
+// their defaults, and the engine goes back to how it was when the tour ends. A step may `seek` to a cycle angle
+// or `play` from one angle to another at a replay speed, not both; without either the crank stays where it is.
+// `highlight` names parts from PART_INFO, on every cylinder. `text` is plain text with blank lines between
+// paragraphs, "- " at the start of list items, **bold** and *italics*.
+
+const TOUR_VERSION = 1;
+
+const TOUR_STEP_FIELDS = ['title', 'text', 'seek', 'play', 'highlight'];
+
+const FOUR_STROKE_TOUR = {
+    version: TOUR_VERSION,
+    title: 'The four-stroke cycle',
+    setup: { cycleMode: 'four-stroke' },
+    steps: [
+        {
+            title: 'Top dead centre',
+            text: 'The piston is at the very top of the cylinder: **top dead centre** (TDC), 0° of the cycle.\n\n'
+                + 'One cycle takes **two turns of the crank**, 720°, split into four strokes of 180°. Press Next to watch each one.',
+            seek: 0,
+            highlight: ['piston', 'crankPin']
+        },
+        {
+            title: 'Valve overlap',
+            text: 'At TDC *both* valves are open a little. The exhaust valve is about to close while the intake valve has '
+                + 'already started to open.\n\nThe outgoing exhaust helps draw the fresh charge in. This is called **valve overlap**.',
+            seek: 0,
+            highlight: ['intakeValve', 'exhaustValve']
+        },
+        {
+            title: 'Intake stroke',
+            text: 'The piston moves down with the intake valve open. The space above it grows, and air and fuel are drawn in.',
+            play: { from: 0, to: 180, speed: 0.4 },
+            highlight: ['piston', 'intakeValve']
+        },
+        {
+            title: 'The intake valve closes late',
+            text: 'The intake valve stays open past bottom dead centre. The moving charge keeps flowing in for a while even as '
+                + 'the piston starts back up.',
+            play: { from: 180, to: 230, speed: 0.3 },
+            highlight: ['intakeValve']
+        },
+        {
+            title: 'Compression stroke',
+            text: 'Both valves are shut, so the rising piston squeezes the charge into the small space above it.\n\n'
+                + 'The **piston rings** seal the gap to the cylinder wall so the charge cannot leak past.',
+            play: { from: 230, to: 350, speed: 0.4 },
+            highlight: ['piston', 'pistonRings']
+        },
+        {
+            title: 'Spark',
+            text: 'Just before TDC the **spark plug** fires. The flame needs time to spread, so the spark comes early. '
+                + 'That way the peak pressure arrives just after TDC.',
+            seek: 350,
+            highlight: ['sparkPlug']
+        },
+        {
+            title: 'Power stroke',
+            text: 'The burning gas drives the piston down hard. This is the only stroke that makes work:\n\n'
+                + '- the **connecting rod** carries the push down to the crank\n'
+                + '- the **crank pin** turns it into torque on the crankshaft\n'
+                + '- the **counterweight** balances the spinning throw',
+            play: { from: 360, to: 490, speed: 0.4 },
+            highlight: ['piston', 'connectingRod', 'crankPin', 'counterweight']
+        },
+        {
+            title: 'The exhaust valve opens early',
+            text: 'The exhaust valve opens before bottom dead centre. By then most of the push has been used, and the '
+                + 'gas still under pressure starts rushing out by itself.',
+            seek: 490,
+            highlight: ['exhaustValve']
+        },
+        {
+            title: 'Exhaust stroke',
+            text: 'The piston rises and pushes the burnt gas out past the open exhaust valve. Near the top the intake valve '
+                + 'opens again, and the next cycle begins.',
+            play: { from: 540, to: 720, speed: 0.4 },
+            highlight: ['piston', 'exhaustValve']
+        },
+        {
+            title: 'The whole cycle',
+            text: 'Watch one full cycle: intake, compression, power and exhaust. Then try the **Valve Timing** and '
+                + '**Ignition** panels and see how each change moves these events.',
+            play: { from: 0, to: 720, speed: 0.6 }
+        }
+    ]
+};
+
+function isTourObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// List problems with a tour script as { field, message }. `cycleDegrees` is the cycle length the steps'
+// angles must fit, from the mode the tour will run in.
+function validateTour(script, cycleDegrees = 720) {
+    if (!isTourObject(script)) {
+        return [{ field: 'tour', message: 'A tour must be a JSON object.' }];
+    }
+    const errors = [];
+    const fail = (field, message) => errors.push({ field, message: `${field} ${message}.` });
+    const checkAngle = (field, value) => {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > cycleDegrees) {
+            fail(field, `must be a crank angle between 0° and ${cycleDegrees}°`);
+        }
+    };
+
+    if (script.version !== TOUR_VERSION) {
+        fail('version', `must be ${TOUR_VERSION}`);
+    }
+    if (typeof script.title !== 'string' || script.title.trim() === '') {
+        fail('title', 'must be some text');
+    }
+    for (const key of Object.keys(script)) {
+        if (!['version', 'title', 'setup', 'steps'].includes(key)) {
+            errors.push({ field: key, message: `Unknown tour field "${key}".` });
+        }
+    }
+    if (script.setup !== undefined) {
+        for (const error of validateState(script.setup)) {
+            errors.push({ field: `setup.${error.field}`, message: `setup: ${error.message}` });
+        }
+    }
+    if (!Array.isArray(script.steps) || script.steps.length === 0) {
+        fail('steps', 'must be a list of at least one step');
+        return errors;
+    }
+
+    script.steps.forEach((step, index) => {
+        const path = `steps[${index}]`;
+        if (!isTourObject(step)) {
+            fail(path, 'must be an object');
+            return;
+        }
+        for (const key of Object.keys(step)) {
+            if (!TOUR_STEP_FIELDS.includes(key)) {
+                errors.push({ field: `${path}.${key}`, message: `Unknown step field "${path}.${key}".` });
+            }
+        }
+        if (typeof step.title !== 'string' || step.title.trim() === '') {
+            fail(`${path}.title`, 'must be some text');
+        }
+        if (typeof step.text !== 'string') {
+            fail(`${path}.text`, 'must be text');
+        }
+        if (step.seek !== undefined && step.play !== undefined) {
+            errors.push({ field: path, message: `${path} can seek or play, not both.` });
+        }
+        if (step.seek !== undefined) {
+            checkAngle(`${path}.seek`, step.seek);
+        }
+        if (step.play !== undefined) {
+            if (!isTourObject(step.play)) {
+                fail(`${path}.play`, 'must be an object with "to" and optional "from" and "speed"');
+            } else {
+                checkAngle(`${path}.play.to`, step.play.to);
+                if (step.play.from !== undefined) {
+                    checkAngle(`${path}.play.from`, step.play.from);
+                }
+                const { speed } = step.play;
+                if (speed !== undefined && (typeof speed !== 'number' || !(speed > 0) || speed > 5)) {
+                    fail(`${path}.play.speed`, 'must be a replay speed above 0 and up to 5');
+                }
+                for (const key of Object.keys(step.play)) {
+                    if (!['from', 'to', 'speed'].includes(key)) {
+                        errors.push({ field: `${path}.play.${key}`, message: `Unknown play field "${path}.play.${key}".` });
+                    }
+                }
+            }
+        }
+        if (step.highlight !== undefined) {
+            if (!Array.isArray(step.highlight)) {
+                fail(`${path}.highlight`, 'must be a list of part names');
+            } else {
+                for (const id of step.highlight) {
+                    if (!PART_INFO[id]) {
+                        errors.push({
+                            field: `${path}.highlight`,
+                            message: `${path}.highlight: unknown part "${id}"; use one of ${Object.keys(PART_INFO).join(', ')}.`
+                        });
+                    }
+                }
+            }
+        }
+    });
+    return errors;
+}
+
+// Fill `container` with a step's text: paragraphs, "- " lists, **bold** and *italics*. Built from DOM nodes,
+// never markup, so a loaded tour cannot inject anything into the page.
+function renderTourText(container, text) {
+    const inline = (parent, line) => {
+        for (const piece of line.split(/(\*\*[^*]+\*\*|\*[^*]+\*)/)) {
+            if (piece.startsWith('**') && piece.endsWith('**') && piece.length > 4) {
+                const strong = document.createElement('strong');
+                strong.textContent = piece.slice(2, -2);
+                parent.append(strong);
+            } else if (piece.startsWith('*') && piece.endsWith('*') && piece.length > 2) {
+                const em = document.createElement('em');
+                em.textContent = piece.slice(1, -1);
+                parent.append(em);
+            } else if (piece) {
+                parent.append(document.createTextNode(piece));
+            }
+        }
+    };
+    const blocks = [];
+    for (const paragraph of text.split(/\n\s*\n/)) {
+        const lines = paragraph.split('\n').filter((line) => line.trim() !== '');
+        if (lines.length === 0) {
+            continue;
+        }
+        if (lines.every((line) => line.trim().startsWith('- '))) {
+            const list = document.createElement('ul');
+            for (const line of lines) {
+                const item = document.createElement('li');
+                inline(item, line.trim().slice(2));
+                list.append(item);
+            }
+            blocks.push(list);
+        } else {
+            const p = document.createElement('p');
+            inline(p, lines.join(' '));
+            blocks.push(p);
+        }
+    }
+    container.replaceChildren(...blocks);
+}
+
+// Runs a tour: the built-in one from the start button, or a script loaded from a JSON file. The step is
+// shown in the info panel with Back, Next and Exit; the engine comes back as it was when it ends.
+class TourPanel {
+    constructor(animation, options = {}) {
+        this.animation = animation;
+        this.ui = { ...options.ui };
+        this.builtIn = options.tour || FOUR_STROKE_TOUR;
+        this.listeners = [];
+        this.script = null;
+        this.index = -1;
+        this.highlights = [];
+        this.stopPlaying = null;
+        this.saved = null;
+
+        const { startBtn, fileInput, prevBtn, nextBtn, exitBtn } = this.ui;
+        if (startBtn) {
+            this.listen(startBtn, 'click', () => this.run(this.builtIn, 'the built-in tour'));
+        }
+        if (fileInput) {
+            this.listen(fileInput, 'change', () => this.loadFile(fileInput));
+        }
+        if (prevBtn) {
+            this.listen(prevBtn, 'click', () => this.previous());
+        }
+        if (nextBtn) {
+            this.listen(nextBtn, 'click', () => this.next());
+        }
+        if (exitBtn) {
+            this.listen(exitBtn, 'click', () => this.stop());
+        }
+        this.unsubscribe = [
+            animation.addOverlay((frame) => {
+                for (const id of this.highlights) {
+                    redrawPart(animation, frame, { id }, { glow: '#43a047' });
+                }
+            }),
+            // The steps' angles belong to the cycle the tour started in
+            animation.on('cyclemodechange', () => this.stop({ keepEngine: true }))
+        ];
+        this.syncUi();
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    showError(message) {
+        const { errorEl } = this.ui;
+        if (errorEl) {
+            errorEl.textContent = message;
+            errorEl.hidden = !message;
+        }
+    }
+
+    // Check a script and start it at the first step; throws RangeError listing every problem
+    start(script) {
+        const mode = script && isTourObject(script.setup) && CYCLE_MODES[script.setup.cycleMode]
+            ? script.setup.cycleMode
+            : this.animation.cycleMode;
+        const errors = validateTour(script, CYCLE_MODES[mode].degrees);
+        if (errors.length > 0) {
+            throw new RangeError(errors.map((error) => error.message).join(' '));
+        }
+        this.stop();
+        this.saved = captureState(this.animation);
+        if (script.setup) {
+            restoreState(this.animation, { ...script.setup, version: STATE_VERSION, paused: true });
+        }
+        this.animation.setAutoPause(false);
+        this.animation.pause();
+        this.script = script;
+        this.goTo(0);
+    }
+
+    // Start a tour, reporting rather than throwing problems with it
+    run(script, source) {
+        try {
+            this.start(script);
+            this.showError('');
+            return true;
+        } catch (error) {
+            this.showError(`Could not start ${source}: ${error.message}`);
+            return false;
+        }
+    }
+
+    async loadFile(fileInput) {
+        const [file] = fileInput.files || [];
+        if (!file) {
+            return;
+        }
+        try {
+            this.run(JSON.parse(await file.text()), file.name);
+        } catch (error) {
+            this.showError(`${file.name} is not valid JSON: ${error.message}`);
+        }
+        fileInput.value = '';
+    }
+
+    isRunning() {
+        return this.script !== null;
+    }
+
+    goTo(index) {
+        if (!this.script || index < 0 || index >= this.script.steps.length) {
+            return;
+        }
+        this.cancelPlay();
+        this.index = index;
+        const step = this.script.steps[index];
+        const animation = this.animation;
+        this.highlights = step.highlight ? [...step.highlight] : [];
+        if (step.seek !== undefined) {
+            animation.pause();
+            animation.seek(step.seek);
+        } else if (step.play) {
+            this.playRange(step.play);
+        } else {
+            animation.pause();
+        }
+        this.syncUi();
+        if (animation.animationId === null && !animation.destroyed) {
+            animation.render();
+        }
+    }
+
+    next() {
+        if (!this.script) {
+            return;
+        }
+        if (this.index >= this.script.steps.length - 1) {
+            this.stop();
+        } else {
+            this.goTo(this.index + 1);
+        }
+    }
+
+    previous() {
+        this.goTo(this.index - 1);
+    }
+
+    // Run the crank forwards from `from` to `to` and hold it there; equal angles play a whole cycle
+    playRange({ from = this.animation.getCrankAngle(), to, speed }) {
+        const animation = this.animation;
+        const span = animation.cycle.degrees;
+        const forward = (a, b) => (((b - a) % span) + span) % span;
+        const distance = forward(from, to) || span;
+        let last = from;
+        let travelled = 0;
+        animation.seek(from);
+        if (speed !== undefined) {
+            animation.setSpeed(speed);
+        }
+        const off = animation.on('frame', ({ crankAngle }) => {
+            travelled += forward(last, crankAngle);
+            last = crankAngle;
+            if (travelled >= distance) {
+                this.cancelPlay();
+                animation.pause();
+                animation.seek(to);
+            }
+        });
+        this.stopPlaying = off;
+        animation.play();
+    }
+
+    cancelPlay() {
+        if (this.stopPlaying) {
+            this.stopPlaying();
+            this.stopPlaying = null;
+        }
+    }
+
+    // Leave the tour, putting the engine and its settings back as they were before it started, paused.
+    // With `keepEngine`, e.g. after a change of cycle, only the replay speed and auto-pause go back.
+    stop({ keepEngine = false } = {}) {
+        if (!this.script) {
+            return;
+        }
+        this.cancelPlay();
+        this.script = null;
+        this.index = -1;
+        this.highlights = [];
+        if (this.saved && keepEngine) {
+            this.animation.setSpeed(this.saved.animationSpeed);
+            this.animation.setAutoPause(this.saved.autoPauseEnabled);
+            this.animation.pause();
+        } else if (this.saved) {
+            restoreState(this.animation, { ...this.saved, paused: true });
+        }
+        this.saved = null;
+        this.syncUi();
+    }
+
+    syncUi() {
+        const { stepEl, progressEl, titleEl, textEl, prevBtn, nextBtn } = this.ui;
+        const step = this.script ? this.script.steps[this.index] : null;
+        if (stepEl) {
+            stepEl.hidden = !step;
+        }
+        if (!step) {
+            return;
+        }
+        const count = this.script.steps.length;
+        if (progressEl) {
+            progressEl.textContent = `${this.script.title} · step ${this.index + 1} of ${count}`;
+        }
+        if (titleEl) {
+            titleEl.textContent = step.title;
+        }
+        if (textEl) {
+            renderTourText(textEl, step.text);
+        }
+        if (prevBtn) {
+            prevBtn.disabled = this.index === 0;
+        }
+        if (nextBtn) {
+            nextBtn.textContent = this.index === count - 1 ? 'Finish' : 'Next';
+        }
+    }
+
+    destroy() {
+        this.stop();
+        this.unsubscribe.forEach((off) => off());
+        this.unsubscribe = [];
+        for (const { target, type, handler } of this.listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.listeners = [];
+    }
+}
@@ -0,0 +1,177 @@
+// Valve timing editor: number inputs for IVO/IVC/EVO/EVC and ramp length,
+// plus a live lift-vs-crank-angle plot with the overlap region shaded.
+// In two-stroke mode the inputs lock and the plot shows the port and reed openings instead.
+
+const VALVE_TIMING_FIELDS = ['intakeOpen', 'intakeClose', 'exhaustOpen', 'exhaustClose', 'ramp'];
+
+const LIFT_PLOT_MARGIN = { left: 34, right: 12, top: 14, bottom: 26 };
+
+class ValveTimingPanel extends ParameterPanel {
+    constructor(animation, options = {}) {
+        super(animation, VALVE_TIMING_FIELDS, options);
+        this.canvas = this.ui.liftCanvas || null;
+        this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+        this.valveNote = this.ui.noteEl ? this.ui.noteEl.textContent : '';
+
+        this.unsubscribe.push(
+            animation.on('frame', () => this.render()),
+            animation.on('timingchange', () => {
+                this.syncInputs();
+                this.render();
+            }),
+            animation.on('cyclemodechange', () => {
+                this.syncMode();
+                this.render();
+            })
+        );
+        this.init();
+        this.syncMode();
+        this.render();
+    }
+
+    // Valve events mean nothing to a two-stroke, so its inputs are locked until four-stroke returns
+    syncMode() {
+        const portTimed = this.animation.cycleMode === 'two-stroke';
+        this.setDisabled(portTimed);
+        if (this.ui.noteEl) {
+            this.ui.noteEl.textContent = portTimed
+                ? 'A two-stroke has no valves: the piston uncovers the ports and crankcase pressure opens the reed. Valve timing returns with the four-stroke cycle.'
+                : this.valveNote;
+        }
+    }
+
+    values() {
+        return this.animation.valveTiming;
+    }
+
+    defaults() {
+        return this.animation.cycle.valveTiming;
+    }
+
+    validate(values) {
+        return validateEngineConfig(this.animation.geometry, values, this.animation.cycleMode);
+    }
+
+    apply(values) {
+        this.animation.setValveTiming(values);
+    }
+
+    hint(name, values) {
+        return name === 'ramp' ? null : describeCrankAngle(values[name]);
+    }
+
+    render() {
+        if (!this.ctx) {
+            return;
+        }
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const plotLeft = LIFT_PLOT_MARGIN.left;
+        const plotTop = LIFT_PLOT_MARGIN.top;
+        const plotWidth = width - LIFT_PLOT_MARGIN.left - LIFT_PLOT_MARGIN.right;
+        const plotHeight = height - LIFT_PLOT_MARGIN.top - LIFT_PLOT_MARGIN.bottom;
+        const { cycle, strokes } = this.animation;
+        const strokeDegrees = cycle.degrees / strokes.length;
+        const toX = (degrees) => plotLeft + (degrees / cycle.degrees) * plotWidth;
+        const toY = (lift) => plotTop + (1 - lift) * plotHeight;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Stroke bands and dead-centre grid
+        strokes.forEach((stroke, index) => {
+            ctx.save();
+            ctx.globalAlpha = 0.08;
+            ctx.fillStyle = stroke.color;
+            ctx.fillRect(toX(index * strokeDegrees), plotTop, toX(strokeDegrees) - toX(0), plotHeight);
+            ctx.restore();
+        });
+        ctx.strokeStyle = '#d6dbea';
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#5c6478';
+        ctx.font = '10px "Segoe UI", sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const deadCentres = ['TDC', 'BDC', 'TDC', 'BDC', 'TDC'];
+        for (let i = 0; i <= cycle.degrees / 180; i++) {
+            const x = toX(i * 180);
+            ctx.beginPath();
+            ctx.moveTo(x, plotTop);
+            ctx.lineTo(x, plotTop + plotHeight);
+            ctx.stroke();
+            ctx.fillText(`${i * 180}° ${deadCentres[i]}`, x, plotTop + plotHeight + 6);
+        }
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('lift', plotLeft - 6, toY(1));
+        ctx.fillText('0', plotLeft - 6, toY(0));
+
+        // Sample every valve or port curve across the cycle
+        const curves = this.animation.getTimingEvents();
+        const samples = [];
+        for (let degrees = 0; degrees <= cycle.degrees; degrees += 2) {
+            samples.push({ degrees, ...this.animation.openingsAt(degrees % cycle.degrees) });
+        }
+        // Second-widest opening: above zero only while two passages are open together
+        const overlapAt = (sample) => curves.map((curve) => sample[curve.key]).sort((a, b) => b - a)[1];
+
+        // Overlap (scavenging on a two-stroke): shade under the lower curve wherever two are open at once
+        ctx.fillStyle = 'rgba(245, 180, 0, 0.35)';
+        for (let i = 1; i < samples.length; i++) {
+            const a = samples[i - 1];
+            const b = samples[i];
+            if (Math.min(overlapAt(a), overlapAt(b)) <= 0) {
+                continue;
+            }
+            // Keep a sliver visible even where both lifts are tiny
+            const top = toY(Math.max(overlapAt(a), 0.04));
+            ctx.fillRect(toX(a.degrees), top, toX(b.degrees) - toX(a.degrees), toY(0) - top);
+        }
+
+        ctx.lineWidth = 2.5;
+        for (const curve of curves) {
+            ctx.strokeStyle = curve.color;
+            ctx.beginPath();
+            samples.forEach((sample, i) => {
+                const x = toX(sample.degrees);
+                const y = toY(sample[curve.key]);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        }
+
+        // Cursor at the current crank angle
+        const angle = this.animation.getCrankAngle();
+        const lifts = this.animation.openingsAt(angle);
+        const cursorX = toX(angle);
+        ctx.strokeStyle = '#2e3a4f';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(cursorX, plotTop);
+        ctx.lineTo(cursorX, plotTop + plotHeight);
+        ctx.stroke();
+        for (const curve of curves) {
+            ctx.fillStyle = curve.color;
+            ctx.beginPath();
+            ctx.arc(cursorX, toY(lifts[curve.key]), 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Legend
+        ctx.font = '600 11px "Segoe UI", sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        const legend = [...curves.map((curve) => [curve.label, curve.color]), ['Overlap', 'rgba(245, 180, 0, 0.8)']];
+        let legendX = plotLeft + 6;
+        for (const [label, color] of legend) {
+            ctx.fillStyle = color;
+            ctx.fillRect(legendX, plotTop + 2, 10, 10);
+            ctx.fillStyle = '#2e3a4f';
+            ctx.fillText(label, legendX + 14, plotTop + 7);
+            legendX += ctx.measureText(label).width + 30;
+        }
+    }
+}